@@ -4,103 +4,1153 @@
 // Import dependencies
 importScripts('lib/merkleTree.js');
 importScripts('blockchain.js');
+importScripts('lib/oauthFlow.js');
+importScripts('lib/policyText.js');
+importScripts('lib/privacySignals.js');
+importScripts('lib/trackerDb.js');
+importScripts('lib/cookieCompliance.js');
+importScripts('lib/permissionApis.js');
+importScripts('lib/consentLifecycle.js');
+importScripts('lib/consentStore.js');
+importScripts('lib/messageSchema.js');
 
 // ============ Storage Initialization ============
 
-chrome.runtime.onInstalled.addListener(() => {
-    chrome.storage.local.set({
-        consents: [],
-        pendingBatch: { consents: [], dayTimestamp: null },
-        anchoredBatches: []
-    });
+// Consent records live in IndexedDB (see lib/consentStore.js) and batch state is
+// loaded by BlockchainService.init(); nothing is written here, so updates keep existing data
+chrome.runtime.onInstalled.addListener((details) => {
+    if (details.reason !== 'install') return;
     console.log('🔒 Consent Tracker installed with batch anchoring!');
 });
 
+// ============ Page Script Registration ============
+
+// inject.js runs in the page's own JavaScript world at document_start, before any
+// page script, so it can set up its private channel to content.js untouched
+const INJECT_SCRIPT_ID = 'consent-tracker-inject';
+
+async function registerInjectScript() {
+    try {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [INJECT_SCRIPT_ID] });
+        if (registered.length > 0) return;
+
+        await chrome.scripting.registerContentScripts([{
+            id: INJECT_SCRIPT_ID,
+            js: ['inject.js'],
+            matches: ['<all_urls>'],
+            runAt: 'document_start',
+            allFrames: true,
+            world: 'MAIN',
+            persistAcrossSessions: true
+        }]);
+    } catch (error) {
+        console.error('Error registering page script:', error);
+    }
+}
+
+registerInjectScript();
+
 // ============ Message Handling ============
 
+/**
+ * Who sent a message: one of the extension's own pages, or a content script in a web page
+ * @returns {string|null} 'extension', 'content', or null if neither
+ */
+function senderKind(sender) {
+    if (!sender || sender.id !== chrome.runtime.id) return null;
+    // Extension pages opened in a tab (e.g. the dashboard) have a tab too, so check the URL first
+    if (sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) return 'extension';
+    if (sender.tab) return 'content';
+    return null;
+}
+
+/**
+ * Answer a message with a handler's result, or with its error, so the
+ * sender's callback always runs
+ * @param {Promise<*>} result
+ * @param {Function} sendResponse
+ * @returns {boolean} true, keeping the message channel open for the answer
+ */
+function reply(result, sendResponse) {
+    result.then(sendResponse).catch(error => {
+        console.error('Error handling message:', error);
+        sendResponse({ success: false, error: error.message });
+    });
+    return true;
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const rejection = MessageSchema.check(message, senderKind(sender));
+    if (rejection) {
+        console.warn(`Rejected ${message && message.type} message:`, rejection.error);
+        sendResponse({ success: false, ...rejection });
+        return;
+    }
+
     switch (message.type) {
         case 'CONSENT_DETECTED':
-            saveConsent(message.data);
+            recordConsent(attributeToTab(MessageSchema.stripOwnedFields(message.data), sender))
+                .catch(error => console.error('Error recording consent:', error));
+            relayFeedback(message.data, sender);
             sendResponse({ success: true });
             break;
 
         case 'GET_CONSENTS':
-            getConsents().then(consents => sendResponse({ consents }));
-            return true;
+            return reply(getConsents(message.query).then(consents => ({ consents })), sendResponse);
+
+        case 'CONSENT_COMMAND':
+            return reply(executeConsentCommand(message.command), sendResponse);
 
         case 'CLEAR_CONSENTS':
-            clearConsents().then(() => sendResponse({ success: true }));
-            return true;
+            return reply(clearConsents().then(() => ({ success: true })), sendResponse);
 
         case 'DELETE_CONSENT':
-            deleteConsent(message.id).then(() => sendResponse({ success: true }));
-            return true;
+            return reply(deleteConsent(message.id).then(() => ({ success: true })), sendResponse);
 
         case 'VERIFY_CONSENT':
-            BlockchainService.verifyConsent(message.hash).then(result => sendResponse(result));
-            return true;
+            return reply(BlockchainService.verifyConsent(message.hash), sendResponse);
 
         case 'ANCHOR_BATCH':
-            anchorDailyBatch().then(result => sendResponse(result));
-            return true;
+            return reply(anchorDailyBatch(), sendResponse);
 
         case 'GET_BATCH_INFO':
-            sendResponse(BlockchainService.getPendingBatchInfo());
-            break;
+            return reply(BlockchainService.getPendingBatchInfo(), sendResponse);
 
         case 'GET_BLOCKCHAIN_STATS':
-            sendResponse(BlockchainService.getStats());
-            break;
+            return reply(BlockchainService.getStats(), sendResponse);
 
         case 'GET_ALL_BATCHES':
-            sendResponse(BlockchainService.getAllBatches());
-            break;
+            return reply(BlockchainService.getAllBatches(), sendResponse);
+
+        case 'CHECK_POLICIES':
+            return reply(checkPolicyChanges().then(changes => ({ changes })), sendResponse);
+
+        case 'CHECK_COMPLIANCE':
+            return reply(runComplianceCheck(message.id).then(compliance => ({ compliance })), sendResponse);
+
+        case 'GET_PERMISSION_STATES':
+            return reply(getPermissionStates(message.permissions || []).then(states => ({ states })), sendResponse);
+
+        case 'REVOKE_PERMISSION':
+            return reply(revokePermission(message.id), sendResponse);
+
+        case 'RECORD_WITHDRAWAL':
+            return reply(recordWithdrawal(message.id), sendResponse);
+
+        case 'REVIEW_POLICY_CHANGE':
+            return reply(reviewPolicyChange(message.url).then(() => ({ success: true })), sendResponse);
     }
 });
 
-// ============ Consent Management ============
+// ============ Frame Attribution ============
 
 /**
- * Save consent with batch collection
+ * Attribute consents captured in a sub-frame to the tab's top-level page
+ */
+function attributeToTab(consentData, sender) {
+    if (!sender || !sender.tab || !sender.frameId || !sender.tab.url) {
+        return consentData;
+    }
+
+    const frameUrl = sender.url || (consentData.frame && consentData.frame.url) || consentData.url;
+
+    try {
+        consentData.frame = {
+            url: frameUrl,
+            domain: new URL(frameUrl).hostname
+        };
+        consentData.url = sender.tab.url;
+        consentData.domain = new URL(sender.tab.url).hostname;
+    } catch (error) {
+        console.error('Error attributing frame consent:', error);
+    }
+
+    return consentData;
+}
+
+/**
+ * Ask the top frame to show feedback for a consent captured in a sub-frame
+ */
+function relayFeedback(consentData, sender) {
+    if (!sender || !sender.tab || !sender.frameId || !sender.tab.url || !sender.url) return;
+
+    // Only frames on the tab's own site may put their text on the page; others are named by domain
+    let label;
+    try {
+        const frameHost = new URL(sender.url).hostname;
+        const sameSite = OAuthFlow.baseDomain(frameHost) === OAuthFlow.baseDomain(new URL(sender.tab.url).hostname);
+        label = sameSite ? consentData.buttonText : `Embedded frame (${frameHost})`;
+    } catch {
+        return;
+    }
+
+    chrome.tabs.sendMessage(sender.tab.id, {
+        type: 'SHOW_FEEDBACK',
+        buttonText: label,
+        category: consentData.category,
+        decision: consentData.decision
+    }, { frameId: 0 }).catch(() => {
+        // Top frame may not have the content script (e.g. chrome:// pages)
+    });
+}
+
+// ============ Policy Snapshots ============
+
+const POLICY_FETCH_TIMEOUT_MS = 10000;
+const POLICY_REFRESH_MS = 24 * 60 * 60 * 1000; // Reuse a fetched policy for a day
+
+/**
+ * Fetch a policy page and normalise it to plain text
+ */
+async function fetchPolicyDocument(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), POLICY_FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, { credentials: 'omit', signal: controller.signal });
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.ok || !/text\/(html|plain)|xhtml/.test(contentType)) {
+            return null;
+        }
+
+        const policy = PolicyText.normalize(await response.text());
+        return policy.text ? policy : null;
+    } catch (error) {
+        console.log('Could not fetch policy:', url);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Store a policy document under the hash of its text and record the version for its URL
+ */
+async function storePolicyDocument(link, policy) {
+    const hash = await PolicyText.hash(policy.text);
+    const now = Date.now();
+    const { policyDocuments = {}, policyUrls = {} } = await chrome.storage.local.get(['policyDocuments', 'policyUrls']);
+
+    if (!policyDocuments[hash]) {
+        policyDocuments[hash] = {
+            hash,
+            type: link.type,
+            url: link.url,
+            title: policy.title,
+            text: policy.text,
+            fetchedAt: now
+        };
+    }
+
+    const entry = policyUrls[link.url] || { type: link.type, versions: [] };
+    const latest = entry.versions[entry.versions.length - 1];
+    if (!latest || latest.hash !== hash) {
+        entry.versions.push({ hash, seenAt: now });
+    }
+    entry.lastFetched = now;
+    policyUrls[link.url] = entry;
+
+    await chrome.storage.local.set({ policyDocuments, policyUrls });
+    return hash;
+}
+
+/**
+ * Hash of the current version of a policy URL, fetching it if not seen recently
+ */
+async function resolvePolicyHash(link) {
+    const { policyUrls = {} } = await chrome.storage.local.get(['policyUrls']);
+    const entry = policyUrls[link.url];
+    if (entry && entry.versions.length > 0 && Date.now() - entry.lastFetched < POLICY_REFRESH_MS) {
+        return entry.versions[entry.versions.length - 1].hash;
+    }
+
+    const policy = await fetchPolicyDocument(link.url);
+    return policy ? storePolicyDocument(link, policy) : null;
+}
+
+/**
+ * Policy links worth fetching: web pages on the consent's own site, so a page
+ * cannot point the extension at an intranet or another site
+ */
+function sameSitePolicyLinks(links, pageUrl) {
+    try {
+        const site = OAuthFlow.baseDomain(new URL(pageUrl).hostname);
+        return links.filter(link => {
+            const { protocol, hostname } = new URL(link.url);
+            return (protocol === 'http:' || protocol === 'https:') && OAuthFlow.baseDomain(hostname) === site;
+        });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Fetch and store the linked policies
+ * @returns {Promise<Object|null>} { policies, policyHash } of the stored copies, or null if none could be read
+ */
+async function snapshotPolicies(links) {
+    const hashes = await Promise.all(links.map(link => resolvePolicyHash(link).catch(error => {
+        console.error('Error snapshotting policy:', error);
+        return null;
+    })));
+
+    const policies = links
+        .map((link, i) => hashes[i] && { type: link.type, url: link.url, hash: hashes[i] })
+        .filter(Boolean);
+    if (policies.length === 0) return null;
+
+    // The privacy policy stands for the agreement when there are several
+    return { policies, policyHash: (policies.find(p => p.type === 'privacy') || policies[0]).hash };
+}
+
+/**
+ * Save a reported consent, then attach copies of the policies linked next to it.
+ * The save never waits on (or fails with) a policy fetch; a consent with policy
+ * links is hashed and batched only once its copies are attached, so the proof
+ * commits to the policy text.
+ */
+async function recordConsent(consentData) {
+    const links = sameSitePolicyLinks(consentData.policyLinks || [], consentData.url);
+    delete consentData.policyLinks;
+
+    const saved = await saveConsent(consentData, { deferBatch: links.length > 0 });
+    if (!saved) return;
+    scheduleComplianceCheck(saved);
+
+    if (links.length === 0) return;
+
+    const snapshot = await snapshotPolicies(links);
+
+    // A repeat keeps the policies of its first occurrence; a newer version shows up as a policy change
+    if (saved.id === consentData.id) {
+        const { success } = await executeConsentCommand({
+            version: CONSENT_COMMAND_VERSION,
+            op: 'BATCH',
+            id: saved.id,
+            changes: snapshot || {}
+        });
+        // Deleted while the policies were being fetched
+        if (!success) return;
+    }
+
+    // A new agreement may settle an earlier policy change
+    if (snapshot) await refreshPolicyChanges();
+}
+
+// ============ Policy Change Detection ============
+
+/**
+ * The policy version last agreed to for each policy URL (refusals agree to nothing)
+ */
+function getAgreedPolicies(consents) {
+    const agreed = {};
+    // Consents are stored newest first, so the first hit is the latest agreement
+    for (const consent of consents) {
+        if (!consent.policies || consent.decision === 'rejected') continue;
+        for (const policy of consent.policies) {
+            if (!agreed[policy.url]) {
+                agreed[policy.url] = {
+                    type: policy.type,
+                    hash: policy.hash,
+                    domain: consent.domain,
+                    agreedAt: consent.timestamp
+                };
+            }
+        }
+    }
+    return agreed;
+}
+
+/**
+ * Compare the latest stored version of each agreed policy against the agreed one
+ */
+async function refreshPolicyChanges() {
+    const consents = await ConsentStore.getAll();
+    const { policyUrls = {}, policyChanges = {} } = await chrome.storage.local.get(['policyUrls', 'policyChanges']);
+
+    const changes = {};
+    for (const [url, agreed] of Object.entries(getAgreedPolicies(consents))) {
+        const versions = (policyUrls[url] && policyUrls[url].versions) || [];
+        const current = versions[versions.length - 1];
+        if (!current || current.hash === agreed.hash) continue;
+
+        // Keep detection time and review state while the same new version stands
+        const previous = policyChanges[url];
+        const known = previous && previous.currentHash === current.hash;
+
+        changes[url] = {
+            url,
+            type: agreed.type,
+            domain: agreed.domain,
+            agreedHash: agreed.hash,
+            agreedAt: agreed.agreedAt,
+            currentHash: current.hash,
+            detectedAt: known ? previous.detectedAt : current.seenAt,
+            reviewed: known ? previous.reviewed : false
+        };
+    }
+
+    await chrome.storage.local.set({ policyChanges: changes });
+    return changes;
+}
+
+/**
+ * Re-fetch every agreed policy and flag the ones whose text changed
+ */
+async function checkPolicyChanges() {
+    const consents = await ConsentStore.getAll();
+
+    for (const [url, agreed] of Object.entries(getAgreedPolicies(consents))) {
+        const policy = await fetchPolicyDocument(url);
+        if (policy) {
+            await storePolicyDocument({ url, type: agreed.type }, policy);
+        }
+    }
+
+    const changes = await refreshPolicyChanges();
+    console.log(`📜 Policy check done: ${Object.keys(changes).length} changed since consent`);
+    return changes;
+}
+
+/**
+ * Mark a policy change as seen so it stops counting towards the popup badge
+ */
+async function reviewPolicyChange(url) {
+    const { policyChanges = {} } = await chrome.storage.local.get(['policyChanges']);
+    if (policyChanges[url]) {
+        policyChanges[url].reviewed = true;
+        await chrome.storage.local.set({ policyChanges });
+    }
+}
+
+// ============ OAuth Grants ============
+
+// Authorization requests in progress, keyed by tab id. Kept in session storage
+// because the service worker may be suspended while the user is on the consent screen.
+async function getOAuthFlows() {
+    const result = await chrome.storage.session.get(['oauthFlows']);
+    return result.oauthFlows || {};
+}
+
+async function setOAuthFlows(flows) {
+    await chrome.storage.session.set({ oauthFlows: flows });
+}
+
+/**
+ * Follow a tab through an OAuth/OIDC flow and record the outcome
+ */
+async function trackOAuthNavigation(tabId, url) {
+    try {
+        const flows = await getOAuthFlows();
+        const request = OAuthFlow.parseAuthorizeRequest(url);
+
+        if (request) {
+            // Providers bounce between several authorize URLs; keep the scopes seen first
+            const existing = flows[tabId];
+            if (existing && existing.clientId === request.clientId && request.scopes.length === 0) {
+                return;
+            }
+            flows[tabId] = { ...request, startedAt: Date.now() };
+            await setOAuthFlows(flows);
+            return;
+        }
+
+        const flow = flows[tabId];
+        if (!flow) return;
+
+        const completion = OAuthFlow.parseCompletion(url, flow);
+        if (!completion) return;
+
+        delete flows[tabId];
+        await setOAuthFlows(flows);
+
+        if (completion.decision) {
+            await recordOAuthGrant(flow, completion, url);
+        }
+    } catch (error) {
+        console.error('Error tracking OAuth flow:', error);
+    }
+}
+
+/**
+ * Save which relying party was granted (or refused) which scopes
+ */
+async function recordOAuthGrant(flow, completion, url) {
+    const relyingParty = OAuthFlow.getRelyingParty(flow) || new URL(url).hostname;
+    const scopes = [...flow.scopes].sort();
+
+    // Signing in again with the same scopes is not a new grant
+    const repeat = await ConsentStore.find(c => c.oauth &&
+        c.oauth.clientId === flow.clientId &&
+        c.oauth.providerId === flow.provider.id &&
+        c.decision === completion.decision &&
+        c.oauth.scopes.join(' ') === scopes.join(' '));
+    if (repeat) return;
+
+    await saveConsent({
+        id: 'consent_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        url: OAuthFlow.stripQuery(url),
+        domain: relyingParty,
+        buttonText: `Sign in with ${flow.provider.name}`,
+        context: `${flow.provider.name} authorization for ${relyingParty}: ${scopes.join(' ') || 'default access'}`,
+        category: 'oauth',
+        decision: completion.decision,
+        timestamp: Date.now(),
+        oauth: {
+            provider: flow.provider.name,
+            providerId: flow.provider.id,
+            providerDomain: flow.providerDomain,
+            clientId: flow.clientId,
+            scopes,
+            redirectUri: flow.redirectUri,
+            responseType: flow.responseType,
+            error: completion.error
+        }
+    });
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url) {
+        trackOAuthNavigation(tabId, changeInfo.url);
+    }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const flows = await getOAuthFlows();
+    if (flows[tabId]) {
+        delete flows[tabId];
+        await setOAuthFlows(flows);
+    }
+});
+
+// ============ Privacy Signals ============
+
+// GPC/DNT settings, cached for cookie events; reloaded whenever the worker starts
+let privacySignals = PrivacySignals.DEFAULTS;
+const privacySignalsReady = loadPrivacySignals();
+
+async function loadPrivacySignals() {
+    const result = await chrome.storage.sync.get(['privacySignals']);
+    privacySignals = PrivacySignals.normalize(result.privacySignals);
+    await applyPrivacySignalRules();
+    await applyPrivacySignalScripts();
+}
+
+/**
+ * Install (or remove) the header rule that sends Sec-GPC and DNT
  */
-async function saveConsent(consentData) {
+async function applyPrivacySignalRules() {
+    const rule = PrivacySignals.buildHeaderRule(privacySignals);
     try {
-        // Generate consent hash and add to batch
-        const consentHash = await BlockchainService.addConsentToBatch(consentData);
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: [PrivacySignals.RULE_ID],
+            addRules: rule ? [rule] : []
+        });
+    } catch (error) {
+        console.error('Error updating privacy signal headers:', error);
+    }
+}
+
+// Page scripts that set navigator.globalPrivacyControl and navigator.doNotTrack
+const SIGNAL_SCRIPT_ID = 'consent-tracker-signals';
+
+// Registrations change one at a time, so two updates never register the same id
+let signalScriptUpdate = Promise.resolve();
+
+/**
+ * Register the navigator signal scripts for the current settings, or remove them
+ * when no signal is on. They run at document_start in the page's own world, so
+ * the first page script already sees the signals. Exceptions match the frame's
+ * own URL (the header rule also skips what an excepted site loads).
+ */
+function applyPrivacySignalScripts() {
+    const js = [];
+    if (privacySignals.gpc) js.push('signals/gpc.js');
+    if (privacySignals.dnt) js.push('signals/dnt.js');
+    const excludeMatches = PrivacySignals.excludeMatches(privacySignals);
+
+    signalScriptUpdate = signalScriptUpdate.then(async () => {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [SIGNAL_SCRIPT_ID] });
+        if (registered.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [SIGNAL_SCRIPT_ID] });
+        if (js.length === 0) return;
+
+        await chrome.scripting.registerContentScripts([{
+            id: SIGNAL_SCRIPT_ID,
+            js,
+            matches: ['<all_urls>'],
+            ...(excludeMatches.length > 0 && { excludeMatches }),
+            runAt: 'document_start',
+            allFrames: true,
+            world: 'MAIN',
+            persistAcrossSessions: true
+        }]);
+    }).catch(error => console.error('Error registering privacy signal scripts:', error));
+    return signalScriptUpdate;
+}
+
+// Site -> whether its latest cookie decision was an opt-in; dropped on every consent write
+const siteOptIns = new Map();
+let siteOptInsVersion = 0;
+
+// Violations seen since the last write, merged into storage together
+const pendingGpcViolations = new Map();
+let gpcFlushTimer = null;
+const GPC_FLUSH_DELAY_MS = 2000;
+
+/**
+ * Forget cached opt-ins after consents change
+ */
+function forgetSiteOptIns() {
+    siteOptInsVersion++;
+    siteOptIns.clear();
+}
+
+/**
+ * Whether the user's latest cookie or marketing decision on a site accepted
+ */
+async function hasOptedIn(site) {
+    if (siteOptIns.has(site)) return siteOptIns.get(site);
+
+    const version = siteOptInsVersion;
+    const latest = await ConsentStore.find(c => OAuthFlow.baseDomain(c.domain) === site &&
+        (c.category === 'cookies' || c.category === 'marketing'));
+    const optedIn = Boolean(latest && latest.decision === 'accepted');
+    // A write while reading may have changed the answer; cache only a current one
+    if (version === siteOptInsVersion) siteOptIns.set(site, optedIn);
+    return optedIn;
+}
+
+/**
+ * Flag a site that sets advertising cookies while receiving GPC
+ */
+async function checkGpcCompliance(cookie) {
+    if (!TrackerDb.isAdCookie(cookie.name)) return;
+
+    await privacySignalsReady;
+    const host = cookie.domain.replace(/^\./, '');
+    if (!PrivacySignals.isActive(privacySignals, host)) return;
+
+    const site = OAuthFlow.baseDomain(host);
+    // Opting in on the site itself overrides the GPC opt-out
+    if (await hasOptedIn(site)) return;
+
+    const now = Date.now();
+    const seen = pendingGpcViolations.get(site) || { cookies: new Set(), firstSeen: now, count: 0 };
+    seen.cookies.add(cookie.name);
+    seen.lastSeen = now;
+    seen.count++;
+    pendingGpcViolations.set(site, seen);
+
+    if (!gpcFlushTimer) {
+        gpcFlushTimer = setTimeout(() => {
+            gpcCheckQueue = gpcCheckQueue
+                .then(flushGpcViolations)
+                .catch(error => console.error('Error saving GPC violations:', error));
+        }, GPC_FLUSH_DELAY_MS);
+    }
+}
+
+/**
+ * Merge the violations seen since the last flush into storage in one write
+ */
+async function flushGpcViolations() {
+    gpcFlushTimer = null;
+    const pending = [...pendingGpcViolations];
+    pendingGpcViolations.clear();
+    if (pending.length === 0) return;
+
+    const { gpcViolations = {} } = await chrome.storage.local.get(['gpcViolations']);
+    for (const [site, seen] of pending) {
+        const violation = gpcViolations[site] || { domain: site, cookies: [], firstSeen: seen.firstSeen, count: 0 };
+        const added = [...seen.cookies].filter(name => !violation.cookies.includes(name));
+        violation.cookies = [...violation.cookies, ...added].slice(-20);
+        violation.lastSeen = seen.lastSeen;
+        violation.count += seen.count;
+        gpcViolations[site] = violation;
+    }
+
+    await chrome.storage.local.set({ gpcViolations });
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && changes.privacySignals) {
+        privacySignals = PrivacySignals.normalize(changes.privacySignals.newValue);
+        applyPrivacySignalRules();
+        applyPrivacySignalScripts();
+    }
+});
+
+// Pages set cookies in bursts; check them one at a time so updates are not lost
+let gpcCheckQueue = Promise.resolve();
+
+chrome.cookies.onChanged.addListener(({ removed, cookie }) => {
+    if (removed) return;
+    gpcCheckQueue = gpcCheckQueue
+        .then(() => checkGpcCompliance(cookie))
+        .catch(error => console.error('Error checking GPC compliance:', error));
+});
+
+// ============ Cookie Compliance ============
+
+// Give the site time to apply the choice (and its tags time to load) before reading cookies
+const COMPLIANCE_CHECK_DELAY_MS = 5000;
+
+// Cookies kept per consent record
+const MAX_COMPLIANCE_COOKIES = 100;
+
+/**
+ * Queue a cookie check for consents that decide what a site may store
+ */
+function scheduleComplianceCheck(consentData) {
+    if (consentData.browserPermission || consentData.oauth) return;
+
+    const aboutCookies = consentData.category === 'cookies' || consentData.category === 'marketing' ||
+        consentData.cmp || consentData.tcf || consentData.choices;
+    if (!aboutCookies) return;
+
+    setTimeout(() => {
+        runComplianceCheck(consentData.id).catch(error => console.error('Error checking cookie compliance:', error));
+    }, COMPLIANCE_CHECK_DELAY_MS);
+}
+
+/**
+ * Read the cookies a consented site has set and compare them with the decision
+ */
+async function runComplianceCheck(id) {
+    const consent = await ConsentStore.get(id);
+    if (!consent) return null;
+
+    // First-party cookies only: the site's registrable domain and its subdomains
+    const cookies = await chrome.cookies.getAll({ domain: OAuthFlow.baseDomain(consent.domain) });
+    const result = CookieCompliance.check(consent, cookies);
+
+    const compliance = {
+        checkedAt: Date.now(),
+        allowed: result.allowed,
+        cookies: result.cookies.slice(0, MAX_COMPLIANCE_COOKIES),
+        mismatches: result.mismatches
+    };
+
+    const { success } = await executeConsentCommand({
+        version: CONSENT_COMMAND_VERSION,
+        op: 'PATCH',
+        id,
+        changes: { compliance }
+    });
+    // Deleted while the cookies were being read
+    if (!success) return null;
+
+    if (compliance.mismatches.length > 0) {
+        console.log(`⚠️ ${consent.domain} set ${compliance.mismatches.length} cookie(s) the consent did not allow`);
+    }
+    return compliance;
+}
+
+// ============ Site Permissions ============
 
-        // Attach hash to consent record
-        consentData.proofHash = consentHash;
-        consentData.batchStatus = 'pending'; // Will be 'anchored' after daily batch
+// URL of the document that asked for a permission: the frame, for consents captured in one
+function permissionUrl(consent) {
+    return (consent.frame && consent.frame.url) || consent.url;
+}
 
-        // Store consent locally
-        const result = await chrome.storage.local.get(['consents']);
-        const consents = result.consents || [];
+// Content setting pattern covering exactly one origin
+function originPattern(url) {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.hostname}${parsed.port ? ':' + parsed.port : ''}/*`;
+}
 
-        consents.unshift(consentData);
+/**
+ * Browser's current setting for each origin/permission pair
+ * @param {Object[]} permissions - [{ url, permissionType }]
+ * @returns {Promise<Object>} "origin|permissionType" -> 'allow' | 'block' | 'ask' | ...
+ */
+async function getPermissionStates(permissions) {
+    const states = {};
+    for (const { url, permissionType } of permissions) {
+        const contentSetting = PermissionApis.TYPES[permissionType]?.contentSetting;
+        if (!contentSetting) continue;
 
-        // Keep only last 1000 consents
-        if (consents.length > 1000) {
-            consents.pop();
+        try {
+            const key = `${new URL(url).origin}|${permissionType}`;
+            if (key in states) continue;
+            const { setting } = await chrome.contentSettings[contentSetting].get({ primaryUrl: url });
+            states[key] = setting;
+        } catch (error) {
+            console.error('Error reading permission state:', error);
         }
+    }
+    return states;
+}
+
+/**
+ * Block a permission a logged consent granted, and record the withdrawal
+ */
+async function revokePermission(id) {
+    const consent = await ConsentStore.get(id);
+    if (!consent || !consent.browserPermission) {
+        return { success: false, error: 'Consent not found' };
+    }
+
+    const permissionType = PermissionApis.resolve(consent.permissionType);
+    const permission = PermissionApis.TYPES[permissionType];
+    if (!permission || !permission.contentSetting) {
+        return { success: false, error: 'This permission cannot be revoked from the dashboard' };
+    }
+
+    const url = permissionUrl(consent);
+    try {
+        const contentSetting = chrome.contentSettings[permission.contentSetting];
+        await contentSetting.set({ primaryPattern: originPattern(url), setting: 'block' });
+
+        // A policy or a more specific rule can still win over ours
+        const { setting } = await contentSetting.get({ primaryUrl: url });
+        if (setting !== 'block') {
+            return { success: false, error: `The browser still reports ${permission.label} as "${setting}" for this site` };
+        }
+    } catch (error) {
+        console.error('Error revoking permission:', error);
+        return { success: false, error: error.message };
+    }
+
+    const withdrawal = createWithdrawal(consent, `Revoked ${permission.label}`,
+        `Permission withdrawn: ${permission.label} was revoked for this website from the dashboard.`);
+    withdrawal.browserPermission = true;
+    withdrawal.permissionType = permissionType;
+    await saveConsent(withdrawal);
+
+    return { success: true, setting: 'block', withdrawal };
+}
+
+// ============ Consent Lifecycle ============
+
+// Withdrawal event taking back a logged consent
+function createWithdrawal(consent, buttonText, context) {
+    return {
+        id: 'consent_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        url: new URL(consent.url).origin + '/',
+        domain: consent.domain,
+        buttonText,
+        context,
+        category: consent.category,
+        decision: 'rejected',
+        eventType: 'withdrawal',
+        timestamp: Date.now(),
+        withdrawalOf: consent.id
+    };
+}
+
+/**
+ * Record by hand that a consent was withdrawn (e.g. by email or in account settings)
+ */
+async function recordWithdrawal(id) {
+    const consent = await ConsentStore.get(id);
+    if (!consent) {
+        return { success: false, error: 'Consent not found' };
+    }
+
+    const withdrawal = createWithdrawal(consent, 'Withdrawn by you',
+        `Consent withdrawn: you recorded that you took back this ${consent.category || 'general'} consent.`);
+    withdrawal.manual = true;
+    if (consent.browserPermission) {
+        withdrawal.browserPermission = true;
+        withdrawal.permissionType = consent.permissionType;
+    }
+    await saveConsent(withdrawal);
+
+    return { success: true, withdrawal };
+}
+
+/**
+ * Link a new event into its site/category chain
+ * @returns {string|null} ID of the agreement the event withdraws, if any
+ */
+function linkToChain(consents, consentData) {
+    const chain = ConsentLifecycle.chainOf(consents, consentData);
+    const previous = chain[chain.length - 1];
+    const { state, current } = ConsentLifecycle.replay(chain, consentData.timestamp);
+
+    consentData.chainId = previous ? (previous.chainId || chain[0].id) : consentData.id;
+    consentData.previousId = previous ? previous.id : null;
+    consentData.lifecycle = ConsentLifecycle.transition(state, consentData, current);
+
+    if (consentData.lifecycle === 'withdrawn' && !consentData.withdrawalOf && ConsentLifecycle.isInForce(state)) {
+        consentData.withdrawalOf = current.id;
+    }
+    return consentData.lifecycle === 'withdrawn' ? consentData.withdrawalOf || null : null;
+}
+
+// ============ Repeat Detection ============
+
+// Repeats within this many hours of an event are counted on it (dashboard preference; 0 turns merging off)
+const DEFAULT_DEDUPE_WINDOW_HOURS = 24;
+
+// Repeat history kept per record
+const MAX_REPEATS = 100;
+
+async function getDedupeWindowMs() {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    const hours = Number(settings?.dedupeWindowHours ?? DEFAULT_DEDUPE_WINDOW_HOURS);
+    return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+}
+
+/**
+ * Record a new event repeats: the latest in its chain, if it decided the same thing within the window
+ * @returns {Object|null}
+ */
+function findRepeat(consents, consentData, windowMs) {
+    if (!windowMs) return null;
+
+    const chain = ConsentLifecycle.chainOf(consents, consentData);
+    const latest = chain[chain.length - 1];
+    if (!latest || consentData.timestamp - latest.timestamp > windowMs) return null;
+
+    return ConsentLifecycle.fingerprint(latest) === ConsentLifecycle.fingerprint(consentData) ? latest : null;
+}
+
+// Count a repeat on the record it repeats (the proof hash still covers the first occurrence only)
+function repeatChanges(record, consentData) {
+    const repeat = { timestamp: consentData.timestamp, url: consentData.url };
+    if (consentData.frame) repeat.frame = consentData.frame;
+
+    return {
+        occurrences: (record.occurrences || 1) + 1,
+        lastSeen: consentData.timestamp,
+        repeats: [...(record.repeats || []), repeat].slice(-MAX_REPEATS)
+    };
+}
+
+// ============ Write Queue ============
+
+// Version of the CONSENT_COMMAND API; bump it when a command's shape changes
+const CONSENT_COMMAND_VERSION = 1;
+
+// Flags the dashboard flips with TOGGLE commands
+const TOGGLE_FIELDS = ['reviewed', 'important'];
+
+// Every write to the consent store runs here, one at a time, so a save never
+// links or hashes against records another write is halfway through changing
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a store write after every write queued before it
+ * @param {Function} task - Async; must not queue writes itself (it would wait on itself)
+ * @returns {Promise<*>} The task's result
+ */
+function enqueueWrite(task) {
+    const result = writeQueue.then(task);
+    // A failed write must not stop the ones behind it
+    writeQueue = result.catch(() => { });
+    return result;
+}
+
+/**
+ * Apply a consent command; all of its writes land in one transaction, or none do.
+ * New records join the pending batch only once that transaction commits, and
+ * deleted ones leave it.
+ * @param {Object} command - { version, op, ... }, op one of:
+ *   ADD { consent, deferBatch } - log a new event (linked, hashed and batched here;
+ *     with deferBatch, stored as 'unbatched' until a BATCH command)
+ *   BATCH { id, changes } - merge fields into an 'unbatched' record, then hash and batch it
+ *   PATCH { id, changes } - merge fields into a record
+ *   TOGGLE { id, field } - flip a reviewed/important flag, reading its current value in the queue
+ *   DELETE { id } or { before } - delete one record, or every record logged before a timestamp
+ *   BULK { commands } - apply several of the above together
+ * @returns {Promise<Object>} { success, results } (one per command) or { success: false, error }
+ */
+async function executeConsentCommand(command) {
+    if (!command || command.version !== CONSENT_COMMAND_VERSION) {
+        return { success: false, error: `Unsupported command version: ${command ? command.version : 'none'}` };
+    }
+    const commands = command.op === 'BULK' ? command.commands || [] : [command];
+
+    let results;
+    try {
+        results = await enqueueWrite(async () => {
+            // Records added earlier in the same command, for linking later ones
+            const staged = [];
+            // Batch leaves of the records hashed by this command
+            const leaves = [];
+            const ops = [];
+            const firstOps = [];
+            for (const sub of commands) {
+                firstOps.push(ops.length);
+                ops.push(...await prepareCommand(sub, staged, leaves));
+            }
+
+            const opResults = await ConsentStore.apply(ops);
+            forgetSiteOptIns();
+
+            // A failure here leaves stored records unbatched until recovery on the next start
+            await BlockchainService.commitToBatch(leaves)
+                .catch(error => console.error('Error adding consents to batch:', error));
 
-        await chrome.storage.local.set({ consents });
-        updateBadge(consents.length);
+            if (commands.some(sub => sub.op === 'DELETE')) {
+                await BlockchainService.prunePendingBatch()
+                    .catch(error => console.error('Error pruning pending batch:', error));
+            }
 
-        // Check if we should auto-anchor (day changed)
-        await checkDayChange();
+            return firstOps.map(index => opResults[index]);
+        });
 
-        console.log('✅ Consent saved to batch:', BlockchainService.formatHashForDisplay(consentHash));
     } catch (error) {
-        console.error('Error saving consent:', error);
+        console.error(`Error applying ${command.op} command:`, error);
+        return { success: false, error: error.message };
+    }
+
+    updateBadge(await ConsentStore.count());
+
+    // Check if we should auto-anchor (day changed); outside the queue, as anchoring queues its own write
+    if (commands.some(sub => sub.op === 'ADD' || sub.op === 'BATCH')) {
+        await checkDayChange().catch(error => console.error('Error anchoring batch:', error));
+    }
+
+    return { success: true, results };
+}
+
+/**
+ * Store operations for one command (BULK cannot be nested)
+ * @param {Object} command
+ * @param {Object[]} staged - Records added earlier in the same transaction
+ * @param {Object[]} leaves - Collects { hash, id, dayTimestamp } of the records hashed here
+ * @returns {Promise<Object[]>} Ops for ConsentStore.apply
+ */
+async function prepareCommand(command, staged, leaves) {
+    switch (command && command.op) {
+        case 'ADD': {
+            const problem = MessageSchema.checkConsent(command.consent, 'ADD.consent');
+            if (problem) throw new Error(problem);
+            return prepareAdd(command.consent, staged, leaves, command.deferBatch === true);
+        }
+
+        case 'BATCH': {
+            const record = command.id ? await ConsentStore.get(command.id) : null;
+            if (!record) throw new Error(`Consent not found: ${command.id}`);
+            if (record.batchStatus !== 'unbatched') throw new Error(`Consent already batched: ${command.id}`);
+
+            const consentData = { ...record, ...command.changes };
+            await hashForBatch(consentData, leaves);
+            const { proofHash, batchDay, batchStatus } = consentData;
+            // A patch, so a record deleted earlier in the same command is not brought back
+            return [{ type: 'patch', id: record.id, changes: { ...command.changes, proofHash, batchDay, batchStatus } }];
+        }
+
+        case 'PATCH':
+            if (!command.id || !command.changes) throw new Error('PATCH needs an id and changes');
+            return [{ type: 'patch', id: command.id, changes: command.changes }];
+
+        case 'TOGGLE':
+            if (!command.id || !TOGGLE_FIELDS.includes(command.field)) {
+                throw new Error(`TOGGLE needs an id and one of: ${TOGGLE_FIELDS.join(', ')}`);
+            }
+            return [{ type: 'patch', id: command.id, changes: record => ({ [command.field]: !record[command.field] }) }];
+
+        case 'DELETE':
+            if (typeof command.before === 'number') return [{ type: 'deleteBefore', before: command.before }];
+            if (!command.id) throw new Error('DELETE needs an id or a before timestamp');
+            return [{ type: 'delete', id: command.id }];
+
+        case 'BULK':
+            throw new Error('BULK commands cannot be nested');
+
+        default:
+            throw new Error(`Unknown consent command: ${command && command.op}`);
+    }
+}
+
+/**
+ * Link and hash a new event (it joins the batch once stored), or count it on the record it repeats
+ * @param {boolean} deferBatch - Store it 'unbatched', to be hashed by a later BATCH command
+ * @returns {Promise<Object[]>} Its put and the patch marking any agreement it withdraws, or the repeat patch
+ */
+async function prepareAdd(consentData, staged, leaves, deferBatch) {
+    // Note whether the site was being told not to sell or share data
+    await privacySignalsReady;
+    consentData.gpc = PrivacySignals.isActive(privacySignals, consentData.domain);
+
+    // Place the event in its lifecycle before hashing, so the proof covers the link
+    const siteConsents = [
+        ...await ConsentStore.getAll({ index: 'domain', value: consentData.domain }),
+        ...staged.filter(c => c.domain === consentData.domain)
+    ];
+
+    // Clicking the same banner again is not a new decision, and gets no new Merkle leaf
+    const repeat = findRepeat(siteConsents, consentData, await getDedupeWindowMs());
+    if (repeat) {
+        return [{ type: 'patch', id: repeat.id, changes: record => repeatChanges(record, consentData) }];
+    }
+
+    const withdrawnId = linkToChain(siteConsents, consentData);
+
+    if (deferBatch) {
+        consentData.batchStatus = 'unbatched';
+    } else {
+        await hashForBatch(consentData, leaves);
+    }
+    staged.push(consentData);
+
+    const ops = [{ type: 'put', record: consentData }];
+
+    // Mark the agreement this event takes back
+    if (withdrawnId && siteConsents.some(c => c.id === withdrawnId)) {
+        ops.push({
+            type: 'patch',
+            id: withdrawnId,
+            changes: { withdrawnAt: consentData.timestamp, withdrawnBy: consentData.id }
+        });
+    }
+    return ops;
+}
+
+/**
+ * Hash a record for the pending batch; its leaf is committed once the record is stored
+ * @param {Object} consentData - Gets proofHash, batchDay and batchStatus
+ * @param {Object[]} leaves - Receives the record's leaf
+ */
+async function hashForBatch(consentData, leaves) {
+    const { hash, dayTimestamp, anchored } = await BlockchainService.stageConsent(consentData);
+
+    // The previous day's batch was anchored to make room, whether or not this command lands
+    if (anchored && anchored.success) await ConsentStore.apply(anchoredStatusOps(anchored));
+
+    // Attach hash to consent record
+    consentData.proofHash = hash;
+    consentData.batchDay = dayTimestamp;
+    consentData.batchStatus = 'pending'; // Will be 'anchored' after daily batch
+    leaves.push({ hash, id: consentData.id, dayTimestamp });
+}
+
+// ============ Consent Management ============
+
+/**
+ * Save consent with batch collection
+ * @param {Object} [options] - { deferBatch } (see executeConsentCommand)
+ * @returns {Promise<Object|null>} The stored record (an earlier one if this was a repeat), or null on failure
+ */
+async function saveConsent(consentData, { deferBatch = false } = {}) {
+    const result = await executeConsentCommand({
+        version: CONSENT_COMMAND_VERSION,
+        op: 'ADD',
+        consent: consentData,
+        deferBatch
+    });
+    if (!result.success) return null;
+
+    const [saved] = result.results;
+    if (saved.id !== consentData.id) {
+        console.log(`🔁 Repeat of ${saved.id} (${saved.occurrences} times)`);
+    } else if (saved.batchStatus === 'unbatched') {
+        console.log('✅ Consent saved; batched once its policies are read');
+    } else {
+        console.log('✅ Consent saved to batch:', BlockchainService.formatHashForDisplay(saved.proofHash));
     }
+    return saved;
 }
 
 /**
  * Check if day changed and auto-anchor previous day's batch
  */
 async function checkDayChange() {
-    const batchInfo = BlockchainService.getPendingBatchInfo();
+    const batchInfo = await BlockchainService.getPendingBatchInfo();
     const currentDay = BlockchainService.getDayTimestamp();
 
     if (batchInfo.dayTimestamp && batchInfo.dayTimestamp < currentDay) {
@@ -113,17 +1163,16 @@ async function checkDayChange() {
  * Anchor the daily batch manually or on day change
  */
 async function anchorDailyBatch() {
-    const batchInfo = BlockchainService.getPendingBatchInfo();
+    const result = await BlockchainService.anchorPendingBatch();
 
-    if (batchInfo.count === 0) {
+    // Nothing pending (possibly anchored by another caller just now)
+    if (!result) {
         return { success: false, message: 'No consents to anchor' };
     }
 
-    const result = await BlockchainService.anchorPendingBatch();
-
-    if (result && result.success) {
-        // Update all pending consents to anchored status
-        await updateConsentBatchStatus(result.txHash);
+    if (result.success) {
+        // Update the batch's consents to anchored status
+        await updateConsentBatchStatus(result);
 
         console.log('🔗 Daily batch anchored:', result.txHash);
         return result;
@@ -133,29 +1182,36 @@ async function anchorDailyBatch() {
 }
 
 /**
- * Update consent records with batch status
+ * Store ops marking an anchored batch's records as anchored
+ * @param {Object} batch - { txHash, dayTimestamp, hashes }
  */
-async function updateConsentBatchStatus(txHash) {
-    const result = await chrome.storage.local.get(['consents']);
-    const consents = result.consents || [];
-
-    consents.forEach(consent => {
-        if (consent.batchStatus === 'pending') {
-            consent.batchStatus = 'anchored';
-            consent.txHash = txHash;
-        }
-    });
+function anchoredStatusOps({ txHash, dayTimestamp, hashes }) {
+    return hashes.map(hash => ({
+        type: 'patchIndex',
+        index: 'proofHash',
+        value: hash,
+        // Records recovered from an earlier day move to the batch they were anchored in
+        changes: consent => consent.batchStatus === 'pending'
+            ? { batchStatus: 'anchored', txHash, batchDay: dayTimestamp }
+            : null
+    }));
+}
 
-    await chrome.storage.local.set({ consents });
+/**
+ * Update consent records with batch status
+ * @param {Object} batch - { txHash, dayTimestamp, hashes }
+ */
+async function updateConsentBatchStatus(batch) {
+    await enqueueWrite(() => ConsentStore.apply(anchoredStatusOps(batch)));
 }
 
 /**
- * Get all consents from storage
+ * Get consents from storage, newest first
+ * @param {Object} [query] - { index, value, since, limit } (see ConsentStore.getAll)
  */
-async function getConsents() {
+async function getConsents(query) {
     try {
-        const result = await chrome.storage.local.get(['consents']);
-        return result.consents || [];
+        return await ConsentStore.getAll(query);
     } catch (error) {
         console.error('Error getting consents:', error);
         return [];
@@ -167,7 +1223,11 @@ async function getConsents() {
  */
 async function clearConsents() {
     try {
-        await chrome.storage.local.set({ consents: [] });
+        await enqueueWrite(async () => {
+            await ConsentStore.clear();
+            forgetSiteOptIns();
+            await BlockchainService.prunePendingBatch();
+        });
         updateBadge(0);
         console.log('🗑️ All consents cleared');
     } catch (error) {
@@ -179,14 +1239,9 @@ async function clearConsents() {
  * Delete a specific consent
  */
 async function deleteConsent(id) {
-    try {
-        const result = await chrome.storage.local.get(['consents']);
-        const consents = (result.consents || []).filter(c => c.id !== id);
-        await chrome.storage.local.set({ consents });
-        updateBadge(consents.length);
+    const result = await executeConsentCommand({ version: CONSENT_COMMAND_VERSION, op: 'DELETE', id });
+    if (result.success) {
         console.log('🗑️ Consent deleted:', id);
-    } catch (error) {
-        console.error('Error deleting consent:', error);
     }
 }
 
@@ -205,19 +1260,38 @@ chrome.alarms.create('dailyAnchor', {
     periodInMinutes: 60 * 24 // Every 24 hours
 });
 
+// Re-check agreed policies once a day; creating it again would restart the
+// period, and the worker starts many times a day
+chrome.alarms.get('policyCheck').then((alarm) => {
+    if (!alarm) chrome.alarms.create('policyCheck', { periodInMinutes: 60 * 24 });
+}).catch(error => console.error('Error scheduling policy checks:', error));
+
 chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === 'dailyAnchor') {
         console.log('⏰ Daily anchor alarm triggered');
         anchorDailyBatch();
+    } else if (alarm.name === 'policyCheck') {
+        console.log('⏰ Policy check alarm triggered');
+        checkPolicyChanges();
     }
 });
 
 // ============ Initialization ============
 
 // Initialize badge and blockchain service on startup
-chrome.storage.local.get(['consents']).then(result => {
-    const count = (result.consents || []).length;
-    updateBadge(count);
-});
+ConsentStore.count().then(updateBadge).catch(error => console.error('Error opening consent store:', error));
+
+// Records whose batch was anchored before their status was saved (e.g. the worker stopped in between)
+BlockchainService.init().then(async ({ anchored }) => {
+    for (const batch of anchored) {
+        await updateConsentBatchStatus(batch);
+        console.log(`🩹 ${batch.hashes.length} consent(s) marked as anchored in ${batch.txHash}`);
+    }
+
+    // Records saved while their policies were being read when the worker stopped; batch them without
+    for (const record of await ConsentStore.getAll({ index: 'status', value: 'unbatched' })) {
+        await executeConsentCommand({ version: CONSENT_COMMAND_VERSION, op: 'BATCH', id: record.id, changes: {} });
+    }
+}).catch(error => console.error('Error recovering batch state:', error));
 
 console.log('🚀 Background service started with batch anchoring support');
\ No newline at end of file
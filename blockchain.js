@@ -1,6 +1,6 @@
 // Consent Tracker - Blockchain Service Module v2
 // Batch anchoring with Merkle proofs for tamper-proof audit trails
-// Note: MerkleTree is imported by background.js before this script
+// Note: MerkleTree and ConsentStore are imported by background.js
 
 /**
  * Blockchain Service for Consent Batch Anchoring
@@ -10,6 +10,13 @@
  * - At day's end (or manually), a batch is anchored on-chain
  * - Only the Merkle root is stored on-chain (gas efficient)
  * - Individual consents can be verified via Merkle proofs
+ *
+ * The service worker can be stopped and restarted at any time, so:
+ * - Every entry point waits for init() to reload state from storage
+ * - Batch changes run one at a time and are written in a single storage
+ *   write before they take effect in memory
+ * - init() rebuilds the pending batch solely from the consent records still
+ *   marked batchStatus 'pending', so it never holds a hash without a record
  */
 
 const BlockchainService = {
@@ -49,15 +56,111 @@ const BlockchainService = {
         currentBlock: 1000000
     },
 
+    // Resolves once state has been reloaded (see init)
+    ready: null,
+
+    // Tail of the batch changes queued so far (see exclusive)
+    batchQueue: Promise.resolve(),
+
     // ============ Initialization ============
 
     /**
-     * Initialize the blockchain service
+     * Reload state from storage and recover the pending batch; safe to call repeatedly
+     * @returns {Promise<Object>} Recovery report from recoverPendingBatch()
      */
-    async init() {
-        await this.loadPendingBatch();
-        await this.loadAnchoredBatches();
-        console.log('🔗 BlockchainService initialized');
+    init() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                await this.loadPendingBatch();
+                await this.loadAnchoredBatches();
+                await this.loadSimulatedChain();
+                const report = await this.recoverPendingBatch();
+                console.log('🔗 BlockchainService initialized');
+                return report;
+            })();
+        }
+        return this.ready;
+    },
+
+    /**
+     * Run a batch change after init and after every change queued before it
+     * @param {Function} task - Async; must not call exclusive itself
+     */
+    exclusive(task) {
+        const result = this.batchQueue.then(() => this.init()).then(task);
+        // A failed change must not stop the ones behind it
+        this.batchQueue = result.catch(() => { });
+        return result;
+    },
+
+    /**
+     * Rebuild the pending batch from consent records still marked 'pending'
+     *
+     * The store is the only source: the batch becomes those records' hashes in
+     * the order they were logged, so hashes the stored batch lost come back and
+     * hashes without a record (never written, or deleted) go. Records in an
+     * already anchored batch are reported instead, so their status can be fixed.
+     * @returns {Promise<Object>} { recovered, dropped, anchored: [{ txHash, dayTimestamp, hashes }] }
+     */
+    async recoverPendingBatch() {
+        const report = { recovered: 0, dropped: 0, anchored: [] };
+        let records;
+        try {
+            records = await ConsentStore.getAll({ index: 'status', value: 'pending' });
+        } catch (error) {
+            console.error('Could not read pending consents:', error);
+            return report;
+        }
+
+        const anchoredBy = new Map();
+        for (const batch of this.anchoredBatches) {
+            for (const { hash } of batch.consents) anchoredBy.set(hash, batch);
+        }
+
+        const unanchored = new Map();
+        const anchored = new Map();
+        for (const record of records) {
+            if (!record.proofHash) continue;
+            const batch = anchoredBy.get(record.proofHash);
+            if (!batch) {
+                unanchored.set(record.proofHash, record);
+            } else {
+                if (!anchored.has(batch)) anchored.set(batch, []);
+                anchored.get(batch).push(record.proofHash);
+            }
+        }
+        report.anchored = [...anchored].map(([batch, hashes]) => ({
+            txHash: batch.txHash,
+            dayTimestamp: batch.dayTimestamp,
+            hashes
+        }));
+
+        const stored = new Map(this.pendingBatch.consents.map(entry => [entry.hash, entry]));
+        const consents = [...unanchored.values()]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(record => stored.get(record.proofHash) || { hash: record.proofHash, id: record.id, addedAt: record.timestamp });
+
+        report.recovered = consents.filter(entry => !stored.has(entry.hash)).length;
+        report.dropped = this.pendingBatch.consents.filter(entry => !unanchored.has(entry.hash)).length;
+        const reordered = consents.some((entry, i) => entry !== this.pendingBatch.consents[i]);
+        if (report.recovered === 0 && report.dropped === 0 && !reordered) return report;
+
+        // Records from an earlier day make the batch due for anchoring now
+        const days = [...unanchored.values()].map(record => record.batchDay).filter(Boolean);
+        if (this.pendingBatch.dayTimestamp) days.push(this.pendingBatch.dayTimestamp);
+
+        try {
+            await this.commitState({
+                pendingBatch: {
+                    consents,
+                    dayTimestamp: consents.length > 0 ? Math.min(...days, this.getDayTimestamp()) : null
+                }
+            });
+            console.log(`🩹 Pending batch recovered: ${report.recovered} restored, ${report.dropped} dropped`);
+        } catch (error) {
+            console.error('Could not persist recovered batch:', error);
+        }
+        return report;
     },
 
     /**
@@ -73,16 +176,29 @@ const BlockchainService = {
 
     /**
      * Generate SHA-256 hash from consent data
-     * Hash = SHA256(consent_text + site_url + timestamp + action)
+     * Hash = SHA256(consent_text + site_url + timestamp + action + category + decision [+ tc_string] [+ policy_hash])
      */
     async generateConsentHash(consentData) {
-        const proofString = [
+        const proofParts = [
             consentData.context || '',
             consentData.url || '',
             consentData.timestamp.toString(),
             consentData.buttonText || '',
-            consentData.category || 'general'
-        ].join('|');
+            consentData.category || 'general',
+            consentData.decision || 'accepted'
+        ];
+
+        // Commit to the exact TCF grants when the CMP reported them
+        if (consentData.tcf && consentData.tcf.tcString) {
+            proofParts.push(consentData.tcf.tcString);
+        }
+
+        // Commit to the exact policy text that was in force when the user agreed
+        if (consentData.policyHash) {
+            proofParts.push(consentData.policyHash);
+        }
+
+        const proofString = proofParts.join('|');
 
         // Use Web Crypto API for SHA-256
         const encoder = new TextEncoder();
@@ -99,40 +215,83 @@ const BlockchainService = {
     // ============ Batch Collection ============
 
     /**
-     * Add a consent to the pending daily batch
+     * Hash a consent for the pending daily batch, without adding it yet
+     * (see commitToBatch), so a record that is never stored leaves no leaf
+     * @returns {Promise<Object>} { hash, dayTimestamp, anchored }: anchored is the
+     *   previous day's batch if it was anchored first (see anchorPendingBatch), else null
      */
-    async addConsentToBatch(consentData) {
-        const currentDay = this.getDayTimestamp();
-
-        // If day changed, save old batch and start new one
-        if (this.pendingBatch.dayTimestamp && this.pendingBatch.dayTimestamp !== currentDay) {
-            // Auto-anchor previous day's batch
-            await this.anchorPendingBatch();
-        }
+    stageConsent(consentData) {
+        return this.exclusive(async () => {
+            const currentDay = this.getDayTimestamp();
+            let anchored = null;
+
+            // If day changed, save old batch and start new one
+            if (this.pendingBatch.dayTimestamp && this.pendingBatch.dayTimestamp !== currentDay) {
+                // Auto-anchor previous day's batch
+                anchored = await this.anchorBatch();
+            }
 
-        // Generate hash for this consent
-        const consentHash = await this.generateConsentHash(consentData);
+            // Generate hash for this consent
+            const consentHash = await this.generateConsentHash(consentData);
 
-        // Add to pending batch
-        this.pendingBatch.consents.push({
-            hash: consentHash,
-            data: consentData,
-            addedAt: Date.now()
+            return { hash: consentHash, dayTimestamp: currentDay, anchored };
         });
-        this.pendingBatch.dayTimestamp = currentDay;
+    },
 
-        // Persist pending batch
-        await this.savePendingBatch();
+    /**
+     * Add staged consents to the pending batch, once their records are stored
+     * @param {Object[]} entries - { hash, id, dayTimestamp } from stageConsent
+     */
+    commitToBatch(entries) {
+        return this.exclusive(async () => {
+            if (entries.length === 0) return;
+            const days = entries.map(entry => entry.dayTimestamp);
+            if (this.pendingBatch.dayTimestamp) days.push(this.pendingBatch.dayTimestamp);
+
+            // The record itself is kept by ConsentStore
+            await this.commitState({
+                pendingBatch: {
+                    consents: [
+                        ...this.pendingBatch.consents,
+                        ...entries.map(({ hash, id }) => ({ hash, id, addedAt: Date.now() }))
+                    ],
+                    dayTimestamp: Math.min(...days)
+                }
+            });
 
-        console.log(`📦 Consent added to batch (${this.pendingBatch.consents.length} total)`);
+            console.log(`📦 Consent added to batch (${this.pendingBatch.consents.length} total)`);
+        });
+    },
 
-        return consentHash;
+    /**
+     * Drop pending leaves whose record is no longer in ConsentStore (deleted or cleared)
+     * @returns {Promise<number>} How many were dropped
+     */
+    prunePendingBatch() {
+        return this.exclusive(async () => {
+            const records = await ConsentStore.getAll({ index: 'status', value: 'pending' });
+            const stored = new Set(records.map(record => record.proofHash));
+            const consents = this.pendingBatch.consents.filter(entry => stored.has(entry.hash));
+
+            const dropped = this.pendingBatch.consents.length - consents.length;
+            if (dropped === 0) return 0;
+
+            await this.commitState({
+                pendingBatch: {
+                    consents,
+                    dayTimestamp: consents.length > 0 ? this.pendingBatch.dayTimestamp : null
+                }
+            });
+            console.log(`🗑️ ${dropped} deleted consent(s) removed from the pending batch`);
+            return dropped;
+        });
     },
 
     /**
      * Get pending batch info
      */
-    getPendingBatchInfo() {
+    async getPendingBatchInfo() {
+        await this.init();
         return {
             count: this.pendingBatch.consents.length,
             dayTimestamp: this.pendingBatch.dayTimestamp,
@@ -144,8 +303,14 @@ const BlockchainService = {
 
     /**
      * Anchor the pending batch on-chain
+     * @returns {Promise<Object|null>} Chain result plus the batch's dayTimestamp and hashes, or null if empty
      */
-    async anchorPendingBatch() {
+    anchorPendingBatch() {
+        return this.exclusive(() => this.anchorBatch());
+    },
+
+    // anchorPendingBatch, for callers already inside exclusive()
+    async anchorBatch() {
         if (this.pendingBatch.consents.length === 0) {
             console.log('⚠️ No consents to anchor');
             return null;
@@ -156,7 +321,10 @@ const BlockchainService = {
         const merkleRoot = tree.root;
 
         // Create storage pointer (hash of batch data for IPFS simulation)
-        const batchData = JSON.stringify(this.pendingBatch);
+        const batchData = JSON.stringify({
+            ...this.pendingBatch,
+            records: await this.getBatchRecords(leaves)
+        });
         const storagePointer = await this.hashString(batchData);
 
         // Anchor on-chain (or simulate)
@@ -182,19 +350,34 @@ const BlockchainService = {
                 simulated: result.simulated
             };
 
-            this.anchoredBatches.push(anchoredBatch);
-            await this.saveAnchoredBatches();
-
-            // Clear pending batch
-            this.pendingBatch = { consents: [], dayTimestamp: null };
-            await this.savePendingBatch();
+            // Store the anchored batch and clear the pending one in one write,
+            // so a restart never finds the batch both anchored and pending
+            await this.commitState({
+                anchoredBatches: [...this.anchoredBatches, anchoredBatch],
+                pendingBatch: { consents: [], dayTimestamp: null }
+            });
 
             console.log(`✅ Batch anchored: ${merkleRoot.substring(0, 10)}...`);
+            return { ...result, dayTimestamp: anchoredBatch.dayTimestamp, hashes: leaves };
         }
 
         return result;
     },
 
+    /**
+     * Consent records hashed into a batch, queried from ConsentStore
+     */
+    async getBatchRecords(hashes) {
+        try {
+            const matches = await Promise.all(hashes.map(hash =>
+                ConsentStore.getAll({ index: 'proofHash', value: hash })));
+            return matches.flat();
+        } catch (error) {
+            console.log('Could not read batch records');
+            return [];
+        }
+    },
+
     /**
      * Anchor batch on blockchain
      */
@@ -277,10 +460,7 @@ const BlockchainService = {
 
         // Persist to chrome storage
         try {
-            const result = await chrome.storage.local.get(['simulatedBatches']);
-            const batches = result.simulatedBatches || [];
-            batches.push(batchData);
-            await chrome.storage.local.set({ simulatedBatches: batches });
+            await chrome.storage.local.set({ simulatedBatches: this.simulatedChain.batches });
         } catch (error) {
             console.log('Running outside extension context');
         }
@@ -301,6 +481,8 @@ const BlockchainService = {
      * Verify a specific consent exists in an anchored batch
      */
     async verifyConsent(consentHash) {
+        await this.init();
+
         // Find which batch contains this consent
         for (const batch of this.anchoredBatches) {
             const consent = batch.consents.find(c => c.hash === consentHash);
@@ -385,6 +567,8 @@ const BlockchainService = {
      * Verify anchor exists on-chain
      */
     async verifyAnchor(merkleRoot) {
+        await this.init();
+
         // Check simulated storage first
         const simBatch = this.simulatedChain.batches.find(b => b.merkleRoot === merkleRoot);
         if (simBatch) {
@@ -451,14 +635,19 @@ const BlockchainService = {
     // ============ Persistence ============
 
     /**
-     * Save pending batch to storage
+     * Persist new batch state in one storage write, then adopt it in memory;
+     * if the write fails nothing changes and the error is thrown
+     * @param {Object} state - { pendingBatch?, anchoredBatches? }
      */
-    async savePendingBatch() {
-        try {
-            await chrome.storage.local.set({ pendingBatch: this.pendingBatch });
-        } catch (error) {
-            console.log('Could not persist pending batch');
-        }
+    async commitState({ pendingBatch, anchoredBatches }) {
+        const items = {};
+        if (pendingBatch) items.pendingBatch = pendingBatch;
+        if (anchoredBatches) items.anchoredBatches = this.batchesForStorage(anchoredBatches);
+
+        await chrome.storage.local.set(items);
+
+        if (pendingBatch) this.pendingBatch = pendingBatch;
+        if (anchoredBatches) this.anchoredBatches = anchoredBatches;
     },
 
     /**
@@ -476,19 +665,14 @@ const BlockchainService = {
     },
 
     /**
-     * Save anchored batches to storage
+     * Anchored batches as stored
      */
-    async saveAnchoredBatches() {
-        try {
-            // Don't save the full tree to storage (too large)
-            const batchesForStorage = this.anchoredBatches.map(b => ({
-                ...b,
-                tree: { root: b.tree.root, leafCount: b.tree.leafCount }
-            }));
-            await chrome.storage.local.set({ anchoredBatches: batchesForStorage });
-        } catch (error) {
-            console.log('Could not persist anchored batches');
-        }
+    batchesForStorage(batches) {
+        // Don't save the full tree to storage (too large)
+        return batches.map(b => ({
+            ...b,
+            tree: { root: b.tree.root, leafCount: b.tree.leafCount }
+        }));
     },
 
     /**
@@ -512,12 +696,30 @@ const BlockchainService = {
         }
     },
 
+    /**
+     * Load simulated anchors, continuing block numbers after the last one
+     */
+    async loadSimulatedChain() {
+        try {
+            const result = await chrome.storage.local.get(['simulatedBatches']);
+            if (result.simulatedBatches) {
+                this.simulatedChain.batches = result.simulatedBatches;
+                const lastBlock = Math.max(this.simulatedChain.currentBlock - 1,
+                    ...result.simulatedBatches.map(b => b.blockNumber));
+                this.simulatedChain.currentBlock = lastBlock + 1;
+            }
+        } catch (error) {
+            console.log('Could not load simulated anchors');
+        }
+    },
+
     // ============ Statistics ============
 
     /**
      * Get blockchain statistics
      */
-    getStats() {
+    async getStats() {
+        await this.init();
         return {
             pendingConsents: this.pendingBatch.consents.length,
             anchoredBatches: this.anchoredBatches.length,
@@ -529,7 +731,8 @@ const BlockchainService = {
     /**
      * Get all anchored batches (for dashboard)
      */
-    getAllBatches() {
+    async getAllBatches() {
+        await this.init();
         return this.anchoredBatches.map(b => ({
             merkleRoot: b.merkleRoot,
             dayTimestamp: b.dayTimestamp,
@@ -569,7 +772,7 @@ const BlockchainService = {
     }
 };
 
-// Initialize on load
+// Initialize on load (entry points wait for it)
 BlockchainService.init();
 
 // Export for use in other scripts
@@ -4,40 +4,240 @@
 (function () {
   'use strict';
 
-  // Keywords that indicate consent-related buttons
-  const CONSENT_KEYWORDS = [
-    'accept', 'allow', 'grant', 'agree', 'consent', 'ok', 'yes',
-    'continue', 'got it', 'i agree', 'i accept', 'understood',
-    'enable', 'approve', 'confirm', 'subscribe', 'sign up', 'signup',
-    'opt in', 'opt-in', 'accept all', 'allow all', 'agree all',
-    'accept cookies', 'allow cookies', 'accept & continue',
-    'that\'s ok', 'sounds good', 'fine by me', 'no problem',
-    'register', 'join', 'submit', 'send', 'get started', 'start',
-    'notify me', 'keep me updated', 'stay updated', 'get updates',
-    'join now', 'sign me up', 'count me in', 'i\'m in'
-  ];
+  // Custom keyword packs saved from the options page, keyed by language code
+  let customKeywordPacks = {};
 
-  // Keywords to categorize the type of consent
-  const CONSENT_CATEGORIES = {
-    cookies: ['cookie', 'cookies', 'tracking', 'analytics', 'advertising', 'gdpr', 'ccpa'],
-    newsletter: ['newsletter', 'subscribe', 'subscription', 'updates', 'news', 'mailing list', 'weekly', 'daily', 'digest'],
-    email: ['email', 'e-mail', 'inbox', 'mail'],
-    account: ['account', 'register', 'sign up', 'signup', 'create account', 'join', 'member'],
-    data: ['data', 'personal', 'information', 'privacy', 'share'],
-    terms: ['terms', 'conditions', 'policy', 'agreement', 'legal', 'tos'],
-    notifications: ['notification', 'push', 'alert', 'remind', 'notify'],
-    location: ['location', 'gps', 'geolocation', 'where', 'nearby'],
-    permissions: ['permission', 'access', 'camera', 'microphone', 'contacts'],
-    marketing: ['marketing', 'promotional', 'offers', 'deals', 'discount']
-  };
+  // Keyword set for the current page language (see lib/keywordPacks.js)
+  let activeKeywords = null;
+
+  // User-defined detection rules (see lib/siteRules.js)
+  let siteRules = [];
 
-  // Track already logged items to prevent duplicates
+  // Private channel to inject.js, set up by its handshake
+  let injectPort = null;
+  let injectSecret = null;
+
+  // Track items already logged from this page; repeats across visits are merged by the background
   const loggedItems = new Set();
 
-  // Check if text contains consent keywords
-  function isConsentButton(text) {
-    const lowerText = text.toLowerCase().trim();
-    return CONSENT_KEYWORDS.some(keyword => lowerText.includes(keyword));
+  // How long a click-based consent waits for the CMP to report what was saved (ms)
+  const CMP_WAIT_MS = 1500;
+
+  // Banner containers rendered by known consent management platforms
+  const CMP_CONTAINERS = {
+    onetrust: { name: 'OneTrust', selector: '#onetrust-consent-sdk, #onetrust-banner-sdk, #onetrust-pc-sdk' },
+    cookiebot: { name: 'Cookiebot', selector: '#CybotCookiebotDialog' },
+    didomi: { name: 'Didomi', selector: '#didomi-host, .didomi-popup-container' },
+    quantcast: { name: 'Quantcast Choice', selector: '#qc-cmp2-container, .qc-cmp2-container' },
+    usercentrics: { name: 'Usercentrics', selector: '#usercentrics-root, #usercentrics-cmp-ui' }
+  };
+
+  // Hosts that serve consent UIs inside cross-origin iframes
+  const CMP_FRAME_HOSTS = {
+    sourcepoint: { name: 'Sourcepoint', hosts: ['privacy-mgmt.com', 'sourcepoint.mgr.consensu.org', 'sp-prod.net'] },
+    trustarc: { name: 'TrustArc', hosts: ['trustarc.com', 'truste.com'] }
+  };
+
+  // CMP state reported by inject.js
+  const cmpState = {
+    tcfAvailable: false,
+    adapter: null, // { id, name } of the CMP adapter that matched the page
+    pending: null // { consentData, timer, awaiting, cmpId } held until the CMP reports
+  };
+
+  // Elements a user can click to express a decision
+  const CLICKABLE_SELECTOR = 'button, a, [role="button"], input[type="submit"], input[type="button"], [onclick], span[class*="btn"], div[class*="btn"]';
+
+  // Whether this script runs in the top-level page or inside a frame
+  const isTopFrame = window === window.top;
+
+  // ==========================================
+  // SHADOW DOM & FRAME HELPERS
+  // ==========================================
+
+  // Parent element, stepping out of open shadow roots to their host
+  function getComposedParent(element) {
+    if (element.parentElement) return element.parentElement;
+    const root = element.getRootNode ? element.getRootNode() : null;
+    return root && root.host ? root.host : null;
+  }
+
+  // Like element.closest(), but crosses open shadow root boundaries
+  function closestComposed(element, selector) {
+    let current = element;
+    while (current) {
+      if (current.nodeType === Node.ELEMENT_NODE && current.matches(selector)) {
+        return current;
+      }
+      current = getComposedParent(current);
+    }
+    return null;
+  }
+
+  // querySelectorAll that also searches nested open shadow roots
+  function querySelectorAllDeep(root, selector) {
+    const results = [...root.querySelectorAll(selector)];
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) {
+        results.push(...querySelectorAllDeep(el.shadowRoot, selector));
+      }
+    });
+    return results;
+  }
+
+  // Resolve the clicked element, including targets inside open shadow roots
+  function resolveClickable(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+    for (const node of path) {
+      if (node.nodeType === Node.ELEMENT_NODE && node.matches(CLICKABLE_SELECTOR)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  // URL of the page a consent belongs to; frames report their top-level page
+  function getPageUrl() {
+    if (isTopFrame) return window.location.href;
+
+    try {
+      return window.top.location.href;
+    } catch {
+      // Cross-origin frame: fall back to the ancestor chain
+    }
+
+    const origins = window.location.ancestorOrigins;
+    if (origins && origins.length > 0) {
+      return origins[origins.length - 1];
+    }
+    return document.referrer || window.location.href;
+  }
+
+  // Frame details for consents captured outside the top-level page
+  function getFrameInfo() {
+    if (isTopFrame) return null;
+    return {
+      url: window.location.href,
+      domain: window.location.hostname
+    };
+  }
+
+  // ==========================================
+  // LANGUAGE KEYWORD PACKS
+  // ==========================================
+
+  // Keywords for the page language, rebuilt when the language or custom packs change
+  function getKeywords() {
+    const lang = document.documentElement ? document.documentElement.lang : '';
+    if (!activeKeywords || activeKeywords.pageLang !== lang) {
+      activeKeywords = {
+        pageLang: lang,
+        ...KeywordPacks.select(lang, customKeywordPacks)
+      };
+    }
+    return activeKeywords;
+  }
+
+  // Load user packs and keep them in sync with the options page
+  function loadCustomKeywordPacks() {
+    chrome.storage.sync.get(['customKeywordPacks'], (result) => {
+      customKeywordPacks = result.customKeywordPacks || {};
+      activeKeywords = null;
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'sync' && changes.customKeywordPacks) {
+        customKeywordPacks = changes.customKeywordPacks.newValue || {};
+        activeKeywords = null;
+      }
+    });
+  }
+
+  // Work out which decision a button expresses, or null if none
+  function detectDecision(text) {
+    const match = ConsentClassifier.matchDecision(text, getKeywords());
+    return match ? match.decision : null;
+  }
+
+  // ==========================================
+  // SITE RULES
+  // ==========================================
+
+  // Load user rules and keep them in sync with the options page
+  function loadSiteRules() {
+    chrome.storage.sync.get(['siteRules'], (result) => {
+      siteRules = result.siteRules || [];
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'sync' && changes.siteRules) {
+        siteRules = changes.siteRules.newValue || [];
+      }
+    });
+  }
+
+  // First user rule for this site that matches the element or its label
+  function findSiteRule(element, text) {
+    if (siteRules.length === 0) return null;
+    return SiteRules.find(siteRules, new URL(getPageUrl()).hostname, text,
+      selector => !!closestComposed(element, selector));
+  }
+
+  // Short CSS selector for an element, offered when creating a rule from an event
+  function describeElement(element) {
+    if (element.id && /^[A-Za-z][\w-]*$/.test(element.id)) {
+      return `#${element.id}`;
+    }
+    const classes = [...element.classList]
+      .filter(name => /^[A-Za-z][\w-]*$/.test(name))
+      .slice(0, 2)
+      .map(name => `.${name}`)
+      .join('');
+    return element.tagName.toLowerCase() + classes;
+  }
+
+  // ==========================================
+  // POLICY LINKS
+  // ==========================================
+
+  // Link text or URL patterns per document type; checked in this order
+  const POLICY_LINK_PATTERNS = [
+    ['terms', /terms|conditions|nutzungsbedingungen|\bagb\b|conditions g[ée]n[ée]rales|t[ée]rminos|condiciones|termini|voorwaarden|termos|利用規約/i],
+    ['cookies', /cookie[\s_-]*(policy|notice|richtlinie|politique|pol[íi]tica|informativa|beleid)|cookiebeleid|cookie-hinweis/i],
+    ['privacy', /privacy|datenschutz|confidentialit|donn[ée]es personnelles|privacidad|privacidade|riservatezza|privacybeleid|data protection|data policy|プライバシー/i]
+  ];
+
+  // Privacy, cookie and terms links near a banner or form, falling back to the whole page
+  function findPolicyLinks(element) {
+    const links = {};
+
+    const collect = (anchors) => {
+      for (const anchor of anchors) {
+        if (!/^https?:$/.test(anchor.protocol)) continue;
+
+        const text = `${anchor.innerText || ''} ${anchor.pathname}`;
+        const match = POLICY_LINK_PATTERNS.find(([, pattern]) => pattern.test(text));
+        if (match && !links[match[0]]) {
+          links[match[0]] = anchor.href.split('#')[0];
+        }
+      }
+    };
+
+    // Walk up from the element so the closest links win
+    let container = element;
+    for (let depth = 0; container && depth < 8 && Object.keys(links).length === 0; depth++) {
+      if (container.querySelectorAll) {
+        collect(container.querySelectorAll('a[href]'));
+      }
+      container = getComposedParent(container);
+    }
+
+    // Policy links usually live in the page footer when the banner has none
+    if (Object.keys(links).length === 0) {
+      collect(document.querySelectorAll('a[href]'));
+    }
+
+    return Object.entries(links).map(([type, url]) => ({ type, url }));
   }
 
   // Check if element is part of a newsletter/email form
@@ -79,23 +279,87 @@
     return null;
   }
 
-  // Detect the category of consent based on surrounding context
+  // Input types that never hold typed-in personal data
+  const NON_DATA_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'checkbox', 'radio', 'range', 'color', 'file', 'search'];
+
+  // Whether a field was filled in; the value itself is never read beyond this
+  function isFilledField(field) {
+    if (field.disabled || NON_DATA_INPUT_TYPES.includes(field.type)) return false;
+    return field.value.trim().length > 0;
+  }
+
+  // Short label for a form field, used only as a classification hint
+  function getFieldLabel(field) {
+    if (field.labels && field.labels.length > 0) {
+      return field.labels[0].innerText;
+    }
+    return field.getAttribute('aria-label') || field.getAttribute('title') || '';
+  }
+
+  // Kinds of personal data in the filled fields of a form, in taxonomy order
+  function inventoryFormData(form) {
+    const types = new Set();
+
+    form.querySelectorAll('input, select, textarea').forEach(field => {
+      if (!isFilledField(field)) return;
+
+      const type = PiiTaxonomy.classifyField({
+        autocomplete: field.getAttribute('autocomplete'),
+        type: field.type,
+        name: field.name,
+        id: field.id,
+        placeholder: field.getAttribute('placeholder'),
+        label: getFieldLabel(field)
+      });
+      if (type) types.add(type);
+    });
+
+    return PiiTaxonomy.sort([...types]);
+  }
+
+  // Detect the category of consent from text alone (no element to inspect)
   function detectCategory(contextText) {
-    const lowerContext = contextText.toLowerCase();
+    return ConsentClassifier.scoreCategories({ context: contextText }, getKeywords()).category;
+  }
 
-    // Check each category
-    for (const [category, keywords] of Object.entries(CONSENT_CATEGORIES)) {
-      if (keywords.some(keyword => lowerContext.includes(keyword))) {
-        return category;
+  // Nearest fixed or sticky ancestor pinned to the top or bottom of the viewport
+  function findBannerEdge(element) {
+    let current = element;
+    let depth = 0;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && depth < 12) {
+      const position = getComputedStyle(current).position;
+      if (position === 'fixed' || position === 'sticky') {
+        const rect = current.getBoundingClientRect();
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        if (rect.top <= viewportHeight * 0.2) return 'top';
+        if (rect.bottom >= viewportHeight * 0.8) return 'bottom';
+        return 'floating';
       }
+      current = getComposedParent(current);
+      depth++;
     }
-    return 'general';
+    return null;
+  }
+
+  // Signals the classifier weighs for a clicked element
+  function extractFeatures(element, buttonText, context, cmp) {
+    const form = element.closest('form');
+    return {
+      buttonText,
+      context,
+      role: element.getAttribute('role') || (element.matches('button, input[type="submit"], input[type="button"]') ? 'button' : null),
+      inDialog: !!closestComposed(element, 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]'),
+      cmp: !!cmp,
+      banner: findBannerEdge(element),
+      emailForm: !!(form && hasEmailInput(form))
+    };
   }
 
   // Extract context from the button's parent elements
   function extractContext(element) {
     let context = '';
-    let parent = element.parentElement;
+    let parent = getComposedParent(element);
     let depth = 0;
     const maxDepth = 6;
 
@@ -104,7 +368,7 @@
       if (parentText.length > context.length && parentText.length < 1000) {
         context = parentText;
       }
-      parent = parent.parentElement;
+      parent = getComposedParent(parent);
       depth++;
     }
 
@@ -126,6 +390,79 @@
     return context;
   }
 
+  // Find the dialog or panel that encloses a preference-center button
+  function findPreferenceContainer(element) {
+    const dialog = closestComposed(element, 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]');
+    if (dialog) return dialog;
+
+    const cmpSelectors = Object.values(CMP_CONTAINERS).map(c => c.selector).join(', ');
+    const cmpContainer = closestComposed(element, cmpSelectors);
+    if (cmpContainer) return cmpContainer;
+
+    return element.closest('form');
+  }
+
+  // Resolve a human-readable label for a toggle, checkbox or switch
+  function getToggleLabel(toggle) {
+    if (toggle.labels && toggle.labels.length > 0) {
+      return toggle.labels[0].innerText;
+    }
+
+    const labelledBy = toggle.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(el => el.innerText)
+        .join(' ');
+      if (text.trim()) return text;
+    }
+
+    const ariaLabel = toggle.getAttribute('aria-label') || toggle.getAttribute('title');
+    if (ariaLabel) return ariaLabel;
+
+    const wrappingLabel = toggle.closest('label');
+    if (wrappingLabel) return wrappingLabel.innerText;
+
+    // Fall back to the nearest ancestor with a short text description
+    let parent = getComposedParent(toggle);
+    for (let depth = 0; parent && depth < 3; depth++) {
+      const text = (parent.innerText || '').trim();
+      if (text && text.length < 120) return text;
+      parent = getComposedParent(parent);
+    }
+    return toggle.name || toggle.id || '';
+  }
+
+  // Snapshot the checked state of every labelled toggle in the enclosing dialog
+  function snapshotChoices(element) {
+    const container = findPreferenceContainer(element);
+    if (!container) return [];
+
+    const toggles = querySelectorAllDeep(container, 'input[type="checkbox"], input[type="radio"], [role="switch"], [role="checkbox"]');
+    const choices = [];
+    const seen = new Set();
+
+    toggles.forEach(toggle => {
+      // Unselected radio options are alternatives, not choices
+      if (toggle.type === 'radio' && !toggle.checked) return;
+
+      const label = getToggleLabel(toggle).replace(/\s+/g, ' ').trim().substring(0, 80);
+      if (!label || seen.has(label)) return;
+      seen.add(label);
+
+      const isInput = toggle.tagName === 'INPUT';
+      choices.push({
+        label,
+        checked: isInput ? toggle.checked : toggle.getAttribute('aria-checked') === 'true',
+        disabled: isInput ? toggle.disabled : toggle.getAttribute('aria-disabled') === 'true',
+        type: isInput ? toggle.type : toggle.getAttribute('role')
+      });
+    });
+
+    return choices.slice(0, 50);
+  }
+
   // Generate a unique ID
   function generateId() {
     return 'consent_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -145,12 +482,13 @@
     return `${domain}|${buttonText.toLowerCase().trim()}|${category}`;
   }
 
-  // Send consent data to background script
-  function logConsent(buttonText, context, category, extraData = {}) {
-    const domain = getDomain(window.location.href);
+  // Send consent data to background script; awaitCmp holds clicks made in the CMP's own UI
+  function logConsent(buttonText, context, category, extraData = {}, { awaitCmp = false } = {}) {
+    const pageUrl = getPageUrl();
+    const domain = getDomain(pageUrl);
     const hash = createHash(domain, buttonText, category);
 
-    // Prevent duplicate logging within same session
+    // Prevent duplicate logging within the same page
     if (loggedItems.has(hash)) {
       return;
     }
@@ -158,27 +496,221 @@
 
     const consentData = {
       id: generateId(),
-      url: window.location.href,
+      url: pageUrl,
       domain: domain,
       buttonText: buttonText.trim(),
       context: context,
       category: category,
+      decision: 'accepted',
+      language: getKeywords().language,
       timestamp: Date.now(),
       ...extraData
     };
 
-    // Send to background script
+    // Clicks inside a third-party frame are attributed to the page; keep the frame too
+    const frame = getFrameInfo();
+    if (frame) consentData.frame = frame;
+
+    // A click in the CMP's banner waits briefly for the CMP to report what was saved
+    if (awaitCmp) {
+      const awaiting = [];
+      if (cmpState.tcfAvailable && !consentData.tcf) awaiting.push('tcf');
+      if (cmpState.adapter && !consentData.cmpCategories) awaiting.push('cmp');
+
+      if (awaiting.length > 0) {
+        holdForCmp(consentData, awaiting);
+        return;
+      }
+    }
+
+    sendConsent(consentData);
+  }
+
+  // Send a consent record to the background script
+  function sendConsent(consentData) {
     chrome.runtime.sendMessage({
       type: 'CONSENT_DETECTED',
       data: consentData
     });
 
-    // Show visual feedback
-    showFeedback(buttonText, category);
+    // Show visual feedback (the background relays it to the top frame for sub-frames)
+    if (isTopFrame) {
+      showFeedback(consentData.buttonText, consentData.category, consentData.decision);
+    }
+  }
+
+  // ==========================================
+  // CONSENT MANAGEMENT PLATFORM CAPTURE
+  // ==========================================
+
+  // Hold a consent until the CMP reports its TCF string and/or saved categories
+  function holdForCmp(consentData, awaiting) {
+    flushPendingCmp();
+
+    cmpState.pending = {
+      consentData,
+      awaiting: new Set(awaiting),
+      // Set when the click was inside a known CMP's container, so its report is about this click
+      cmpId: consentData.cmp ? consentData.cmp.id : null,
+      timer: setTimeout(flushPendingCmp, CMP_WAIT_MS)
+    };
+  }
+
+  // Send any held consent with whatever the CMP has reported so far
+  function flushPendingCmp() {
+    if (!cmpState.pending) return;
+    clearTimeout(cmpState.pending.timer);
+    const { consentData } = cmpState.pending;
+    cmpState.pending = null;
+    sendConsent(consentData);
+  }
+
+  // Attach a CMP report to the held consent, sending it once nothing else is awaited
+  function resolvePendingCmp(source, data) {
+    const pending = cmpState.pending;
+    const { decision, ...details } = data;
+    const clickedCmp = pending.cmpId !== null;
+    // A different CMP's save says nothing about this click
+    const otherCmp = source === 'cmp' && clickedCmp && data.cmp.id !== pending.cmpId;
+
+    if (!otherCmp) {
+      Object.assign(pending.consentData, details);
+    }
+
+    // Only the CMP whose container was clicked decides what the click meant
+    if (clickedCmp && !otherCmp) {
+      pending.consentData.decision = decision;
+      // The CMP confirmed the save, so the click was a real consent decision
+      if (typeof pending.consentData.confidence === 'number') {
+        pending.consentData.confidence = 1;
+      }
+    }
+    pending.awaiting.delete(source);
+    if (pending.awaiting.size === 0) {
+      flushPendingCmp();
+    }
+  }
+
+  // Find the CMP whose banner contains the clicked element
+  function detectCmpContainer(element) {
+    // Whole-frame consent UIs served from a CMP's own host
+    if (!isTopFrame) {
+      const host = window.location.hostname;
+      for (const [id, { name, hosts }] of Object.entries(CMP_FRAME_HOSTS)) {
+        if (hosts.some(h => host === h || host.endsWith('.' + h))) {
+          return { id, name };
+        }
+      }
+    }
+
+    for (const [id, { name, selector }] of Object.entries(CMP_CONTAINERS)) {
+      if (closestComposed(element, selector)) {
+        return { id, name };
+      }
+    }
+    return null;
+  }
+
+  // Summarise a decoded TC string for storage on the consent record
+  function buildTcfPayload(detail) {
+    const decoded = TCString.decode(detail.tcString);
+    if (!decoded) return null;
+
+    return {
+      tcString: detail.tcString,
+      cmpId: decoded.cmpId,
+      cmpVersion: decoded.cmpVersion,
+      policyVersion: decoded.policyVersion,
+      consentLanguage: decoded.consentLanguage,
+      gdprApplies: detail.gdprApplies,
+      purposeConsents: decoded.purposeConsents,
+      purposeLegitimateInterests: decoded.purposeLegitimateInterests,
+      specialFeatureOptins: decoded.specialFeatureOptins,
+      vendorConsents: decoded.vendorConsents,
+      vendorLegitimateInterests: decoded.vendorLegitimateInterests,
+      lastUpdated: decoded.lastUpdated
+    };
+  }
+
+  // Handle a TCF update from the injected script
+  function handleTcfReport(detail) {
+    if (!detail || !detail.tcString) return;
+
+    cmpState.tcfAvailable = true;
+
+    // 'tcloaded' only tells us a CMP is present with a stored decision
+    if (detail.eventStatus !== 'useractioncomplete') return;
+
+    const tcf = buildTcfPayload(detail);
+    if (!tcf) return;
+
+    if (cmpState.pending) {
+      resolvePendingCmp('tcf', { tcf });
+      return;
+    }
+
+    // The user saved choices through UI we did not recognise as a consent click
+    logConsent('Consent preferences saved', extractTcfContext(tcf), 'cookies', {
+      tcf,
+      decision: decisionFromTcf(tcf)
+    });
+  }
+
+  // Handle a CMP adapter report from the injected script
+  function handleCmpReport(detail) {
+    if (!detail || !detail.cmp) return;
+
+    cmpState.adapter = detail.cmp;
+
+    // 'detected' only tells us which CMP runs on the page
+    if (detail.status !== 'saved' || !Array.isArray(detail.categories)) return;
+
+    const data = {
+      cmp: detail.cmp,
+      cmpCategories: detail.categories,
+      decision: decisionFromCategories(detail.categories)
+    };
+
+    if (cmpState.pending) {
+      resolvePendingCmp('cmp', data);
+      return;
+    }
+
+    logConsent('Consent preferences saved', extractCmpContext(detail.cmp, detail.categories), 'cookies', data);
+  }
+
+  // Describe TCF grants in plain text for the record context
+  function extractTcfContext(tcf) {
+    return `TCF consent saved via CMP #${tcf.cmpId}: ` +
+      `${tcf.purposeConsents.length} purposes, ${tcf.vendorConsents.length} vendors granted.`;
+  }
+
+  // Describe CMP category toggles in plain text for the record context
+  function extractCmpContext(cmp, categories) {
+    const granted = categories.filter(c => c.granted).map(c => c.name);
+    const denied = categories.filter(c => !c.granted).map(c => c.name);
+    return `${cmp.name} preferences saved. ` +
+      `Allowed: ${granted.join(', ') || 'none'}. Denied: ${denied.join(', ') || 'none'}.`;
+  }
+
+  // Infer the decision from what the TC string grants
+  function decisionFromTcf(tcf) {
+    const purposeCount = Object.keys(TCString.PURPOSES).length;
+    if (tcf.purposeConsents.length === 0 && tcf.vendorConsents.length === 0) return 'rejected';
+    if (tcf.purposeConsents.length >= purposeCount) return 'accepted';
+    return 'partial';
+  }
+
+  // Infer the decision from saved CMP categories, ignoring always-on ones
+  function decisionFromCategories(categories) {
+    const optional = categories.filter(c => !c.required);
+    if (optional.length === 0 || optional.every(c => c.granted)) return 'accepted';
+    if (optional.every(c => !c.granted)) return 'rejected';
+    return 'partial';
   }
 
   // Show visual feedback when consent is detected
-  function showFeedback(buttonText, category) {
+  function showFeedback(buttonText, category, decision = 'accepted') {
     const categoryEmojis = {
       cookies: '🍪',
       newsletter: '📧',
@@ -193,45 +725,66 @@
       general: '📋'
     };
 
-    const emoji = categoryEmojis[category] || '🔒';
+    const emoji = decision === 'rejected' ? '🚫' : (categoryEmojis[category] || '🔒');
+    const titles = {
+      accepted: 'Consent Logged',
+      partial: 'Choices Logged',
+      rejected: 'Refusal Logged'
+    };
 
-    const feedback = document.createElement('div');
-    feedback.innerHTML = `
-      <div style="
-        position: fixed;
-        bottom: 20px;
-        right: 20px;
-        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        color: white;
-        padding: 16px 24px;
-        border-radius: 12px;
-        box-shadow: 0 10px 40px rgba(102, 126, 234, 0.4);
-        z-index: 999999;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        font-size: 14px;
-        animation: consentSlideIn 0.3s ease-out;
-        display: flex;
-        align-items: center;
-        gap: 12px;
-      ">
-        <span style="font-size: 24px;">${emoji}</span>
-        <div>
-          <div style="font-weight: 600; margin-bottom: 2px;">Consent Logged</div>
-          <div style="opacity: 0.9; font-size: 12px;">${category.charAt(0).toUpperCase() + category.slice(1)}: "${buttonText.substring(0, 25)}${buttonText.length > 25 ? '...' : ''}"</div>
-        </div>
-      </div>
-      <style>
-        @keyframes consentSlideIn {
-          from { transform: translateX(100%); opacity: 0; }
-          to { transform: translateX(0); opacity: 1; }
-        }
-        @keyframes consentSlideOut {
-          from { transform: translateX(0); opacity: 1; }
-          to { transform: translateX(100%); opacity: 0; }
-        }
-      </style>
+    // Built from text nodes only: the label may come from a sub-frame's page
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 16px 24px;
+      border-radius: 12px;
+      box-shadow: 0 10px 40px rgba(102, 126, 234, 0.4);
+      z-index: 999999;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      animation: consentSlideIn 0.3s ease-out;
+      display: flex;
+      align-items: center;
+      gap: 12px;
     `;
 
+    const icon = document.createElement('span');
+    icon.style.fontSize = '24px';
+    icon.textContent = emoji;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: 600; margin-bottom: 2px;';
+    title.textContent = titles[decision] || titles.accepted;
+
+    const label = String(category || 'general');
+    const text = String(buttonText || '');
+    const detail = document.createElement('div');
+    detail.style.cssText = 'opacity: 0.9; font-size: 12px;';
+    detail.textContent = `${label.charAt(0).toUpperCase() + label.slice(1)}: "${text.substring(0, 25)}${text.length > 25 ? '...' : ''}"`;
+
+    const body = document.createElement('div');
+    body.append(title, detail);
+    toast.append(icon, body);
+
+    const style = document.createElement('style');
+    style.textContent = `
+      @keyframes consentSlideIn {
+        from { transform: translateX(100%); opacity: 0; }
+        to { transform: translateX(0); opacity: 1; }
+      }
+      @keyframes consentSlideOut {
+        from { transform: translateX(0); opacity: 1; }
+        to { transform: translateX(100%); opacity: 0; }
+      }
+    `;
+
+    const feedback = document.createElement('div');
+    feedback.append(toast, style);
+
     document.body.appendChild(feedback);
 
     // Remove after 3 seconds
@@ -244,13 +797,17 @@
 
   // Handle click events
   function handleClick(event) {
-    const target = event.target;
-
-    // Check if it's a button, link, or clickable element
-    const clickable = target.closest('button, a, [role="button"], input[type="submit"], input[type="button"], [onclick], span[class*="btn"], div[class*="btn"]');
+    // Check if it's a button, link, or clickable element (shadow DOM aware)
+    const clickable = resolveClickable(event);
 
     if (!clickable) return;
 
+    // OAuth consent screens are recorded by the background script from the flow's URLs
+    if (OAuthFlow.parseAuthorizeRequest(window.location.href)) return;
+
+    // Banner the click landed in, if any; it only counts as answered once a decision is logged
+    const banner = findBannerFor(clickable);
+
     // Get the text content of the clicked element
     let buttonText = (clickable.innerText || clickable.value || clickable.getAttribute('aria-label') || '').trim();
 
@@ -264,21 +821,71 @@
     const context = extractContext(clickable);
     const fullContext = context + ' ' + buttonText;
 
-    // Check if this looks like a consent button
-    if (isConsentButton(buttonText)) {
-      const category = detectCategory(fullContext);
+    // User rules for this site take precedence over the heuristics
+    const rule = findSiteRule(clickable, buttonText);
+    if (rule && rule.action === 'ignore') return;
+
+    // Score the click as a consent, refusal or partial-choice decision
+    const cmp = detectCmpContainer(clickable);
+    const result = ConsentClassifier.classify(extractFeatures(clickable, buttonText, fullContext, cmp), getKeywords());
+    let decision = result.decision;
+    let confidence = result.confidence;
+    let isDecision = !!decision && result.actionConfidence >= ConsentClassifier.MIN_ACTION_CONFIDENCE;
+
+    // Buttons inside a known CMP banner are always cookie decisions
+    let category = cmp ? 'cookies' : result.category;
 
-      // Check if it's a newsletter form
-      const extraData = {};
-      if (isNewsletterForm(clickable)) {
+    if (rule && rule.action === 'consent') {
+      decision = rule.decision;
+      confidence = 1;
+      isDecision = true;
+      if (rule.category) category = rule.category;
+    } else if (rule && rule.action === 'category') {
+      category = rule.category;
+    }
+
+    if (isDecision) {
+      const extraData = {
+        decision,
+        confidence,
+        categoryScores: result.categoryScores,
+        selector: describeElement(clickable),
+        policyLinks: findPolicyLinks(clickable)
+      };
+      if (rule) extraData.rule = { id: rule.id, action: rule.action };
+      if (decision === 'rejected' && result.withdrawal) extraData.eventType = 'withdrawal';
+      if (cmp) extraData.cmp = cmp;
+      if (banner) {
+        banner.interaction = 'click';
+        extraData.banner = { shownAt: banner.shownAt, interaction: 'click' };
+        extraData.darkPatterns = banner.darkPatterns;
+      }
+
+      // Record which preference-center switches ended up on or off
+      const choices = snapshotChoices(clickable);
+      if (choices.length > 0) {
+        extraData.choices = choices;
+
+        // "Save choices" can still mean everything on or everything off
+        if (decision === 'partial') {
+          extraData.decision = decisionFromCategories(
+            choices.map(c => ({ granted: c.checked, required: c.disabled }))
+          );
+        }
+      }
+      if (decision !== 'rejected' && isNewsletterForm(clickable)) {
         const form = clickable.closest('form');
         if (form && hasEmailInput(form)) {
           extraData.emailShared = true;
           extraData.maskedEmail = getEmailFromForm(form);
+          extraData.sharedData = inventoryFormData(form);
         }
       }
 
-      logConsent(buttonText, context, category, extraData);
+      // Only clicks in the consent UI wait for the CMP; anything else is sent at once
+      logConsent(buttonText, context, category, extraData, {
+        awaitCmp: Boolean(cmp) || (Boolean(banner) && cmpState.tcfAvailable)
+      });
       return;
     }
 
@@ -286,10 +893,14 @@
     if (isNewsletterForm(clickable)) {
       const form = clickable.closest('form');
       if (form && hasEmailInput(form)) {
-        const category = detectCategory(context + ' newsletter email subscribe');
+        if (!rule) {
+          category = detectCategory(context + ' newsletter email subscribe');
+        }
         logConsent(buttonText || 'Form Submission', context, category === 'general' ? 'newsletter' : category, {
           emailShared: true,
-          maskedEmail: getEmailFromForm(form)
+          maskedEmail: getEmailFromForm(form),
+          sharedData: inventoryFormData(form),
+          policyLinks: findPolicyLinks(form)
         });
       }
     }
@@ -299,48 +910,101 @@
   function handleFormSubmit(event) {
     const form = event.target;
 
-    if (!hasEmailInput(form)) return;
+    // Record which kinds of personal data were handed over, never the values
+    const sharedData = inventoryFormData(form);
+    if (sharedData.length === 0) return;
 
     const formText = form.innerText.toLowerCase();
     const formHtml = form.innerHTML.toLowerCase();
 
     // Check if it's a newsletter/subscription form
-    const isNewsletter = ['newsletter', 'subscribe', 'updates', 'mailing', 'notify', 'join'].some(
+    const isNewsletter = hasEmailInput(form) && ['newsletter', 'subscribe', 'updates', 'mailing', 'notify', 'join'].some(
       keyword => formText.includes(keyword) || formHtml.includes(keyword)
     );
 
-    if (isNewsletter) {
-      const submitBtn = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
-      const buttonText = submitBtn ? (submitBtn.innerText || submitBtn.value || 'Subscribe') : 'Subscribe';
-      const context = extractContext(form);
+    // Otherwise only log forms that disclose more than login credentials
+    if (!isNewsletter && !PiiTaxonomy.isDisclosure(sharedData)) return;
 
-      logConsent(buttonText, context, 'newsletter', {
-        emailShared: true,
-        maskedEmail: getEmailFromForm(form)
-      });
+    const submitBtn = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+    const defaultText = isNewsletter ? 'Subscribe' : 'Form Submission';
+    const buttonText = submitBtn ? (submitBtn.innerText || submitBtn.value || defaultText) : defaultText;
+    const context = extractContext(form);
+
+    const rule = findSiteRule(submitBtn || form, buttonText);
+    if (rule && rule.action === 'ignore') return;
+
+    let category = isNewsletter ? 'newsletter' : detectCategory(context);
+    if (rule && rule.category) {
+      category = rule.category;
+    } else if (category === 'general') {
+      category = 'data';
+    }
+
+    const extraData = { sharedData, policyLinks: findPolicyLinks(form) };
+    if (sharedData.includes('email')) {
+      extraData.emailShared = true;
+      extraData.maskedEmail = getEmailFromForm(form);
     }
+
+    logConsent(buttonText, context, category, extraData);
   }
 
   // ==========================================
   // BROWSER PERMISSION MONITORING
   // ==========================================
 
-  // Inject script into page context to intercept browser APIs
-  function injectScript() {
-    const script = document.createElement('script');
-    script.src = chrome.runtime.getURL('inject.js');
-    script.onload = function () {
-      this.remove();
-    };
-    (document.head || document.documentElement).appendChild(script);
+  // inject.js runs in the page as a MAIN-world content script (registered by
+  // background.js) and hands over a MessagePort with a per-page secret.
+  // This listener is added before any page script runs, so it sees the
+  // handshake first and stops it from reaching page listeners.
+  window.addEventListener('message', function (event) {
+    const data = event.data;
+    if (event.source !== window || !data || data.source !== 'consent-tracker' || data.type !== 'handshake') return;
+    event.stopImmediatePropagation();
+
+    // Only the first handshake can come from inject.js
+    if (injectPort || event.ports.length !== 1 || typeof data.secret !== 'string') {
+      console.warn('Consent Tracker: rejected a forged handshake');
+      return;
+    }
+
+    injectSecret = data.secret;
+    injectPort = event.ports[0];
+    injectPort.onmessage = handleInjectMessage;
+  }, true);
+
+  // Route reports from inject.js, dropping any that lack the secret
+  function handleInjectMessage(event) {
+    const message = event.data;
+    if (!message || message.secret !== injectSecret) {
+      console.warn('Consent Tracker: rejected a forged page report');
+      return;
+    }
+
+    switch (message.type) {
+      case 'permission':
+        handlePermissionReport(message.detail);
+        break;
+      case 'tcf':
+        handleTcfReport(message.detail);
+        break;
+      case 'cmp':
+        handleCmpReport(message.detail);
+        break;
+    }
   }
 
-  // Listen for permission events from injected script
-  window.addEventListener('consent-tracker-permission', function (event) {
-    const detail = event.detail;
+  // Handle a permission grant or denial from the injected script
+  function handlePermissionReport(detail) {
     if (!detail) return;
 
-    const hash = createHash(detail.domain, `Browser: ${detail.label}`, detail.category);
+    // Only APIs with a known label, category and risk weight are logged
+    const permissionType = PermissionApis.resolve(detail.permissionType);
+    if (!permissionType) return;
+    const { label, category } = PermissionApis.TYPES[permissionType];
+    const denied = detail.outcome === 'denied';
+
+    const hash = createHash(detail.domain, `Browser: ${label}: ${detail.outcome}`, category);
 
     if (loggedItems.has(hash)) return;
     loggedItems.add(hash);
@@ -349,29 +1013,343 @@
       id: generateId(),
       url: detail.url,
       domain: detail.domain,
-      buttonText: `Allowed ${detail.label}`,
-      context: `Browser permission granted: ${detail.label} was allowed for this website.`,
-      category: detail.category,
+      buttonText: `${denied ? 'Blocked' : 'Allowed'} ${label}`,
+      context: denied
+        ? `Browser permission denied: ${label} was blocked for this website.`
+        : `Browser permission granted: ${label} was allowed for this website.`,
+      category,
       timestamp: Date.now(),
+      decision: denied ? 'rejected' : 'accepted',
+      language: getKeywords().language,
       browserPermission: true,
-      permissionType: detail.permissionType
+      permissionType
     };
 
+    const frame = getFrameInfo();
+    if (frame) consentData.frame = frame;
+
     chrome.runtime.sendMessage({
       type: 'CONSENT_DETECTED',
       data: consentData
     });
 
-    showFeedback(detail.label, detail.category);
-  });
+    if (isTopFrame) {
+      showFeedback(label, category, consentData.decision);
+    }
+  }
+
+  // Show feedback for consents captured in sub-frames of this page
+  if (isTopFrame) {
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'SHOW_FEEDBACK') {
+        showFeedback(message.buttonText, message.category, message.decision);
+      }
+    });
+  }
+
+  // ==========================================
+  // CONSENT BANNER LIFECYCLE
+  // ==========================================
+
+  // Elements likely to be consent overlays, in addition to known CMP containers
+  const BANNER_SELECTOR = [
+    '[id*="cookie" i]', '[class*="cookie" i]', '[id*="consent" i]', '[class*="consent" i]',
+    '[aria-label*="cookie" i]', '[aria-label*="consent" i]', '[role="dialog"]', '[role="alertdialog"]',
+    ...Object.values(CMP_CONTAINERS).map(c => c.selector)
+  ].join(', ');
+
+  // Text a consent overlay is expected to contain
+  const BANNER_TEXT = /cookie|consent|privacy|gdpr|tracking/i;
+
+  // A scroll this close before dismissal counts as the dismissing interaction (ms)
+  const SCROLL_DISMISS_WINDOW_MS = 1500;
+
+  // Candidates checked per mutation batch, to bound work on large DOM inserts
+  const MAX_BANNER_CANDIDATES = 50;
 
-  // Inject the script
-  injectScript();
+  // Attributes sites toggle to show or hide an overlay
+  const BANNER_ATTRIBUTES = ['style', 'class', 'hidden', 'aria-hidden', 'open'];
+
+  // Visible banners: element -> { shownAt, interaction, changed, context, cmp, policyLinks, darkPatterns }
+  const trackedBanners = new Map();
+
+  // Elements whose show/hide attributes are observed: candidate banners and tracked banners' ancestors
+  const watchedElements = new WeakSet();
+  let attributeObserver = null;
+
+  // On/off state of each banner switch when first seen, before the user touches it
+  const initialToggleStates = new WeakMap();
+  const pendingBannerRoots = new Set();
+  let bannerScanTimer = null;
+  let lastScrollAt = 0;
+
+  // Whether an element is rendered and on screen
+  function isVisible(element) {
+    if (!element.isConnected) return false;
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  // Like Node.contains(), but crosses open shadow root boundaries
+  function containsComposed(ancestor, node) {
+    for (let current = node; current; current = getComposedParent(current)) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  // Check whether an element looks like a visible consent banner
+  function isConsentBanner(element) {
+    const text = element.innerText || '';
+    if (!text || text.length > 5000 || !BANNER_TEXT.test(text)) return false;
+    if (!isVisible(element)) return false;
+
+    // A banner offers at least one decision button
+    return [...element.querySelectorAll(CLICKABLE_SELECTOR)].some(button => {
+      const label = (button.innerText || button.value || button.getAttribute('aria-label') || '').trim();
+      return label && label.length < 60 && detectDecision(label) !== null;
+    });
+  }
+
+  // Colour behind an element: the first mostly opaque background up the tree
+  function getBackgroundColor(element) {
+    for (let current = element; current; current = getComposedParent(current)) {
+      const color = DarkPatterns.parseColor(window.getComputedStyle(current).backgroundColor);
+      if (color && color[3] > 0.5) return color;
+    }
+    return [255, 255, 255, 1];
+  }
+
+  // Size, fill and text contrast of a banner button
+  function measureButton(button, decision, label, bannerBackground) {
+    const style = window.getComputedStyle(button);
+    const rect = button.getBoundingClientRect();
+    const fill = DarkPatterns.parseColor(style.backgroundColor);
+    const background = getBackgroundColor(button);
+
+    // Faded text (transparent colour or low opacity) is blended into its background
+    const color = DarkPatterns.parseColor(style.color) || [0, 0, 0, 1];
+    const alpha = color[3] * (parseFloat(style.opacity) || 1);
+    const text = color.slice(0, 3).map((channel, i) => channel * alpha + background[i] * (1 - alpha));
+
+    return {
+      decision,
+      label,
+      area: Math.round(rect.width * rect.height),
+      filled: !!fill && fill[3] > 0.5 && DarkPatterns.contrastRatio(fill, bannerBackground) > 1.5,
+      contrast: DarkPatterns.contrastRatio(text, background)
+    };
+  }
+
+  // Decision buttons and switches currently in a banner, for DarkPatterns.analyze()
+  function measureBanner(element, firstLayer) {
+    const bannerBackground = getBackgroundColor(element);
+
+    const buttons = [];
+    const seen = new Set();
+    querySelectorAllDeep(element, CLICKABLE_SELECTOR).forEach(button => {
+      const label = (button.innerText || button.value || button.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+      if (!label || label.length > 120 || seen.has(label) || !isVisible(button)) return;
+      seen.add(label);
+
+      const decision = detectDecision(label);
+      if (decision) buttons.push(measureButton(button, decision, label, bannerBackground));
+    });
+
+    const toggles = querySelectorAllDeep(element, 'input[type="checkbox"], [role="switch"], [role="checkbox"]').map(toggle => {
+      const isInput = toggle.tagName === 'INPUT';
+      if (!initialToggleStates.has(toggle)) {
+        initialToggleStates.set(toggle, isInput ? toggle.checked : toggle.getAttribute('aria-checked') === 'true');
+      }
+      return {
+        label: getToggleLabel(toggle).replace(/\s+/g, ' ').trim().substring(0, 120),
+        initiallyChecked: initialToggleStates.get(toggle),
+        disabled: isInput ? toggle.disabled : toggle.getAttribute('aria-disabled') === 'true'
+      };
+    });
+
+    return { firstLayer, buttons, toggles };
+  }
+
+  // Re-measure a banner as further layers open, keeping earlier findings
+  function updateDarkPatterns(element, state) {
+    const found = DarkPatterns.analyze(measureBanner(element, false));
+    state.darkPatterns = Object.keys(DarkPatterns.PATTERNS).filter(key =>
+      state.darkPatterns.includes(key) || found.includes(key)
+    );
+  }
+
+  // Start tracking a newly shown banner (outermost element wins)
+  function trackBanner(element) {
+    for (const tracked of trackedBanners.keys()) {
+      if (tracked === element || containsComposed(tracked, element)) return;
+      if (containsComposed(element, tracked)) {
+        trackedBanners.set(element, trackedBanners.get(tracked));
+        trackedBanners.delete(tracked);
+        return;
+      }
+    }
+
+    trackedBanners.set(element, {
+      shownAt: Date.now(),
+      interaction: 'none',
+      changed: false,
+      context: (element.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 500),
+      cmp: detectCmpContainer(element),
+      policyLinks: findPolicyLinks(element),
+      darkPatterns: DarkPatterns.analyze(measureBanner(element, true))
+    });
+    watchAttributes(element, true);
+  }
+
+  // Observe an element's show/hide attributes, and optionally those of its ancestors
+  function watchAttributes(element, withAncestors) {
+    for (let current = element; current; current = withAncestors ? current.parentElement : null) {
+      if (watchedElements.has(current)) continue;
+      watchedElements.add(current);
+      attributeObserver.observe(current, { attributes: true, attributeFilter: BANNER_ATTRIBUTES });
+    }
+  }
+
+  // Tracked banner containing a clicked element, re-measured since clicks open further layers
+  function findBannerFor(element) {
+    for (const [banner, state] of trackedBanners) {
+      if (containsComposed(banner, element)) {
+        if (state.interaction === 'none') updateDarkPatterns(banner, state);
+        return state;
+      }
+    }
+    return null;
+  }
+
+  // Log a banner that went away without an explicit choice
+  function logImplicitConsent(state, dismissedAt, interaction) {
+    const buttonText = interaction === 'scroll' ? 'Dismissed by scrolling' : 'Dismissed without interaction';
+
+    logConsent(buttonText, state.context, 'cookies', {
+      eventType: 'implicit',
+      banner: {
+        shownAt: state.shownAt,
+        dismissedAt,
+        duration: dismissedAt - state.shownAt,
+        interaction
+      },
+      policyLinks: state.policyLinks,
+      darkPatterns: state.darkPatterns,
+      ...(state.cmp ? { cmp: state.cmp } : {})
+    });
+  }
+
+  // Check tracked banners for dismissal and queued roots for new banners
+  function scanBanners() {
+    bannerScanTimer = null;
+
+    for (const [banner, state] of [...trackedBanners]) {
+      if (isVisible(banner)) {
+        // Preference layers are often rendered into the banner after it appears
+        if (state.changed && state.interaction === 'none') updateDarkPatterns(banner, state);
+        state.changed = false;
+        continue;
+      }
+      trackedBanners.delete(banner);
+
+      // Explicit choices were already logged by handleClick
+      if (state.interaction === 'click') continue;
+
+      const dismissedAt = Date.now();
+      const interaction = dismissedAt - lastScrollAt < SCROLL_DISMISS_WINDOW_MS ? 'scroll' : 'none';
+      logImplicitConsent(state, dismissedAt, interaction);
+    }
+
+    let checked = 0;
+    for (const root of pendingBannerRoots) {
+      if (checked >= MAX_BANNER_CANDIDATES) break;
+      if (!root.isConnected) continue;
+
+      const candidates = root.matches(BANNER_SELECTOR) ? [root] : [];
+      candidates.push(...root.querySelectorAll(BANNER_SELECTOR));
+
+      for (const candidate of candidates) {
+        if (checked++ >= MAX_BANNER_CANDIDATES) break;
+        if (trackedBanners.has(candidate)) continue;
+        if (isConsentBanner(candidate)) {
+          trackBanner(candidate);
+        } else {
+          // Hidden banners are often revealed later by a style or class change
+          watchAttributes(candidate, false);
+        }
+      }
+    }
+    pendingBannerRoots.clear();
+  }
+
+  // Batch DOM mutations so scanning runs at most every 250ms
+  function queueBannerScan(root) {
+    if (root) pendingBannerRoots.add(root);
+    if (!bannerScanTimer) {
+      bannerScanTimer = setTimeout(scanBanners, 250);
+    }
+  }
+
+  // Watch for consent overlays being inserted, shown and hidden
+  function startBannerWatcher() {
+    const observer = new MutationObserver((mutations) => {
+      let touched = false;
+
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) queueBannerScan(node);
+        });
+        if (mutation.removedNodes.length > 0) touched = true;
+
+        // Content rendered into a banner is re-measured on the next scan
+        for (const [banner, state] of trackedBanners) {
+          if (banner.contains(mutation.target)) state.changed = true;
+        }
+      }
+
+      if (touched && trackedBanners.size > 0) queueBannerScan(null);
+    });
+
+    // Banners are often shown or hidden by toggling style/class, on
+    // themselves or on an ancestor; only those elements are observed
+    attributeObserver = new MutationObserver((mutations) => {
+      for (const { target } of mutations) {
+        if (!trackedBanners.has(target) && target.matches(BANNER_SELECTOR)) queueBannerScan(target);
+      }
+      if (trackedBanners.size > 0) queueBannerScan(null);
+    });
+
+    // At document_start the <html> element may not exist yet
+    observer.observe(document.documentElement || document, { childList: true, subtree: true });
+
+    window.addEventListener('scroll', () => {
+      lastScrollAt = Date.now();
+    }, { capture: true, passive: true });
+
+    // Banners already in the page before the observer started
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => queueBannerScan(document.documentElement));
+    } else {
+      queueBannerScan(document.documentElement);
+    }
+  }
+
+  loadCustomKeywordPacks();
+  loadSiteRules();
+  startBannerWatcher();
 
   // Attach event listeners
   document.addEventListener('click', handleClick, true);
   document.addEventListener('submit', handleFormSubmit, true);
 
+  // Don't lose a consent held for the CMP when the click navigates away
+  window.addEventListener('pagehide', flushPendingCmp);
+
   console.log('🔒 Consent Tracker: Monitoring for consent actions, form submissions, and browser permissions...');
 })();
 
@@ -1,6 +1,9 @@
 // Consent Tracker - Dashboard Script
 // Displays consent logs with filtering, search, statistics, and export
 
+// Version of the background's CONSENT_COMMAND API this page speaks
+const CONSENT_COMMAND_VERSION = 1;
+
 document.addEventListener('DOMContentLoaded', () => {
     // Elements
     const consentList = document.getElementById('consent-list');
@@ -11,6 +14,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const listTitle = document.getElementById('list-title');
     const searchInput = document.getElementById('search-input');
     const dateFilter = document.getElementById('date-filter');
+    const decisionFilter = document.getElementById('decision-filter');
+    const confidenceFilter = document.getElementById('confidence-filter');
     const exportBtn = document.getElementById('export-btn');
     const clearBtn = document.getElementById('clear-btn');
     const confirmModal = document.getElementById('confirm-modal');
@@ -25,6 +30,18 @@ document.addEventListener('DOMContentLoaded', () => {
     const navItems = document.querySelectorAll('.nav-item');
     const topSitesContainer = document.getElementById('top-sites');
     const topSitesSection = document.getElementById('top-sites-section');
+    const sharedDataList = document.getElementById('shared-data-list');
+    const sharedDataSection = document.getElementById('shared-data-section');
+    const connectedAppsList = document.getElementById('connected-apps-list');
+    const connectedAppsSection = document.getElementById('connected-apps-section');
+    const policyChangesList = document.getElementById('policy-changes-list');
+    const policyChangesSection = document.getElementById('policy-changes-section');
+    const darkPatternsList = document.getElementById('dark-patterns-list');
+    const darkPatternsSection = document.getElementById('dark-patterns-section');
+    const gpcViolationsList = document.getElementById('gpc-violations-list');
+    const gpcViolationsSection = document.getElementById('gpc-violations-section');
+    const sitePermissionsList = document.getElementById('site-permissions-list');
+    const sitePermissionsSection = document.getElementById('site-permissions-section');
     const riskCard = document.getElementById('risk-card');
     const viewToggleButtons = document.querySelectorAll('.toggle-btn');
     const privacyLink = document.getElementById('privacy-link');
@@ -36,6 +53,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const closeSettings = document.getElementById('close-settings');
     const saveSettings = document.getElementById('save-settings');
     const retentionSelect = document.getElementById('retention-select');
+    const dedupeSelect = document.getElementById('dedupe-select');
 
     // Blockchain panel elements
     const blockchainPanel = document.getElementById('blockchain-panel');
@@ -52,9 +70,15 @@ document.addEventListener('DOMContentLoaded', () => {
     let currentFilter = 'all';
     let searchQuery = '';
     let dateRange = 'all';
-    let viewMode = 'recent'; // recent | all
-    let settings = { retentionDays: 'never' };
+    let decisionRange = 'all'; // all | accepted | partial | rejected
+    let confidenceRange = 'all'; // all | hide-low | low
+    let viewMode = 'recent'; // recent | all | active
+    let settings = { retentionDays: 'never', dedupeWindowHours: '24' };
     let currentVerifyProof = null; // Store current verification proof for display
+    let policyChanges = {}; // Policy URL -> change since the agreed version (see background.js)
+    let gpcViolations = {}; // Site -> ad cookies set while GPC was being sent (see background.js)
+    let permissionStatesRequest = 0; // Drops replies to superseded permission state lookups
+    const expandedRepeats = new Set(); // Cards whose repeat history is open, kept across re-renders
 
     // Category display info
     const categoryInfo = {
@@ -68,10 +92,18 @@ document.addEventListener('DOMContentLoaded', () => {
         notifications: { title: 'Notification Permissions', icon: '🔔' },
         location: { title: 'Location Permissions', icon: '📍' },
         permissions: { title: 'Other Permissions', icon: '🔐' },
+        oauth: { title: 'Connected Apps', icon: '🔑' },
         marketing: { title: 'Marketing Consents', icon: '📢' },
         general: { title: 'General Consents', icon: '📋' }
     };
 
+    // Decision display info
+    const decisionInfo = {
+        accepted: { label: 'Accepted', verb: 'Agreed to', icon: '✅' },
+        partial: { label: 'Partial', verb: 'Partially agreed to', icon: '⚖️' },
+        rejected: { label: 'Rejected', verb: 'Refused', icon: '🚫' }
+    };
+
     // Show loading state
     loadingState.classList.remove('hidden');
     consentList.classList.add('hidden');
@@ -91,11 +123,18 @@ document.addEventListener('DOMContentLoaded', () => {
         settingsModal.classList.remove('hidden');
     }
 
+    // Reload when consents change elsewhere (real-time updates)
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'CONSENTS_CHANGED') {
+            fetchConsents().then(updateAll);
+        }
+    });
+
     // Listen for storage changes (real-time updates)
     chrome.storage.onChanged.addListener((changes, namespace) => {
-        if (namespace === 'local' && changes.consents) {
-            allConsents = changes.consents.newValue || [];
-            updateAll();
+        if (namespace === 'local' && changes.gpcViolations) {
+            gpcViolations = changes.gpcViolations.newValue || {};
+            updateGpcViolations();
         }
     });
 
@@ -110,6 +149,16 @@ document.addEventListener('DOMContentLoaded', () => {
         renderConsents();
     });
 
+    decisionFilter?.addEventListener('change', (e) => {
+        decisionRange = e.target.value;
+        renderConsents();
+    });
+
+    confidenceFilter?.addEventListener('change', (e) => {
+        confidenceRange = e.target.value;
+        renderConsents();
+    });
+
     exportBtn.addEventListener('click', () => exportModal.classList.remove('hidden'));
     cancelExport.addEventListener('click', () => exportModal.classList.add('hidden'));
     exportJson.addEventListener('click', () => exportData('json'));
@@ -170,8 +219,8 @@ document.addEventListener('DOMContentLoaded', () => {
     settingsBtn?.addEventListener('click', () => settingsModal.classList.remove('hidden'));
     closeSettings?.addEventListener('click', () => settingsModal.classList.add('hidden'));
     saveSettings?.addEventListener('click', () => {
-        const value = retentionSelect.value;
-        settings.retentionDays = value;
+        settings.retentionDays = retentionSelect.value;
+        if (dedupeSelect) settings.dedupeWindowHours = dedupeSelect.value;
         chrome.storage.local.set({ settings }, () => {
             applyRetention();
             settingsModal.classList.add('hidden');
@@ -213,7 +262,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     viewBatchesBtn?.addEventListener('click', () => {
         chrome.runtime.sendMessage({ type: 'GET_ALL_BATCHES' }, (batches) => {
-            renderBatchesList(batches || []);
+            renderBatchesList(Array.isArray(batches) ? batches : []);
             batchesModal.classList.remove('hidden');
         });
     });
@@ -274,26 +323,49 @@ document.addEventListener('DOMContentLoaded', () => {
     function loadSettings() {
         return new Promise((resolve) => {
             chrome.storage.local.get(['settings'], (result) => {
-                settings = { retentionDays: 'never', ...(result.settings || {}) };
+                settings = { retentionDays: 'never', dedupeWindowHours: '24', ...(result.settings || {}) };
                 if (retentionSelect) retentionSelect.value = settings.retentionDays;
+                if (dedupeSelect) dedupeSelect.value = settings.dedupeWindowHours;
                 resolve();
             });
         });
     }
 
     function loadConsents() {
-        try {
-            chrome.storage.local.get(['consents'], (result) => {
-                allConsents = result.consents || [];
-                applyRetention();
+        chrome.storage.local.get(['policyChanges', 'gpcViolations'], async (result) => {
+            try {
+                policyChanges = result.policyChanges || {};
+                gpcViolations = result.gpcViolations || {};
+                await fetchConsents();
+                await applyRetention();
                 loadingState.classList.add('hidden');
                 updateAll();
-            });
-        } catch (err) {
-            loadingState.classList.add('hidden');
-            showToast('Could not load consents. Please reload the extension.', 'error');
-            console.error('Load consents error', err);
-        }
+
+                // The popup links here when policies changed
+                if (window.location.hash === '#policy-changes') {
+                    policyChangesSection.scrollIntoView();
+                }
+            } catch (err) {
+                loadingState.classList.add('hidden');
+                showToast('Could not load consents. Please reload the extension.', 'error');
+                console.error('Load consents error', err);
+            }
+        });
+    }
+
+    // Consent records are kept by the background's store (see lib/consentStore.js)
+    async function fetchConsents() {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_CONSENTS' });
+        allConsents = (response && response.consents) || [];
+    }
+
+    // Writes go through the background's queue so they cannot overwrite a save in progress
+    async function sendConsentCommand(command) {
+        const result = await chrome.runtime.sendMessage({
+            type: 'CONSENT_COMMAND',
+            command: { version: CONSENT_COMMAND_VERSION, ...command }
+        });
+        return result || { success: false, error: 'No response from the extension' };
     }
 
     // Update everything
@@ -301,6 +373,12 @@ document.addEventListener('DOMContentLoaded', () => {
         updateCounts();
         updateStatistics();
         updateTopSites();
+        updateDarkPatternOffenders();
+        updateGpcViolations();
+        updateSitePermissions();
+        updateSharedData();
+        updateConnectedApps();
+        updatePolicyChanges();
         renderConsents();
     }
 
@@ -310,7 +388,7 @@ document.addEventListener('DOMContentLoaded', () => {
             all: allConsents.length,
             cookies: 0, newsletter: 0, email: 0, account: 0,
             data: 0, terms: 0, notifications: 0, location: 0,
-            permissions: 0, marketing: 0, general: 0
+            permissions: 0, oauth: 0, marketing: 0, general: 0
         };
 
         allConsents.forEach(consent => {
@@ -368,7 +446,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const riskScore = calculateRiskScore();
         const riskLabel = riskScore < 30 ? 'Low' : riskScore < 50 ? 'Medium' : 'High';
         document.getElementById('stat-risk').textContent = riskLabel;
-        setDelta('delta-risk', riskLabel);
+        const refusals = allConsents.filter(c => c.decision === 'rejected').length;
+        setDelta('delta-risk', `${refusals} refused`);
 
         riskCard.classList.remove('medium', 'high');
         if (riskScore >= 30 && riskScore < 50) riskCard.classList.add('medium');
@@ -388,16 +467,28 @@ document.addEventListener('DOMContentLoaded', () => {
             notifications: 1,
             location: 5,
             permissions: 3,
+            oauth: 8, // third-party access to an account
             terms: 6,
             marketing: 2,
             general: 1
         };
 
+        // Refusals share nothing; partial choices share some
+        const decisionFactors = {
+            accepted: 1,
+            partial: 0.5,
+            rejected: 0
+        };
+
         let score = 0;
 
         for (const consent of allConsents) {
             const category = consent.category || 'general';
-            score += weights[category] ?? weights.general;
+            const factor = decisionFactors[consent.decision] ?? decisionFactors.accepted;
+            // Browser permissions carry their own weight; banners that pushed the user add to it
+            const weight = PermissionApis.weight(consent) ?? weights[category] ?? weights.general;
+            const pressure = DarkPatterns.score(consent.darkPatterns);
+            score += (weight + pressure) * factor;
         }
 
         return score;
@@ -438,6 +529,331 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Sites whose consent banners used the most manipulative designs
+    function updateDarkPatternOffenders() {
+        const sites = {};
+        allConsents.forEach(c => {
+            if (!c.darkPatterns || c.darkPatterns.length === 0) return;
+
+            const site = sites[c.domain] || (sites[c.domain] = { patterns: new Set(), banners: 0, lastSeen: 0 });
+            c.darkPatterns.forEach(pattern => site.patterns.add(pattern));
+            site.banners++;
+            site.lastSeen = Math.max(site.lastSeen, c.timestamp);
+        });
+
+        const sorted = Object.entries(sites)
+            .map(([domain, site]) => [domain, { ...site, score: DarkPatterns.score([...site.patterns]) }])
+            .sort((a, b) => b[1].score - a[1].score || b[1].banners - a[1].banners)
+            .slice(0, 5);
+
+        if (sorted.length === 0) {
+            darkPatternsSection.style.display = 'none';
+            return;
+        }
+
+        darkPatternsSection.style.display = 'block';
+        darkPatternsList.innerHTML = sorted.map(([domain, site]) => {
+            const chips = Object.keys(DarkPatterns.PATTERNS)
+                .filter(key => site.patterns.has(key))
+                .map(key => {
+                    const info = DarkPatterns.PATTERNS[key];
+                    return `<span class="shared-data-chip sensitive">${info.icon} ${escapeHtml(info.label)}</span>`;
+                }).join('');
+
+            return `
+      <div class="shared-data-site" data-domain="${escapeHtml(domain)}">
+        <div class="shared-data-header">
+          <div class="top-site-icon">${domain.charAt(0).toUpperCase()}</div>
+          <span class="top-site-name">${escapeHtml(domain)}</span>
+          <span class="shared-data-meta">${site.banners} banner${site.banners === 1 ? '' : 's'} · ${formatTime(site.lastSeen)}</span>
+        </div>
+        <div class="shared-data-chips">${chips}</div>
+      </div>
+    `;
+        }).join('');
+
+        darkPatternsList.querySelectorAll('.shared-data-site').forEach(el => {
+            el.addEventListener('click', () => {
+                searchInput.value = el.dataset.domain;
+                searchQuery = el.dataset.domain.toLowerCase();
+                renderConsents();
+            });
+        });
+    }
+
+    // Sites that kept setting advertising cookies while GPC was being sent
+    function updateGpcViolations() {
+        const sorted = Object.values(gpcViolations).sort((a, b) => b.lastSeen - a.lastSeen);
+
+        if (sorted.length === 0) {
+            gpcViolationsSection.style.display = 'none';
+            return;
+        }
+
+        gpcViolationsSection.style.display = 'block';
+        gpcViolationsList.innerHTML = sorted.map(site => {
+            const chips = site.cookies.map(name => {
+                const tracker = TrackerDb.matchCookie(name);
+                return `<span class="shared-data-chip sensitive" title="${escapeHtml(name)}">${escapeHtml(tracker ? tracker.vendor : name)}</span>`;
+            }).join('');
+
+            return `
+      <div class="shared-data-site" data-domain="${escapeHtml(site.domain)}">
+        <div class="shared-data-header">
+          <div class="top-site-icon">${site.domain.charAt(0).toUpperCase()}</div>
+          <span class="top-site-name">${escapeHtml(site.domain)}</span>
+          <span class="shared-data-meta">${site.count} ad cookie${site.count === 1 ? '' : 's'} set · ${formatTime(site.lastSeen)}</span>
+        </div>
+        <div class="shared-data-chips">${chips}</div>
+      </div>
+    `;
+        }).join('');
+
+        gpcViolationsList.querySelectorAll('.shared-data-site').forEach(el => {
+            el.addEventListener('click', () => {
+                searchInput.value = el.dataset.domain;
+                searchQuery = el.dataset.domain.toLowerCase();
+                renderConsents();
+            });
+        });
+    }
+
+    // Permissions logged sites were granted, with the browser's current setting for each
+    function updateSitePermissions() {
+        const stateLabels = { allow: 'Allowed', block: 'Blocked', ask: 'Asks each time', session_only: 'This session' };
+
+        // Latest grant per origin and permission (records are newest first)
+        const grants = new Map();
+        allConsents.forEach(c => {
+            if (!c.browserPermission || c.decision === 'rejected') return;
+            const permissionType = PermissionApis.resolve(c.permissionType);
+            if (!PermissionApis.TYPES[permissionType]?.contentSetting) return;
+
+            // The frame that asked, for permissions granted inside one
+            const url = c.frame?.url || c.url;
+            let origin;
+            try {
+                origin = new URL(url).origin;
+            } catch {
+                return;
+            }
+            const key = `${origin}|${permissionType}`;
+            if (!grants.has(key)) grants.set(key, { key, url, consent: c, permissionType });
+        });
+
+        if (grants.size === 0) {
+            sitePermissionsSection.style.display = 'none';
+            return;
+        }
+
+        const request = ++permissionStatesRequest;
+        const permissions = [...grants.values()].map(g => ({ url: g.url, permissionType: g.permissionType }));
+
+        chrome.runtime.sendMessage({ type: 'GET_PERMISSION_STATES', permissions }, (response) => {
+            if (request !== permissionStatesRequest) return;
+            const states = response?.states || {};
+
+            const sites = {};
+            grants.forEach(grant => {
+                const domain = grant.consent.domain;
+                (sites[domain] = sites[domain] || []).push({ ...grant, state: states[grant.key] });
+            });
+
+            sitePermissionsSection.style.display = 'block';
+            sitePermissionsList.innerHTML = Object.entries(sites).map(([domain, items]) => {
+                const rows = items.map(item => {
+                    const permission = PermissionApis.TYPES[item.permissionType];
+                    const state = item.state || 'unknown';
+                    return `
+            <div class="site-permission">
+              <span class="site-permission-label">${categoryInfo[permission.category]?.icon || '🔐'} ${escapeHtml(permission.label)}</span>
+              <span class="permission-state state-${escapeHtml(state)}">${stateLabels[state] || 'Unknown'}</span>
+              ${state === 'allow' ? `<button class="action-btn action-btn-revoke" data-id="${item.consent.id}">Revoke</button>` : ''}
+            </div>
+          `;
+                }).join('');
+
+                return `
+      <div class="shared-data-site">
+        <div class="shared-data-header">
+          <div class="top-site-icon">${domain.charAt(0).toUpperCase()}</div>
+          <span class="top-site-name">${escapeHtml(domain)}</span>
+        </div>
+        <div class="site-permission-list">${rows}</div>
+      </div>
+    `;
+            }).join('');
+
+            sitePermissionsList.querySelectorAll('.action-btn-revoke').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const id = e.currentTarget.dataset.id;
+                    e.currentTarget.disabled = true;
+                    chrome.runtime.sendMessage({ type: 'REVOKE_PERMISSION', id }, (result) => {
+                        if (result?.success) {
+                            showToast('Permission revoked', 'success');
+                        } else {
+                            showToast(result?.error || 'Could not revoke permission', 'error');
+                            updateSitePermissions();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    // Kinds of personal data a consent record says were handed over
+    function getSharedTypes(consent) {
+        if (consent.sharedData) return consent.sharedData;
+        // Records from before the form inventory only know about email
+        return consent.emailShared ? ['email'] : [];
+    }
+
+    // Aggregate which kinds of personal data each site has received
+    function updateSharedData() {
+        const sites = {};
+        allConsents.forEach(c => {
+            const types = getSharedTypes(c);
+            if (types.length === 0) return;
+
+            const site = sites[c.domain] || (sites[c.domain] = { types: new Set(), forms: 0, lastShared: 0 });
+            types.forEach(type => site.types.add(type));
+            site.forms++;
+            site.lastShared = Math.max(site.lastShared, c.timestamp);
+        });
+
+        const sorted = Object.entries(sites)
+            .sort((a, b) => b[1].types.size - a[1].types.size || b[1].lastShared - a[1].lastShared);
+
+        if (sorted.length === 0) {
+            sharedDataSection.style.display = 'none';
+            return;
+        }
+
+        sharedDataSection.style.display = 'block';
+        sharedDataList.innerHTML = sorted.map(([domain, site]) => {
+            const chips = PiiTaxonomy.sort([...site.types]).map(type => {
+                const info = PiiTaxonomy.TYPES[type] || { label: type, icon: '📄', sensitive: false };
+                return `<span class="shared-data-chip${info.sensitive ? ' sensitive' : ''}">${info.icon} ${escapeHtml(info.label)}</span>`;
+            }).join('');
+
+            return `
+      <div class="shared-data-site" data-domain="${escapeHtml(domain)}">
+        <div class="shared-data-header">
+          <div class="top-site-icon">${domain.charAt(0).toUpperCase()}</div>
+          <span class="top-site-name">${escapeHtml(domain)}</span>
+          <span class="shared-data-meta">${site.forms} form${site.forms === 1 ? '' : 's'} · ${formatTime(site.lastShared)}</span>
+        </div>
+        <div class="shared-data-chips">${chips}</div>
+      </div>
+    `;
+        }).join('');
+
+        sharedDataList.querySelectorAll('.shared-data-site').forEach(el => {
+            el.addEventListener('click', () => {
+                searchInput.value = el.dataset.domain;
+                searchQuery = el.dataset.domain.toLowerCase();
+                renderConsents();
+            });
+        });
+    }
+
+    // Policies whose text changed after the version the user agreed to
+    function updatePolicyChanges() {
+        const typeLabels = { privacy: 'Privacy policy', cookies: 'Cookie policy', terms: 'Terms' };
+        const changes = Object.values(policyChanges).sort((a, b) =>
+            a.reviewed - b.reviewed || b.detectedAt - a.detectedAt
+        );
+
+        if (changes.length === 0) {
+            policyChangesSection.style.display = 'none';
+            return;
+        }
+
+        policyChangesSection.style.display = 'block';
+        policyChangesList.innerHTML = changes.map(change => `
+      <div class="shared-data-site policy-change${change.reviewed ? ' reviewed' : ''}">
+        <div class="shared-data-header">
+          <div class="top-site-icon">${change.domain.charAt(0).toUpperCase()}</div>
+          <span class="top-site-name">${escapeHtml(change.domain)}</span>
+          <span class="policy-type">${typeLabels[change.type] || escapeHtml(change.type)}</span>
+          <span class="shared-data-meta">changed ${formatTime(change.detectedAt)} · agreed ${formatTime(change.agreedAt)}</span>
+        </div>
+        <div class="policy-change-actions">
+          <a class="action-btn action-btn-visit" target="_blank" rel="noopener"
+            href="policy.html?hash=${encodeURIComponent(change.agreedHash)}&compare=${encodeURIComponent(change.currentHash)}">View changes</a>
+          ${change.reviewed ? '' : `<button class="action-btn action-btn-review" data-url="${escapeHtml(change.url)}">Mark reviewed</button>`}
+        </div>
+      </div>
+    `).join('');
+
+        policyChangesList.querySelectorAll('.action-btn-review').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const url = e.currentTarget.dataset.url;
+                chrome.runtime.sendMessage({ type: 'REVIEW_POLICY_CHANGE', url }, () => {
+                    policyChanges[url].reviewed = true;
+                    updatePolicyChanges();
+                });
+            });
+        });
+    }
+
+    // Apps whose latest OAuth decision granted access, with every scope they hold
+    function updateConnectedApps() {
+        const apps = {};
+        // Oldest first, so a later refusal replaces an earlier grant
+        [...allConsents].reverse().forEach(c => {
+            if (!c.oauth) return;
+
+            const key = `${c.oauth.providerId}|${c.oauth.clientId}`;
+            if (c.decision === 'rejected') {
+                delete apps[key];
+                return;
+            }
+
+            const app = apps[key] || (apps[key] = { domain: c.domain, provider: c.oauth.provider, scopes: new Set(), grantedAt: 0 });
+            c.oauth.scopes.forEach(scope => app.scopes.add(scope));
+            app.grantedAt = c.timestamp;
+        });
+
+        const sorted = Object.values(apps).sort((a, b) => b.grantedAt - a.grantedAt);
+
+        if (sorted.length === 0) {
+            connectedAppsSection.style.display = 'none';
+            return;
+        }
+
+        connectedAppsSection.style.display = 'block';
+        connectedAppsList.innerHTML = sorted.map(app => `
+      <div class="shared-data-site" data-domain="${escapeHtml(app.domain)}">
+        <div class="shared-data-header">
+          <div class="top-site-icon">${app.domain.charAt(0).toUpperCase()}</div>
+          <span class="top-site-name">${escapeHtml(app.domain)}</span>
+          <span class="shared-data-meta">via ${escapeHtml(app.provider)} · ${formatTime(app.grantedAt)}</span>
+        </div>
+        <div class="shared-data-chips">${renderScopeChips([...app.scopes])}</div>
+      </div>
+    `).join('');
+
+        connectedAppsList.querySelectorAll('.shared-data-site').forEach(el => {
+            el.addEventListener('click', () => {
+                searchInput.value = el.dataset.domain;
+                searchQuery = el.dataset.domain.toLowerCase();
+                renderConsents();
+            });
+        });
+    }
+
+    // Scope chips with plain-language labels; sensitive scopes stand out
+    function renderScopeChips(scopes) {
+        if (scopes.length === 0) {
+            return '<span class="shared-data-chip">Default access</span>';
+        }
+        return scopes.map(scope => {
+            const info = OAuthFlow.describeScope(scope);
+            return `<span class="shared-data-chip${info.sensitive ? ' sensitive' : ''}" title="${escapeHtml(scope)}">${escapeHtml(info.label)}</span>`;
+        }).join('');
+    }
+
     // Filter consents by date
     function filterByDate(consents) {
         if (dateRange === 'all') return consents;
@@ -464,7 +880,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Render consent cards
     function renderConsents() {
-        let filtered = allConsents;
+        // The active view shows the agreement currently in force in each chain
+        const activeChains = viewMode === 'active' ? ConsentLifecycle.active(allConsents) : [];
+        const chainsById = new Map(activeChains.map(chain => [chain.current.id, chain]));
+        let filtered = viewMode === 'active' ? activeChains.map(chain => chain.current) : allConsents;
 
         // Category filter
         if (currentFilter !== 'all') {
@@ -474,6 +893,18 @@ document.addEventListener('DOMContentLoaded', () => {
         // Date filter
         filtered = filterByDate(filtered);
 
+        // Decision filter (records without a decision predate refusal tracking)
+        if (decisionRange !== 'all') {
+            filtered = filtered.filter(c => (c.decision || 'accepted') === decisionRange);
+        }
+
+        // Confidence filter (unscored records count as confident)
+        if (confidenceRange === 'hide-low') {
+            filtered = filtered.filter(c => !ConsentClassifier.isLowConfidence(c));
+        } else if (confidenceRange === 'low') {
+            filtered = filtered.filter(c => ConsentClassifier.isLowConfidence(c));
+        }
+
         // Search filter
         if (searchQuery) {
             filtered = filtered.filter(c =>
@@ -484,7 +915,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Update list title
-        const baseTitle = viewMode === 'recent' ? 'Recent Consents' : 'All Consents';
+        const baseTitle = { recent: 'Recent Consents', all: 'All Consents', active: 'Active Consents' }[viewMode];
         listTitle.textContent = searchQuery
             ? `Search Results (${filtered.length})`
             : `${baseTitle} (${filtered.length})`;
@@ -503,7 +934,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         consentList.innerHTML = filtered.map((consent, index) =>
-            createConsentCard(consent, index)
+            createConsentCard(consent, index, chainsById.get(consent.id))
         ).join('');
 
         // Add delete event listeners
@@ -525,6 +956,40 @@ document.addEventListener('DOMContentLoaded', () => {
                 toggleFlag(id, 'important');
             });
         });
+        consentList.querySelectorAll('.action-btn-rule').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.currentTarget.dataset.id;
+                createRuleFromConsent(id);
+            });
+        });
+        consentList.querySelectorAll('.action-btn-withdraw').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.currentTarget.dataset.id;
+                e.currentTarget.disabled = true;
+                withdrawConsent(id);
+            });
+        });
+
+        consentList.querySelectorAll('.repeats-toggle').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.currentTarget.dataset.id;
+                const container = e.currentTarget.closest('.repeats-container');
+                const open = container.classList.toggle('open');
+                if (open) expandedRepeats.add(id);
+                else expandedRepeats.delete(id);
+            });
+        });
+
+        consentList.querySelectorAll('.compliance-recheck').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.currentTarget.dataset.id;
+                chrome.runtime.sendMessage({ type: 'CHECK_COMPLIANCE', id }, (response) => {
+                    const mismatches = response?.compliance?.mismatches.length || 0;
+                    showToast(mismatches > 0 ? `${mismatches} cookie(s) contradict your choice` : 'Cookies match your choice',
+                        mismatches > 0 ? 'error' : 'success');
+                });
+            });
+        });
 
         // Copy hash event listeners
         consentList.querySelectorAll('.copy-hash-btn').forEach(btn => {
@@ -540,21 +1005,73 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Create a consent card
-    function createConsentCard(consent, index) {
+    // Create a consent card (chain is set in the active view)
+    function createConsentCard(consent, index, chain) {
         const initial = consent.domain.charAt(0).toUpperCase();
         const infoMessage = generateInfoMessage(consent);
         const time = formatTime(consent.timestamp);
         const category = consent.category || 'general';
+        const decision = consent.decision || 'accepted';
 
         let tags = '';
         if (consent.emailShared) {
             const masked = consent.maskedEmail || 'your email';
             tags += `<div class="email-tag">✉️ Email shared: ${escapeHtml(masked)}</div>`;
         }
+        if (consent.sharedData && consent.sharedData.length > 0) {
+            const labels = consent.sharedData.map(type => PiiTaxonomy.TYPES[type]?.label || type);
+            tags += `<div class="shared-data-tag">🗂️ Data shared: ${escapeHtml(labels.join(', '))}</div>`;
+        }
         if (consent.browserPermission) {
-            tags += `<div class="browser-tag">🌐 Browser Permission</div>`;
+            const permission = PermissionApis.TYPES[PermissionApis.resolve(consent.permissionType)];
+            tags += permission
+                ? `<div class="browser-tag" title="Risk weight ${permission.weight}">🌐 Browser Permission: ${escapeHtml(permission.label)}</div>`
+                : `<div class="browser-tag">🌐 Browser Permission</div>`;
+        }
+        if (chain) {
+            const state = ConsentLifecycle.STATES[chain.state];
+            const expiry = chain.expiresAt ? ` · expires ${new Date(chain.expiresAt).toLocaleDateString()}` : ' · until you revoke it';
+            tags += `<div class="lifecycle-tag">${state.icon} ${state.label} ${formatTime(chain.since)}${expiry}</div>`;
+        } else if (consent.lifecycle === 'modified') {
+            tags += `<div class="lifecycle-tag">✏️ Changes what you agreed to earlier</div>`;
+        }
+        if (consent.withdrawnAt) {
+            tags += `<div class="withdrawn-tag">↩️ Withdrawn ${formatTime(consent.withdrawnAt)}</div>`;
         }
+        if (consent.eventType === 'withdrawal' && consent.withdrawalOf) {
+            const original = allConsents.find(c => c.id === consent.withdrawalOf);
+            tags += `<div class="withdrawn-tag">↩️ Withdraws the consent given ${original ? formatTime(original.timestamp) : 'earlier'}</div>`;
+        }
+        if (consent.eventType === 'implicit' && consent.banner) {
+            const how = consent.banner.interaction === 'scroll' ? 'dismissed when you scrolled' : 'closed without any interaction';
+            tags += `<div class="implicit-tag">👻 Implicit consent: banner ${how} after ${formatDuration(consent.banner.duration)}</div>`;
+        } else if (consent.banner && consent.banner.shownAt) {
+            tags += `<div class="banner-tag">⏱️ Banner was on screen ${formatDuration(consent.timestamp - consent.banner.shownAt)} before you chose</div>`;
+        }
+        if (consent.darkPatterns && consent.darkPatterns.length > 0) {
+            const labels = consent.darkPatterns.map(key => DarkPatterns.PATTERNS[key]?.label || key);
+            tags += `<div class="dark-pattern-tag">🕳️ Banner pushed you: ${escapeHtml(labels.join(', '))}</div>`;
+        }
+        if (ConsentClassifier.isLowConfidence(consent)) {
+            tags += `<div class="confidence-tag">⚠️ Low confidence (${Math.round(consent.confidence * 100)}%): this may not have been a consent action</div>`;
+        }
+        if (consent.gpc) {
+            tags += `<div class="gpc-tag">📡 Global Privacy Control was being sent</div>`;
+        }
+        if (consent.rule) {
+            tags += `<div class="rule-tag">🎯 Matched one of your site rules</div>`;
+        }
+        if (consent.frame) {
+            tags += `<div class="frame-tag" title="${escapeHtml(consent.frame.url)}">🧩 Via embedded frame: ${escapeHtml(consent.frame.domain)}</div>`;
+        }
+
+        const tcfHtml = consent.tcf ? renderTcfDetails(consent.tcf) : '';
+        const oauthHtml = consent.oauth ? renderOAuthDetails(consent.oauth) : '';
+        const policiesHtml = consent.policies?.length ? renderPolicies(consent.policies) : '';
+        const complianceHtml = consent.compliance ? renderCompliance(consent) : '';
+        const cmpHtml = consent.cmp ? renderCmpDetails(consent.cmp, consent.cmpCategories || []) : '';
+        const choicesHtml = consent.choices?.length ? renderChoices(consent.choices) : '';
+        const repeatsHtml = consent.occurrences > 1 ? renderRepeats(consent) : '';
 
         // Proof hash display
         let proofHashHtml = '';
@@ -592,8 +1109,11 @@ document.addEventListener('DOMContentLoaded', () => {
               <a href="${escapeHtml(consent.url)}" target="_blank" rel="noopener">${truncateUrl(consent.url)}</a>
             </div>
           </div>
-          <span class="consent-category-badge category-${category}">
-            ${categoryInfo[category]?.icon || '📋'} ${category}
+          <span class="consent-category-badge category-${escapeHtml(category)}"${formatCategoryScores(consent.categoryScores)}>
+            ${categoryInfo[category]?.icon || '📋'} ${escapeHtml(category)}
+          </span>
+          <span class="consent-decision-badge decision-${escapeHtml(decision)}">
+            ${decisionInfo[decision]?.icon || '✅'} ${decisionInfo[decision]?.label || 'Accepted'}
           </span>
         </div>
         <div class="consent-body">
@@ -601,10 +1121,17 @@ document.addEventListener('DOMContentLoaded', () => {
             ${infoMessage}
             ${tags}
           </div>
+          ${oauthHtml}
+          ${cmpHtml}
+          ${choicesHtml}
+          ${tcfHtml}
+          ${policiesHtml}
+          ${complianceHtml}
+          ${repeatsHtml}
           ${proofHashHtml}
         </div>
         <div class="consent-footer">
-          <span class="consent-time">🕐 ${time}</span>
+          <span class="consent-time">🕐 ${time}${consent.language && consent.language !== 'unknown' ? ` · ${escapeHtml(consent.language.toUpperCase())}` : ''}</span>
           <div class="consent-actions">
                         <a href="${escapeHtml(consent.url)}" target="_blank" rel="noopener" class="action-btn action-btn-visit">
                             <svg class="icon" aria-hidden="true"><use href="#icon-link"></use></svg>
@@ -618,6 +1145,13 @@ document.addEventListener('DOMContentLoaded', () => {
                             <svg class="icon" aria-hidden="true"><use href="#icon-star"></use></svg>
                             Important
                         </button>
+                        ${chain ? `<button class="action-btn action-btn-withdraw" data-id="${consent.id}" title="Record that you took this consent back">
+                            Withdraw
+                        </button>` : ''}
+                        ${consent.browserPermission || consent.eventType === 'implicit' ? '' : `<button class="action-btn action-btn-rule" data-id="${consent.id}" title="Create rule from this event">
+                            <svg class="icon" aria-hidden="true"><use href="#icon-settings"></use></svg>
+                            Rule
+                        </button>`}
                         <button class="action-btn action-btn-delete" data-id="${consent.id}">
                             <svg class="icon" aria-hidden="true"><use href="#icon-trash"></use></svg>
                         </button>
@@ -627,6 +1161,187 @@ document.addEventListener('DOMContentLoaded', () => {
     `;
     }
 
+    // Render the times the same decision was made again, merged into this record
+    function renderRepeats(consent) {
+        const repeats = consent.repeats || [];
+        const rows = [consent, ...repeats].reverse().map(occurrence => `
+                    <li class="repeat-item">
+                        <span class="repeat-time">${new Date(occurrence.timestamp).toLocaleString()}</span>
+                        <a href="${escapeHtml(occurrence.url)}" target="_blank" rel="noopener" class="repeat-url">${truncateUrl(occurrence.url)}</a>
+                        ${occurrence.frame ? `<span class="repeat-frame">via ${escapeHtml(occurrence.frame.domain)}</span>` : ''}
+                    </li>
+                `).join('');
+        const dropped = consent.occurrences - 1 - repeats.length;
+
+        return `
+                <div class="repeats-container${expandedRepeats.has(consent.id) ? ' open' : ''}">
+                    <button class="repeats-toggle" data-id="${consent.id}">
+                        🔁 Same choice made ${consent.occurrences} times · last ${formatTime(consent.lastSeen)}
+                    </button>
+                    <ul class="repeats-list">
+                        ${rows}
+                        ${dropped > 0 ? `<li class="repeat-item repeat-more">and ${dropped} earlier repeat${dropped !== 1 ? 's' : ''}</li>` : ''}
+                    </ul>
+                </div>
+            `;
+    }
+
+    // Render the preference-center switches captured at save time
+    function renderChoices(choices) {
+        const rows = choices.map(choice => `
+                    <li class="choice-item ${choice.checked ? 'on' : 'off'}">
+                        <span class="choice-state">${choice.checked ? 'On' : 'Off'}</span>
+                        <span class="choice-label">${escapeHtml(choice.label)}</span>
+                        ${choice.disabled ? '<span class="choice-locked">locked</span>' : ''}
+                    </li>
+                `).join('');
+
+        return `
+                <div class="choices-container">
+                    <div class="choices-label">Your choices (${choices.filter(c => c.checked).length}/${choices.length} on)</div>
+                    <ul class="choices-list">${rows}</ul>
+                </div>
+            `;
+    }
+
+    // Render granted TCF purposes and vendors
+    function renderTcfDetails(tcf) {
+        const maxVendors = 12;
+        const purposes = tcf.purposeConsents || [];
+        const legitimate = (tcf.purposeLegitimateInterests || []).filter(id => !purposes.includes(id));
+        const features = tcf.specialFeatureOptins || [];
+        const vendors = tcf.vendorConsents || [];
+
+        const purposeChips = purposes.map(id => `
+                    <span class="tcf-chip" title="Purpose ${id}">${escapeHtml(TCString.PURPOSES[id] || `Purpose ${id}`)}</span>
+                `).join('');
+        const legitimateChips = legitimate.map(id => `
+                    <span class="tcf-chip legitimate" title="Purpose ${id} (legitimate interest)">${escapeHtml(TCString.PURPOSES[id] || `Purpose ${id}`)}</span>
+                `).join('');
+        const featureChips = features.map(id => `
+                    <span class="tcf-chip feature" title="Special feature ${id}">${escapeHtml(TCString.SPECIAL_FEATURES[id] || `Special feature ${id}`)}</span>
+                `).join('');
+        const vendorList = vendors.slice(0, maxVendors).map(id => `#${id}`).join(', ');
+        const moreVendors = vendors.length > maxVendors ? ` and ${vendors.length - maxVendors} more` : '';
+
+        return `
+                <div class="tcf-container">
+                    <div class="tcf-header">
+                        <span class="tcf-label">IAB TCF Consent</span>
+                        <span class="tcf-cmp">CMP #${escapeHtml(String(tcf.cmpId))} v${escapeHtml(String(tcf.cmpVersion))}</span>
+                    </div>
+                    <div class="tcf-row">
+                        <span class="tcf-row-label">Purposes (${purposes.length})</span>
+                        <div class="tcf-chips">${purposeChips || '<span class="tcf-none">None granted</span>'}${legitimateChips}</div>
+                    </div>
+                    ${features.length ? `
+                    <div class="tcf-row">
+                        <span class="tcf-row-label">Special features</span>
+                        <div class="tcf-chips">${featureChips}</div>
+                    </div>` : ''}
+                    <div class="tcf-row">
+                        <span class="tcf-row-label">Vendors (${vendors.length})</span>
+                        <div class="tcf-vendors">${vendors.length ? escapeHtml(vendorList + moreVendors) : '<span class="tcf-none">None granted</span>'}</div>
+                    </div>
+                </div>
+            `;
+    }
+
+    // Render the per-category toggles a CMP reported
+    function renderCmpDetails(cmp, categories) {
+        const chips = categories.map(c => `
+                    <span class="cmp-chip ${c.granted ? 'granted' : 'denied'}" title="${escapeHtml(c.id)}">
+                        ${c.granted ? '✓' : '✗'} ${escapeHtml(c.name)}${c.required ? ' (required)' : ''}
+                    </span>
+                `).join('');
+
+        return `
+                <div class="cmp-container">
+                    <div class="cmp-header">
+                        <span class="cmp-label">Saved via</span>
+                        <span class="cmp-name">${escapeHtml(cmp.name)}</span>
+                    </div>
+                    ${categories.length ? `<div class="cmp-chips">${chips}</div>` : ''}
+                </div>
+            `;
+    }
+
+    // Link each policy captured with the consent to its stored copy
+    function renderPolicies(policies) {
+        const typeLabels = { privacy: 'Privacy policy', cookies: 'Cookie policy', terms: 'Terms' };
+        const rows = policies.map(policy => {
+            const change = policyChanges[policy.url];
+            const changed = change && change.currentHash !== policy.hash;
+            return `
+                    <li class="policy-item">
+                        <span class="policy-type">${typeLabels[policy.type] || escapeHtml(policy.type)}</span>
+                        <a href="policy.html?hash=${encodeURIComponent(policy.hash)}" target="_blank" rel="noopener">Stored copy</a>
+                        ${changed ? `<a class="policy-changed" href="policy.html?hash=${encodeURIComponent(policy.hash)}&compare=${encodeURIComponent(change.currentHash)}" target="_blank" rel="noopener">⚠️ Changed since</a>` : ''}
+                        <a href="${escapeHtml(policy.url)}" target="_blank" rel="noopener" class="policy-source">${truncateUrl(policy.url)}</a>
+                        <code class="policy-hash" title="${escapeHtml(policy.hash)}">${policy.hash.substring(0, 8)}</code>
+                    </li>
+                `;
+        }).join('');
+
+        return `
+                <div class="policy-container">
+                    <div class="policy-title">Policy you agreed to</div>
+                    <ul class="policy-list">${rows}</ul>
+                </div>
+            `;
+    }
+
+    // Cookies the site had set after the decision, grouped by purpose
+    function renderCompliance(consent) {
+        const { cookies, mismatches, checkedAt } = consent.compliance;
+        const flagged = new Set(mismatches.map(m => m.name));
+
+        const rows = Object.entries(TrackerDb.PURPOSES).map(([purpose, info]) => {
+            const matching = cookies.filter(c => c.purpose === purpose);
+            if (matching.length === 0) return '';
+
+            const chips = matching.map(c => `
+                            <span class="shared-data-chip${flagged.has(c.name) ? ' sensitive' : ''}" title="${escapeHtml(c.vendor ? `${c.vendor} · ${c.domain}` : c.domain)}">${escapeHtml(c.name)}</span>
+                        `).join('');
+            return `
+                    <li class="compliance-item">
+                        <span class="compliance-purpose">${info.icon} ${info.label}</span>
+                        <span class="shared-data-chips">${chips}</span>
+                    </li>
+                `;
+        }).join('');
+
+        const status = mismatches.length > 0
+            ? `<div class="compliance-status mismatch">⚠️ ${mismatches.length} cookie${mismatches.length === 1 ? '' : 's'} your choice did not allow</div>`
+            : `<div class="compliance-status ok">✅ No cookies beyond what you allowed</div>`;
+
+        return `
+                <div class="compliance-container">
+                    <div class="compliance-header">
+                        <span class="policy-title">Compliance check · ${formatTime(checkedAt)}</span>
+                        <button class="compliance-recheck" data-id="${consent.id}">Re-check</button>
+                    </div>
+                    ${status}
+                    ${rows ? `<ul class="compliance-list">${rows}</ul>` : '<div class="compliance-empty">No cookies set on this site</div>'}
+                </div>
+            `;
+    }
+
+    // Render the provider, client and scopes of an OAuth grant
+    function renderOAuthDetails(oauth) {
+        return `
+                <div class="oauth-container">
+                    <div class="oauth-header">
+                        <span class="oauth-label">Authorized via</span>
+                        <span class="oauth-provider">${escapeHtml(oauth.provider)}</span>
+                        <span class="oauth-client" title="OAuth client ID">${escapeHtml(oauth.clientId)}</span>
+                    </div>
+                    <div class="shared-data-chips">${renderScopeChips(oauth.scopes)}</div>
+                    ${oauth.error ? `<div class="oauth-error">Provider returned: ${escapeHtml(oauth.error)}</div>` : ''}
+                </div>
+            `;
+    }
+
     // Generate info message
     function generateInfoMessage(consent) {
         if (consent.browserPermission) {
@@ -647,42 +1362,76 @@ document.addEventListener('DOMContentLoaded', () => {
         if (category === 'terms') infoShared.push('terms agreement');
         if (category === 'account') infoShared.push('account data');
         if (category === 'marketing') infoShared.push('marketing communications');
+        if (category === 'oauth' && consent.oauth) infoShared.push(`access to your ${escapeHtml(consent.oauth.provider)} account`);
 
         if (infoShared.length === 0) infoShared.push('general consent');
 
-        return `<strong>Agreed to:</strong> ${infoShared.join(', ')}<br><em>Clicked: "${escapeHtml(consent.buttonText)}"</em>`;
+        const verb = decisionInfo[consent.decision]?.verb || decisionInfo.accepted.verb;
+        const actionLabel = consent.eventType === 'implicit' ? 'Action' : 'Clicked';
+        return `<strong>${verb}:</strong> ${infoShared.join(', ')}<br><em>${actionLabel}: "${escapeHtml(consent.buttonText)}"</em>`;
     }
 
     // Delete a consent
     function deleteConsent(id) {
-        allConsents = allConsents.filter(c => c.id !== id);
-        chrome.storage.local.set({ consents: allConsents }, () => {
+        sendConsentCommand({ op: 'DELETE', id }).then(result => {
+            if (!result.success) {
+                showToast(result.error || 'Could not delete the consent', 'error');
+                return;
+            }
+            allConsents = allConsents.filter(c => c.id !== id);
             updateAll();
             showToast('Consent deleted', 'success');
         });
     }
 
-    function toggleFlag(id, key) {
-        let changed = false;
-        allConsents = allConsents.map(c => {
-            if (c.id === id) {
-                changed = true;
-                return { ...c, [key]: !c[key] };
+    // Take back a consent: revoke it in the browser where possible, otherwise record it
+    function withdrawConsent(id) {
+        const consent = allConsents.find(c => c.id === id);
+        if (!consent) return;
+
+        const revocable = consent.browserPermission
+            && PermissionApis.TYPES[PermissionApis.resolve(consent.permissionType)]?.contentSetting;
+        chrome.runtime.sendMessage({ type: revocable ? 'REVOKE_PERMISSION' : 'RECORD_WITHDRAWAL', id }, (result) => {
+            if (result?.success) {
+                showToast(revocable ? 'Permission revoked' : 'Withdrawal recorded', 'success');
+            } else {
+                showToast(result?.error || 'Could not record the withdrawal', 'error');
+                renderConsents();
             }
-            return c;
         });
-        if (changed) {
-            chrome.storage.local.set({ consents: allConsents }, () => {
-                updateAll();
-                showToast(key === 'reviewed' ? 'Marked as reviewed' : 'Marked as important', 'success');
-            });
-        }
+    }
+
+    // Open the options page with a rule pre-filled from this event
+    function createRuleFromConsent(id) {
+        const consent = allConsents.find(c => c.id === id);
+        if (!consent) return;
+
+        const params = new URLSearchParams({
+            ruleDomain: consent.domain,
+            ruleMatch: consent.selector ? 'selector' : 'text',
+            rulePattern: consent.selector || consent.buttonText,
+            ruleDecision: consent.decision || 'accepted',
+            ruleCategory: consent.category || ''
+        });
+        chrome.tabs.create({ url: chrome.runtime.getURL(`options.html?${params}`) });
+    }
+
+    function toggleFlag(id, key) {
+        // The background flips the stored value, so a stale list cannot undo another change
+        sendConsentCommand({ op: 'TOGGLE', id, field: key }).then(result => {
+            if (!result.success) return;
+            const [updated] = result.results;
+            allConsents = allConsents.map(c => c.id === id ? updated : c);
+            updateAll();
+            const label = key === 'reviewed' ? 'reviewed' : 'important';
+            showToast(updated[key] ? `Marked as ${label}` : `No longer marked as ${label}`, 'success');
+        });
     }
 
     // Clear all consents
     function clearAllConsents() {
         const count = allConsents.length;
-        chrome.storage.local.set({ consents: [] }, () => {
+        chrome.runtime.sendMessage({ type: 'CLEAR_CONSENTS' }, () => {
             allConsents = [];
             updateAll();
             confirmModal.classList.add('hidden');
@@ -707,20 +1456,48 @@ document.addEventListener('DOMContentLoaded', () => {
                 summary: {
                     uniqueSites: new Set(allConsents.map(c => c.domain)).size,
                     emailsShared: allConsents.filter(c => c.emailShared).length,
+                    refusals: allConsents.filter(c => c.decision === 'rejected').length,
                     categories: getCategoryCounts()
                 },
                 consents: allConsents.map(c => ({
                     website: c.domain,
                     url: c.url,
                     category: c.category,
+                    decision: c.decision || 'accepted',
+                    eventType: c.eventType || 'explicit',
+                    lifecycle: c.lifecycle || null,
+                    chainId: c.chainId || null,
+                    previousId: c.previousId || null,
+                    occurrences: c.occurrences || 1,
+                    lastSeen: new Date(c.lastSeen || c.timestamp).toISOString(),
+                    repeats: (c.repeats || []).map(r => ({ ...r, timestamp: new Date(r.timestamp).toISOString() })),
+                    confidence: typeof c.confidence === 'number' ? c.confidence : null,
+                    categoryScores: c.categoryScores || null,
+                    language: c.language || null,
+                    banner: c.banner || null,
+                    darkPatterns: c.darkPatterns || [],
+                    gpc: c.gpc || false,
                     action: c.buttonText,
                     emailShared: c.emailShared || false,
+                    sharedData: getSharedTypes(c),
                     browserPermission: c.browserPermission || false,
+                    permissionType: c.permissionType || null,
+                    withdrawalOf: c.withdrawalOf || null,
+                    withdrawnAt: c.withdrawnAt ? new Date(c.withdrawnAt).toISOString() : null,
+                    frameDomain: c.frame ? c.frame.domain : null,
+                    rule: c.rule || null,
+                    oauth: c.oauth || null,
+                    policies: c.policies || null,
+                    compliance: c.compliance || null,
                     timestamp: new Date(c.timestamp).toISOString(),
                     proofHash: c.proofHash || null,
                     txHash: c.txHash || null,
                     blockchainNetwork: c.blockchainNetwork || null,
-                    blockchainVerified: c.blockchainVerified || false
+                    blockchainVerified: c.blockchainVerified || false,
+                    cmp: c.cmp ? c.cmp.name : null,
+                    cmpCategories: c.cmpCategories || null,
+                    choices: c.choices || null,
+                    tcf: c.tcf || null
                 }))
             };
             content = JSON.stringify(exportData, null, 2);
@@ -728,15 +1505,21 @@ document.addEventListener('DOMContentLoaded', () => {
             type = 'application/json';
         } else {
             // CSV
-            const headers = ['Website', 'URL', 'Category', 'Action', 'Email Shared', 'Browser Permission', 'Timestamp', 'Proof Hash', 'TX Hash', 'Verified'];
+            const headers = ['Website', 'URL', 'Category', 'Decision', 'Confidence', 'Lifecycle', 'Dark Patterns', 'Action', 'Email Shared', 'Browser Permission', 'Timestamp', 'Occurrences', 'Last Seen', 'Proof Hash', 'TX Hash', 'Verified'];
             const rows = allConsents.map(c => [
                 c.domain,
                 c.url,
                 c.category,
+                c.decision || 'accepted',
+                typeof c.confidence === 'number' ? c.confidence : '',
+                c.lifecycle || '',
+                (c.darkPatterns || []).join(';'),
                 `"${c.buttonText.replace(/"/g, '""')}"`,
                 c.emailShared ? 'Yes' : 'No',
                 c.browserPermission ? 'Yes' : 'No',
                 new Date(c.timestamp).toISOString(),
+                c.occurrences || 1,
+                new Date(c.lastSeen || c.timestamp).toISOString(),
                 c.proofHash || '',
                 c.txHash || '',
                 c.blockchainVerified ? 'Yes' : 'No'
@@ -805,6 +1588,24 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Format a duration in ms as a short human label
+    function formatDuration(ms) {
+        const seconds = Math.max(0, Math.round((ms || 0) / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    // Tooltip attribute listing how strongly each category scored
+    function formatCategoryScores(scores) {
+        if (!scores || Object.keys(scores).length === 0) return '';
+        const lines = Object.entries(scores)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, score]) => `${name}: ${Math.round(score * 100)}%`);
+        return ` title="${escapeHtml(lines.join('\n'))}"`;
+    }
+
     // Truncate URL
     function truncateUrl(url) {
         if (url.length > 60) {
@@ -814,11 +1615,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Escape HTML
+    // Safe in text and in quoted attributes (innerHTML alone leaves quotes as they are)
     function escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     function setDelta(id, label) {
@@ -841,15 +1643,14 @@ document.addEventListener('DOMContentLoaded', () => {
         el.style.width = `${width}%`;
     }
 
-    function applyRetention() {
+    async function applyRetention() {
         if (!settings || settings.retentionDays === 'never') return;
         const days = parseInt(settings.retentionDays, 10);
         if (Number.isNaN(days)) return;
         const cutoff = Date.now() - days * 86400000;
-        const pruned = allConsents.filter(c => c.timestamp >= cutoff);
-        if (pruned.length !== allConsents.length) {
-            allConsents = pruned;
-            chrome.storage.local.set({ consents: allConsents });
+        if (allConsents.some(c => c.timestamp < cutoff)) {
+            const result = await sendConsentCommand({ op: 'DELETE', before: cutoff });
+            if (result.success) allConsents = allConsents.filter(c => c.timestamp >= cutoff);
         }
     }
 
@@ -871,7 +1672,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update blockchain panel stats
     function updateBlockchainStats() {
         chrome.runtime.sendMessage({ type: 'GET_BLOCKCHAIN_STATS' }, (stats) => {
-            if (!stats) return;
+            if (!stats || stats.success === false) return;
 
             const pendingEl = document.getElementById('pending-consents');
             const batchesEl = document.getElementById('anchored-batches');
@@ -1,30 +1,70 @@
 // Consent Tracker - Injected Script
-// Runs in page context to intercept browser permission APIs
-// Communicates with content script via custom events
+// Runs in page context to intercept permission-gated browser APIs (grants and denials)
+// Registered by background.js as a MAIN-world content script, so it runs before any page script
+// Communicates with content script over a private MessageChannel
 
 (function () {
     'use strict';
 
-    // Prevent double-injection
-    if (window.__consentTrackerInjected) return;
-    window.__consentTrackerInjected = true;
+    // ==========================================
+    // CHANNEL TO THE CONTENT SCRIPT
+    // ==========================================
+
+    // Built-ins captured before page scripts can replace them
+    const apply = Reflect.apply;
+    const postToPort = MessagePort.prototype.postMessage;
+    const closest = Element.prototype.closest;
+
+    // Per-page secret; content.js stops the handshake event before page
+    // listeners run, so only it learns the secret and receives the port
+    const secret = Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(16).padStart(8, '0')).join('');
+    const channel = new MessageChannel();
+    const port = channel.port1;
+
+    function send(type, detail) {
+        apply(postToPort, port, [{ secret, type, detail }]);
+    }
+
+    window.postMessage({ source: 'consent-tracker', type: 'handshake', secret }, '*', [channel.port2]);
 
     const loggedPermissions = new Set();
 
-    // Send permission grant to content script
-    function notifyPermissionGrant(permissionType, label, category) {
-        if (loggedPermissions.has(permissionType)) return;
-        loggedPermissions.add(permissionType);
-
-        window.dispatchEvent(new CustomEvent('consent-tracker-permission', {
-            detail: {
-                permissionType,
-                label,
-                category,
-                url: window.location.href,
-                domain: window.location.hostname
-            }
-        }));
+    // Report a permission outcome ('granted' or 'denied') to the content script,
+    // which maps the type to a label and category (see lib/permissionApis.js)
+    function notifyPermission(permissionType, outcome) {
+        const key = `${permissionType}:${outcome}`;
+        if (loggedPermissions.has(key)) return;
+        loggedPermissions.add(key);
+
+        send('permission', {
+            permissionType,
+            outcome,
+            url: window.location.href,
+            domain: window.location.hostname
+        });
+    }
+
+    // Errors browsers raise when the user refuses a prompt or cancels a device chooser
+    function isDenial(error) {
+        return !!error && (error.name === 'NotAllowedError' || error.name === 'SecurityError' || error.name === 'NotFoundError');
+    }
+
+    // Wrap a promise-returning method so its outcome is reported.
+    // judge(result, args) returns 'granted', 'denied' or null; without it a resolved call is a grant.
+    function wrapPromise(owner, method, permissionType, judge) {
+        if (!owner || typeof owner[method] !== 'function') return;
+        const original = owner[method];
+
+        owner[method] = function (...args) {
+            return original.apply(this, args).then(function (result) {
+                const outcome = judge ? judge(result, args) : 'granted';
+                if (outcome) notifyPermission(permissionType, outcome);
+                return result;
+            }, function (error) {
+                if (isDenial(error)) notifyPermission(permissionType, 'denied');
+                throw error;
+            });
+        };
     }
 
     // Intercept geolocation API
@@ -32,50 +72,62 @@
         const originalGetCurrentPosition = navigator.geolocation.getCurrentPosition.bind(navigator.geolocation);
         const originalWatchPosition = navigator.geolocation.watchPosition.bind(navigator.geolocation);
 
+        const wrapCallbacks = function (success, error) {
+            return [
+                function (position) {
+                    notifyPermission('geolocation', 'granted');
+                    success(position);
+                },
+                function (positionError) {
+                    if (positionError && positionError.code === positionError.PERMISSION_DENIED) {
+                        notifyPermission('geolocation', 'denied');
+                    }
+                    if (error) error(positionError);
+                }
+            ];
+        };
+
         navigator.geolocation.getCurrentPosition = function (success, error, options) {
-            const wrappedSuccess = function (position) {
-                notifyPermissionGrant('geolocation', 'Location Access', 'location');
-                success(position);
-            };
-            return originalGetCurrentPosition(wrappedSuccess, error, options);
+            return originalGetCurrentPosition(...wrapCallbacks(success, error), options);
         };
 
         navigator.geolocation.watchPosition = function (success, error, options) {
-            const wrappedSuccess = function (position) {
-                notifyPermissionGrant('geolocation', 'Location Access', 'location');
-                success(position);
-            };
-            return originalWatchPosition(wrappedSuccess, error, options);
+            return originalWatchPosition(...wrapCallbacks(success, error), options);
         };
     }
 
-    // Intercept Notification.requestPermission
+    // Intercept Notification.requestPermission ("default" means the prompt was dismissed)
     if (window.Notification) {
         const originalRequestPermission = Notification.requestPermission.bind(Notification);
 
         Notification.requestPermission = function (callback) {
             return originalRequestPermission(callback).then(function (result) {
-                if (result === 'granted') {
-                    notifyPermissionGrant('notifications', 'Notification Permission', 'notifications');
+                if (result === 'granted' || result === 'denied') {
+                    notifyPermission('notifications', result);
                 }
                 return result;
             });
         };
     }
 
+    // Report camera/microphone for whichever were requested
+    function notifyMedia(constraints, outcome) {
+        if (!constraints) return;
+        if (constraints.video) notifyPermission('camera', outcome);
+        if (constraints.audio) notifyPermission('microphone', outcome);
+    }
+
     // Intercept getUserMedia for camera/microphone
     if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
         const originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
 
         navigator.mediaDevices.getUserMedia = function (constraints) {
             return originalGetUserMedia(constraints).then(function (stream) {
-                if (constraints.video) {
-                    notifyPermissionGrant('camera', 'Camera Access', 'permissions');
-                }
-                if (constraints.audio) {
-                    notifyPermissionGrant('microphone', 'Microphone Access', 'permissions');
-                }
+                notifyMedia(constraints, 'granted');
                 return stream;
+            }, function (error) {
+                if (error && error.name === 'NotAllowedError') notifyMedia(constraints, 'denied');
+                throw error;
             });
         };
     }
@@ -86,17 +138,345 @@
 
         navigator.getUserMedia = function (constraints, success, error) {
             const wrappedSuccess = function (stream) {
-                if (constraints.video) {
-                    notifyPermissionGrant('camera', 'Camera Access', 'permissions');
-                }
-                if (constraints.audio) {
-                    notifyPermissionGrant('microphone', 'Microphone Access', 'permissions');
-                }
+                notifyMedia(constraints, 'granted');
                 success(stream);
             };
-            return originalLegacyGetUserMedia(constraints, wrappedSuccess, error);
+            const wrappedError = function (mediaError) {
+                if (mediaError && mediaError.name === 'NotAllowedError') notifyMedia(constraints, 'denied');
+                if (error) error(mediaError);
+            };
+            return originalLegacyGetUserMedia(constraints, wrappedSuccess, wrappedError);
         };
     }
 
+    // Screen sharing
+    if (window.MediaDevices) {
+        wrapPromise(MediaDevices.prototype, 'getDisplayMedia', 'display-capture');
+    }
+
+    // Clipboard reads (writes need no permission)
+    if (window.Clipboard) {
+        wrapPromise(Clipboard.prototype, 'read', 'clipboard-read');
+        wrapPromise(Clipboard.prototype, 'readText', 'clipboard-read');
+    }
+
+    // Device choosers: a cancelled chooser rejects, except WebHID which resolves with no devices
+    if (window.Bluetooth) wrapPromise(Bluetooth.prototype, 'requestDevice', 'bluetooth');
+    if (window.USB) wrapPromise(USB.prototype, 'requestDevice', 'usb');
+    if (window.Serial) wrapPromise(Serial.prototype, 'requestPort', 'serial');
+    if (window.HID) {
+        wrapPromise(HID.prototype, 'requestDevice', 'hid', devices => devices && devices.length > 0 ? 'granted' : 'denied');
+    }
+
+    // Web MIDI
+    wrapPromise(Navigator.prototype, 'requestMIDIAccess', 'midi');
+
+    // Storage Access API: embedded third parties asking for their cookies
+    wrapPromise(Document.prototype, 'requestStorageAccess', 'storage-access');
+    wrapPromise(Document.prototype, 'requestStorageAccessFor', 'storage-access');
+
+    // Persistent storage resolves with whether it was granted
+    if (window.StorageManager) {
+        wrapPromise(StorageManager.prototype, 'persist', 'persistent-storage', granted => granted ? 'granted' : 'denied');
+    }
+
+    // Idle Detection
+    if (window.IdleDetector) {
+        wrapPromise(IdleDetector, 'requestPermission', 'idle-detection',
+            result => result === 'granted' || result === 'denied' ? result : null);
+    }
+
+    // Screen Wake Lock
+    if (window.WakeLock) wrapPromise(WakeLock.prototype, 'request', 'screen-wake-lock');
+
+    // Push subscriptions
+    if (window.PushManager) wrapPromise(PushManager.prototype, 'subscribe', 'push');
+
+    // Generic sensors report the permission outcome through events on the instance
+    ['Accelerometer', 'LinearAccelerationSensor', 'GravitySensor', 'Gyroscope', 'Magnetometer',
+        'AbsoluteOrientationSensor', 'RelativeOrientationSensor', 'AmbientLightSensor'].forEach(function (name) {
+        const OriginalSensor = window[name];
+        if (typeof OriginalSensor !== 'function') return;
+
+        window[name] = new Proxy(OriginalSensor, {
+            construct(target, args, newTarget) {
+                const sensor = Reflect.construct(target, args, newTarget);
+                sensor.addEventListener('activate', function () {
+                    notifyPermission('sensors', 'granted');
+                }, { once: true });
+                sensor.addEventListener('error', function (event) {
+                    if (event.error && isDenial(event.error)) notifyPermission('sensors', 'denied');
+                });
+                return sensor;
+            }
+        });
+    });
+
+    // Permission changes made outside a prompt (e.g. in site settings) surface
+    // through the PermissionStatus objects the page queried
+    if (window.Permissions) {
+        const originalQuery = Permissions.prototype.query;
+
+        Permissions.prototype.query = function (descriptor) {
+            return originalQuery.call(this, descriptor).then(function (status) {
+                const name = descriptor && descriptor.name;
+                if (name && status && typeof status.addEventListener === 'function') {
+                    status.addEventListener('change', function () {
+                        if (status.state === 'granted' || status.state === 'denied') {
+                            notifyPermission(name, status.state);
+                        }
+                    });
+                }
+                return status;
+            });
+        };
+    }
+
+    // ==========================================
+    // IAB TCF v2.2 CONSENT CAPTURE
+    // ==========================================
+
+    // Forward TCF consent updates to content script for decoding
+    function notifyTcfUpdate(tcData) {
+        send('tcf', {
+            tcString: tcData.tcString,
+            eventStatus: tcData.eventStatus,
+            cmpId: tcData.cmpId,
+            cmpVersion: tcData.cmpVersion,
+            gdprApplies: tcData.gdprApplies
+        });
+    }
+
+    // Subscribe to TCF updates once __tcfapi is available
+    function watchTcf() {
+        window.__tcfapi('addEventListener', 2, function (tcData, success) {
+            if (!success || !tcData || !tcData.tcString) return;
+            if (tcData.eventStatus === 'tcloaded' || tcData.eventStatus === 'useractioncomplete') {
+                notifyTcfUpdate(tcData);
+            }
+        });
+    }
+
+    // ==========================================
+    // CMP ADAPTERS
+    // ==========================================
+
+    // How recently the user must have used a CMP's UI for its save event to count
+    const CMP_INTERACTION_WINDOW_MS = 10000;
+
+    // Last trusted pointer or key press; page scripts cannot synthesise trusted events
+    let lastInteraction = { target: null, at: 0 };
+    for (const type of ['pointerdown', 'keydown']) {
+        window.addEventListener(type, function (event) {
+            if (event.isTrusted) lastInteraction = { target: event.target, at: Date.now() };
+        }, true);
+    }
+
+    // Whether the user just pressed something inside a CMP's UI
+    function userActedIn(selector) {
+        const { target, at } = lastInteraction;
+        if (!(target instanceof Element) || Date.now() - at > CMP_INTERACTION_WINDOW_MS) return false;
+        return !!apply(closest, target, [selector]);
+    }
+
+    // Each adapter detects one consent management platform by its JS global,
+    // reads the per-category toggles the user saved, and subscribes to saves.
+    // read() returns a promise of [{ id, name, granted, required }].
+    const CMP_ADAPTERS = [
+        {
+            id: 'onetrust',
+            name: 'OneTrust',
+            detect: () => typeof window.OptanonActiveGroups === 'string' && typeof window.OneTrust === 'object',
+            read: () => {
+                const active = window.OptanonActiveGroups.split(',').filter(Boolean);
+                const domainData = typeof window.OneTrust.GetDomainData === 'function'
+                    ? window.OneTrust.GetDomainData()
+                    : null;
+                const groups = (domainData && domainData.Groups) || [];
+
+                if (groups.length === 0) {
+                    return Promise.resolve(active.map(id => ({ id, name: id, granted: true, required: false })));
+                }
+
+                return Promise.resolve(groups.map(group => ({
+                    id: group.CustomGroupId,
+                    name: group.GroupName,
+                    granted: active.includes(group.CustomGroupId),
+                    required: group.CustomGroupId === 'C0001' || group.Status === 'always active'
+                })));
+            },
+            subscribe: (onSave) => {
+                // Also fired on every page load, when OneTrust applies the stored groups
+                window.addEventListener('OneTrustGroupsUpdated', function () {
+                    if (userActedIn('#onetrust-consent-sdk')) onSave();
+                });
+            }
+        },
+        {
+            id: 'cookiebot',
+            name: 'Cookiebot',
+            detect: () => typeof window.Cookiebot === 'object' && window.Cookiebot !== null && !!window.Cookiebot.consent,
+            read: () => {
+                const consent = window.Cookiebot.consent;
+                return Promise.resolve(['necessary', 'preferences', 'statistics', 'marketing'].map(key => ({
+                    id: key,
+                    name: key.charAt(0).toUpperCase() + key.slice(1),
+                    granted: !!consent[key],
+                    required: key === 'necessary'
+                })));
+            },
+            subscribe: (onSave) => {
+                // Also fired on every page load for returning visitors; `changed` is
+                // only set when the user gave or changed consent on this page view
+                const onDecision = function () {
+                    if (window.Cookiebot.changed === true || userActedIn('#CybotCookiebotDialog')) onSave();
+                };
+                window.addEventListener('CookiebotOnAccept', onDecision);
+                window.addEventListener('CookiebotOnDecline', onDecision);
+            }
+        },
+        {
+            id: 'didomi',
+            name: 'Didomi',
+            detect: () => typeof window.Didomi === 'object' && window.Didomi !== null &&
+                typeof window.Didomi.getUserConsentStatusForAll === 'function',
+            read: () => {
+                const status = window.Didomi.getUserConsentStatusForAll();
+                const purposeName = (id) => {
+                    const purpose = typeof window.Didomi.getPurposeById === 'function'
+                        ? window.Didomi.getPurposeById(id)
+                        : null;
+                    const name = purpose && purpose.name;
+                    if (typeof name === 'string') return name;
+                    if (name && typeof name === 'object') return name.en || Object.values(name)[0] || id;
+                    return id;
+                };
+
+                const enabled = (status.purposes && status.purposes.enabled) || [];
+                const disabled = (status.purposes && status.purposes.disabled) || [];
+                return Promise.resolve([
+                    ...enabled.map(id => ({ id, name: purposeName(id), granted: true, required: false })),
+                    ...disabled.map(id => ({ id, name: purposeName(id), granted: false, required: false }))
+                ]);
+            },
+            subscribe: (onSave) => {
+                window.didomiEventListeners = window.didomiEventListeners || [];
+                window.didomiEventListeners.push({ event: 'consent.changed', listener: onSave });
+            }
+        },
+        {
+            id: 'quantcast',
+            name: 'Quantcast Choice',
+            detect: () => typeof window.__tcfapi === 'function' &&
+                !!document.querySelector('#qc-cmp2-container, .qc-cmp2-container, #qc-cmp2-ui'),
+            read: () => new Promise((resolve) => {
+                window.__tcfapi('getTCData', 2, function (tcData, success) {
+                    if (!success || !tcData || !tcData.purpose) {
+                        resolve([]);
+                        return;
+                    }
+                    const consents = tcData.purpose.consents || {};
+                    resolve(Object.keys(consents).map(id => ({
+                        id: `purpose-${id}`,
+                        name: `Purpose ${id}`,
+                        granted: !!consents[id],
+                        required: false
+                    })));
+                });
+            }),
+            subscribe: (onSave) => {
+                window.__tcfapi('addEventListener', 2, function (tcData, success) {
+                    if (success && tcData && tcData.eventStatus === 'useractioncomplete') {
+                        onSave();
+                    }
+                });
+            }
+        },
+        {
+            id: 'usercentrics',
+            name: 'Usercentrics',
+            detect: () => typeof window.UC_UI === 'object' && window.UC_UI !== null &&
+                typeof window.UC_UI.getServicesBaseInfo === 'function',
+            read: () => {
+                // Group services by category; a category counts as granted if all its services are
+                const categories = {};
+                for (const service of window.UC_UI.getServicesBaseInfo()) {
+                    const slug = service.categorySlug || 'uncategorized';
+                    if (!categories[slug]) {
+                        categories[slug] = { id: slug, name: slug, granted: true, required: false };
+                    }
+                    if (!service.consent || !service.consent.status) {
+                        categories[slug].granted = false;
+                    }
+                    if (service.isEssential) {
+                        categories[slug].required = true;
+                    }
+                }
+                return Promise.resolve(Object.values(categories));
+            },
+            subscribe: (onSave) => {
+                window.addEventListener('UC_UI_CMP_EVENT', function (event) {
+                    const type = event.detail && event.detail.type;
+                    if (type === 'ACCEPT_ALL' || type === 'DENY_ALL' || type === 'SAVE') {
+                        onSave();
+                    }
+                });
+            }
+        }
+    ];
+
+    // Forward CMP detection and saved categories to content script
+    function notifyCmpUpdate(adapter, status, categories) {
+        send('cmp', {
+            cmp: { id: adapter.id, name: adapter.name },
+            status,
+            categories
+        });
+    }
+
+    // Read the adapter once the CMP has applied the user's choice
+    function watchCmp(adapter) {
+        notifyCmpUpdate(adapter, 'detected', null);
+
+        adapter.subscribe(function () {
+            setTimeout(function () {
+                adapter.read()
+                    .then(categories => notifyCmpUpdate(adapter, 'saved', categories))
+                    .catch(() => console.log(`Consent Tracker: could not read ${adapter.name} consent`));
+            }, 100);
+        });
+    }
+
+    // CMPs load asynchronously, so poll for them for a while
+    let cmpAttempts = 0;
+    let tcfWatched = false;
+    let cmpWatched = false;
+    const cmpPoll = setInterval(function () {
+        cmpAttempts++;
+
+        if (!tcfWatched && typeof window.__tcfapi === 'function') {
+            tcfWatched = true;
+            watchTcf();
+        }
+
+        if (!cmpWatched) {
+            const adapter = CMP_ADAPTERS.find(candidate => {
+                try {
+                    return candidate.detect();
+                } catch {
+                    return false;
+                }
+            });
+            if (adapter) {
+                cmpWatched = true;
+                watchCmp(adapter);
+            }
+        }
+
+        if ((tcfWatched && cmpWatched) || cmpAttempts >= 20) {
+            clearInterval(cmpPoll);
+        }
+    }, 500);
+
     console.log('🔒 Consent Tracker: Permission interception active');
 })();
@@ -0,0 +1,218 @@
+/**
+ * Consent Classifier
+ *
+ * Scores a clicked element against every consent category instead of
+ * taking the first keyword hit. Signals and their weights:
+ * - Keywords in the button text (strong) and surrounding text (weak)
+ * - ARIA role and dialog ancestry of the element
+ * - Whether it sits in a fixed banner at the top or bottom of the screen
+ * - Whether it belongs to a form with an email field
+ *
+ * The content script extracts the features from the DOM; this module is
+ * pure so the same rules apply wherever the features come from.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof ConsentClassifier === 'undefined') {
+
+    var ConsentClassifier = {
+        // Events below this overall confidence are flagged as low confidence
+        LOW_CONFIDENCE: 0.4,
+
+        // Clicks below this action confidence are not logged at all
+        MIN_ACTION_CONFIDENCE: 0.3,
+
+        // Evidence needed before a category reaches full confidence
+        CATEGORY_PRIOR: 4,
+
+        WEIGHTS: {
+            buttonTerm: 3,
+            contextTerm: 1,
+            dialog: 2,
+            cmp: 6,
+            banner: 2,
+            emailForm: 3
+        },
+
+        // Consent keywords too common to mean consent on their own
+        GENERIC_ACTIONS: [
+            'ok', 'yes', 'continue', 'confirm', 'enable', 'register', 'join', 'submit',
+            'send', 'start', 'get started', 'understood', 'no problem', 'weiter'
+        ],
+
+        /**
+         * Check for a keyword at a word start, so "ok" does not match "cookies"
+         * @param {string} text - Lower-cased text
+         * @param {string} term - Lower-cased keyword
+         * @returns {boolean}
+         */
+        containsTerm(text, term) {
+            // Scripts without word spacing (e.g. Japanese) only support substring matches
+            if (!/^[a-z0-9À-ɏ\s'’&.-]+$/.test(term)) {
+                return text.includes(term);
+            }
+            let index = text.indexOf(term);
+            while (index !== -1) {
+                if (index === 0 || !/[a-z0-9À-ɏ]/.test(text[index - 1])) {
+                    return true;
+                }
+                index = text.indexOf(term, index + 1);
+            }
+            return false;
+        },
+
+        /**
+         * Work out which decision a button label expresses
+         * @param {string} text - Button label
+         * @param {Object} keywords - Keyword set from KeywordPacks.select()
+         * @returns {Object|null} { decision, specific, withdrawal } or null if none
+         */
+        matchDecision(text, keywords) {
+            const lowerText = text.toLowerCase().trim();
+
+            // Taking back an earlier agreement is a refusal too
+            if ((keywords.withdrawal || []).some(keyword => this.containsTerm(lowerText, keyword))) {
+                return { decision: 'rejected', specific: true, withdrawal: true };
+            }
+
+            // Refusals first, since "do not accept" contains "accept"
+            if (keywords.refusal.some(keyword => this.containsTerm(lowerText, keyword))) {
+                return { decision: 'rejected', specific: true };
+            }
+            if (keywords.partial.some(keyword => this.containsTerm(lowerText, keyword))) {
+                return { decision: 'partial', specific: true };
+            }
+
+            const matches = keywords.consent.filter(keyword => this.containsTerm(lowerText, keyword));
+            if (matches.length === 0) return null;
+
+            return {
+                decision: 'accepted',
+                specific: matches.some(keyword => !this.GENERIC_ACTIONS.includes(keyword))
+            };
+        },
+
+        /**
+         * Score every category for a clicked element
+         * @param {Object} features - { buttonText, context, role, inDialog, cmp, banner, emailForm }
+         * @param {Object} keywords - Keyword set from KeywordPacks.select()
+         * @returns {Object} { category, categoryScores, categoryConfidence }
+         */
+        scoreCategories(features, keywords) {
+            const button = (features.buttonText || '').toLowerCase();
+            const context = (features.context || '').toLowerCase();
+            const scores = {};
+
+            for (const [category, terms] of Object.entries(keywords.categories)) {
+                let score = 0;
+                for (const term of terms) {
+                    if (this.containsTerm(button, term)) {
+                        score += this.WEIGHTS.buttonTerm;
+                    } else if (this.containsTerm(context, term)) {
+                        score += this.WEIGHTS.contextTerm;
+                    }
+                }
+                scores[category] = score;
+            }
+
+            // Consent dialogs and fixed banners are overwhelmingly about cookies
+            if (features.cmp) scores.cookies = (scores.cookies || 0) + this.WEIGHTS.cmp;
+            if (features.inDialog && scores.cookies > 0) scores.cookies += this.WEIGHTS.dialog;
+            if (features.banner) scores.cookies = (scores.cookies || 0) + this.WEIGHTS.banner;
+
+            if (features.emailForm) {
+                scores.newsletter = (scores.newsletter || 0) + this.WEIGHTS.emailForm;
+            }
+
+            const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+            const denominator = Math.max(total, this.CATEGORY_PRIOR);
+
+            const categoryScores = {};
+            let category = 'general';
+            let best = 0;
+            // Ties go to the category listed first in KeywordPacks.CATEGORIES
+            for (const name of this.orderedCategories(scores)) {
+                if (scores[name] <= 0) continue;
+                categoryScores[name] = this.round(scores[name] / denominator);
+                if (scores[name] > best) {
+                    best = scores[name];
+                    category = name;
+                }
+            }
+
+            return {
+                category,
+                categoryScores,
+                categoryConfidence: categoryScores[category] || 0
+            };
+        },
+
+        /**
+         * Confidence that the click really was a consent decision
+         * @param {Object|null} match - Result of matchDecision()
+         * @param {Object} features - Features of the clicked element
+         * @param {Object} categoryResult - Result of scoreCategories()
+         * @returns {number} 0 to 1
+         */
+        scoreAction(match, features, categoryResult) {
+            if (!match) return 0;
+
+            let score = match.specific ? 0.6 : 0.15;
+            if (features.cmp || features.inDialog) score += 0.25;
+            if (features.banner) score += 0.15;
+            if (features.role === 'button') score += 0.05;
+            if (categoryResult.category !== 'general') score += 0.15;
+
+            return this.round(Math.min(score, 1));
+        },
+
+        /**
+         * Classify a clicked element
+         * @param {Object} features - { buttonText, context, role, inDialog, cmp, banner, emailForm }
+         * @param {Object} keywords - Keyword set from KeywordPacks.select()
+         * @returns {Object} { decision, withdrawal, category, confidence, actionConfidence, categoryScores }
+         */
+        classify(features, keywords) {
+            const match = this.matchDecision(features.buttonText || '', keywords);
+            const categoryResult = this.scoreCategories(features, keywords);
+            const actionConfidence = this.scoreAction(match, features, categoryResult);
+
+            return {
+                decision: match ? match.decision : null,
+                withdrawal: !!(match && match.withdrawal),
+                category: categoryResult.category,
+                categoryScores: categoryResult.categoryScores,
+                actionConfidence,
+                confidence: this.round(actionConfidence * (0.5 + 0.5 * categoryResult.categoryConfidence))
+            };
+        },
+
+        /**
+         * Whether a stored consent should be treated as low confidence
+         * @param {Object} consent - Stored consent record
+         * @returns {boolean}
+         */
+        isLowConfidence(consent) {
+            // Records from before scoring, browser permissions and CMP reports carry no score
+            return typeof consent.confidence === 'number' && consent.confidence < this.LOW_CONFIDENCE;
+        },
+
+        orderedCategories(scores) {
+            const order = typeof KeywordPacks !== 'undefined' ? KeywordPacks.CATEGORIES : [];
+            return [
+                ...order.filter(name => name in scores),
+                ...Object.keys(scores).filter(name => !order.includes(name))
+            ];
+        },
+
+        round(value) {
+            return Math.round(value * 100) / 100;
+        }
+    };
+
+} // End of ConsentClassifier guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentClassifier;
+}
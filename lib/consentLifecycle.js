@@ -0,0 +1,199 @@
+/**
+ * Consent Lifecycle
+ *
+ * Stored records are immutable events. Events on the same site and category
+ * (or browser permission) form a chain, and replaying a chain tells whether
+ * a consent is still in force:
+ * - granted: agreed to, with nothing in force before (or the same terms again)
+ * - modified: agreed to different terms while an earlier agreement was in force
+ * - withdrawn: refused or taken back after agreeing
+ * - expired: not renewed within the expiry period
+ *
+ * A refusal with nothing in force starts no lifecycle and has no state.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof ConsentLifecycle === 'undefined') {
+
+    var ConsentLifecycle = {
+        STATES: {
+            granted: { label: 'Granted', icon: '✅' },
+            modified: { label: 'Modified', icon: '✏️' },
+            withdrawn: { label: 'Withdrawn', icon: '↩️' },
+            expired: { label: 'Expired', icon: '⌛' }
+        },
+
+        // Regulators expect cookie and marketing consent to be renewed after about 13 months
+        EXPIRY_DAYS: {
+            cookies: 395,
+            marketing: 395
+        },
+
+        DEFAULT_EXPIRY_DAYS: 730,
+
+        DAY_MS: 24 * 60 * 60 * 1000,
+
+        /**
+         * Chain an event belongs to
+         * @param {Object} consent - Stored consent record
+         * @returns {string} "domain|category", or "domain|permission:type" for browser permissions
+         */
+        chainKey(consent) {
+            const subject = consent.browserPermission && consent.permissionType
+                ? `permission:${consent.permissionType}`
+                : (consent.category || 'general');
+            return `${consent.domain}|${subject}`;
+        },
+
+        /**
+         * Earlier events in the same chain as a consent
+         * @param {Object[]} consents - Stored records
+         * @param {Object} consent - Event to look up
+         * @returns {Object[]} Oldest first
+         */
+        chainOf(consents, consent) {
+            const key = this.chainKey(consent);
+            return consents
+                .filter(c => c.id !== consent.id && this.chainKey(c) === key)
+                .sort((a, b) => a.timestamp - b.timestamp);
+        },
+
+        /**
+         * When an agreement lapses
+         * @param {Object} consent - Event that granted or modified the consent
+         * @returns {number|null} Timestamp, or null if it lasts until revoked
+         */
+        expiresAt(consent) {
+            // The browser keeps a permission until it is revoked
+            if (consent.browserPermission) return null;
+            const days = this.EXPIRY_DAYS[consent.category] ?? this.DEFAULT_EXPIRY_DAYS;
+            return consent.timestamp + days * this.DAY_MS;
+        },
+
+        isInForce(state) {
+            return state === 'granted' || state === 'modified';
+        },
+
+        /**
+         * State an event moves its chain into
+         * @param {string|null} state - Chain state before the event
+         * @param {Object} consent - The event
+         * @param {Object|null} current - Event that set the chain state
+         * @returns {string|null} Key of STATES, or null for a refusal with nothing to withdraw
+         */
+        transition(state, consent, current) {
+            const inForce = this.isInForce(state);
+
+            if (consent.eventType === 'withdrawal' || consent.decision === 'rejected') {
+                return inForce || consent.eventType === 'withdrawal' ? 'withdrawn' : null;
+            }
+            return inForce && !this.sameTerms(current, consent) ? 'modified' : 'granted';
+        },
+
+        // What an event decided: the decision and every choice behind it
+        terms(consent) {
+            return JSON.stringify([
+                consent.decision || 'accepted',
+                (consent.choices || []).map(choice => [choice.label, choice.checked]),
+                (consent.cmpCategories || []).map(category => [category.id, category.granted]),
+                consent.tcf ? consent.tcf.purposeConsents : null
+            ]);
+        },
+
+        // Whether two agreements grant the same thing
+        sameTerms(a, b) {
+            return this.terms(a) === this.terms(b);
+        },
+
+        /**
+         * Identity of an event for spotting repeats: same chain, same terms
+         * (policies are attached after an event is saved, so they are not part of it)
+         * @param {Object} consent
+         * @returns {string}
+         */
+        fingerprint(consent) {
+            return [this.chainKey(consent), consent.eventType || '', this.terms(consent)].join('|');
+        },
+
+        /**
+         * Replay a chain
+         * @param {Object[]} events - Events of one chain, oldest first
+         * @param {number} [now] - Time to evaluate expiry at
+         * @returns {Object} { state, current, steps: [{ consent, state }] }
+         */
+        replay(events, now = Date.now()) {
+            let state = null;
+            let current = null;
+            const steps = [];
+
+            const lapsed = (at) => {
+                const expiry = current && this.expiresAt(current);
+                return this.isInForce(state) && expiry !== null && at > expiry;
+            };
+
+            for (const consent of events) {
+                if (lapsed(consent.timestamp)) state = 'expired';
+
+                const next = this.transition(state, consent, current);
+                if (next) {
+                    state = next;
+                    current = consent;
+                }
+                steps.push({ consent, state: next });
+            }
+            if (lapsed(now)) state = 'expired';
+
+            return { state, current, steps };
+        },
+
+        /**
+         * Current state of every chain
+         * @param {Object[]} consents - Stored records
+         * @param {number} [now] - Time to evaluate expiry at
+         * @returns {Object[]} [{ key, domain, category, permissionType, state, current, since, expiresAt, steps }]
+         */
+        chains(consents, now = Date.now()) {
+            const groups = new Map();
+            for (const consent of consents) {
+                const key = this.chainKey(consent);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(consent);
+            }
+
+            return [...groups.entries()].map(([key, events]) => {
+                events.sort((a, b) => a.timestamp - b.timestamp);
+                const { state, current, steps } = this.replay(events, now);
+                const first = events[0];
+                return {
+                    key,
+                    domain: first.domain,
+                    category: first.category || 'general',
+                    permissionType: first.browserPermission ? first.permissionType : null,
+                    state,
+                    current,
+                    since: current ? current.timestamp : null,
+                    expiresAt: this.isInForce(state) ? this.expiresAt(current) : null,
+                    steps
+                };
+            });
+        },
+
+        /**
+         * Consents currently in force, most recent first
+         * @param {Object[]} consents - Stored records
+         * @param {number} [now] - Time to evaluate expiry at
+         * @returns {Object[]} Chains from chains()
+         */
+        active(consents, now = Date.now()) {
+            return this.chains(consents, now)
+                .filter(chain => this.isInForce(chain.state))
+                .sort((a, b) => b.since - a.since);
+        }
+    };
+
+} // End of ConsentLifecycle guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentLifecycle;
+}
@@ -0,0 +1,351 @@
+/**
+ * Consent Store (IndexedDB)
+ *
+ * Every consent record, with no cap on history. Indexes:
+ * - domain, category, timestamp
+ * - batch: UTC day (seconds) of the daily batch the record was hashed into
+ * - proofHash: the record's hash in that batch
+ * - status: batchStatus, 'pending' until the batch is anchored
+ *
+ * The background service worker owns the store: other extension pages read
+ * through its GET_CONSENTS message and write through its CONSENT_COMMAND
+ * queue. Every write broadcasts CONSENTS_CHANGED so open pages can reload.
+ *
+ * Records from before the store existed live in the chrome.storage.local
+ * `consents` array; they are moved over the first time the store opens.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof ConsentStore === 'undefined') {
+
+    var ConsentStore = {
+        DB_NAME: 'ConsentTracker',
+        DB_VERSION: 2,
+        STORE: 'consents',
+
+        // Index name -> record field
+        INDEXES: {
+            domain: 'domain',
+            category: 'category',
+            timestamp: 'timestamp',
+            batch: 'batchDay',
+            proofHash: 'proofHash',
+            status: 'batchStatus' // Added in version 2
+        },
+
+        DAY_SECONDS: 24 * 60 * 60,
+
+        dbPromise: null,
+
+        /**
+         * Open the database, migrating the legacy array on first use
+         * @returns {Promise<IDBDatabase>}
+         */
+        open() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                    // Create the store on first open, and any index added since
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        const store = db.objectStoreNames.contains(this.STORE)
+                            ? request.transaction.objectStore(this.STORE)
+                            : db.createObjectStore(this.STORE, { keyPath: 'id' });
+                        for (const [name, keyPath] of Object.entries(this.INDEXES)) {
+                            if (!store.indexNames.contains(name)) store.createIndex(name, keyPath);
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                }).then(db => this.migrateLegacy(db).then(() => db));
+
+                // Let the next call retry instead of caching the failure
+                this.dbPromise.catch(() => {
+                    this.dbPromise = null;
+                });
+            }
+            return this.dbPromise;
+        },
+
+        /**
+         * Move records from the chrome.storage.local array into the store
+         * (safe to repeat: records keep their ids)
+         * @param {IDBDatabase} db
+         */
+        async migrateLegacy(db) {
+            const { consents } = await chrome.storage.local.get(['consents']);
+            if (!Array.isArray(consents)) return;
+
+            if (consents.length > 0) {
+                await this.run(db, 'readwrite', store => {
+                    consents.forEach(consent => store.put(this.withBatchDay(consent)));
+                });
+                console.log(`📦 Moved ${consents.length} consents to IndexedDB`);
+            }
+            await chrome.storage.local.remove('consents');
+        },
+
+        // Records saved before the batch index existed were batched on the day they were logged
+        withBatchDay(consent) {
+            if (consent.batchDay || typeof consent.timestamp !== 'number') return consent;
+            const day = Math.floor(consent.timestamp / 1000 / this.DAY_SECONDS) * this.DAY_SECONDS;
+            return { ...consent, batchDay: day };
+        },
+
+        /**
+         * Run work in one transaction
+         * @param {IDBDatabase} db
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} work - Called with the object store; may return an IDBRequest
+         * @returns {Promise<*>} Result of the returned request, once the transaction completes
+         */
+        run(db, mode, work) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE, mode);
+                const request = work(tx.objectStore(this.STORE));
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        },
+
+        async transaction(mode, work) {
+            const db = await this.open();
+            return this.run(db, mode, work);
+        },
+
+        // Tell other extension pages to reload; nobody listening is fine
+        notify() {
+            chrome.runtime.sendMessage({ type: 'CONSENTS_CHANGED' }).catch(() => { });
+        },
+
+        // ============ Reads ============
+
+        /**
+         * @param {string} id
+         * @returns {Promise<Object|null>}
+         */
+        async get(id) {
+            return (await this.transaction('readonly', store => store.get(id))) || null;
+        },
+
+        /**
+         * Records matching an optional index query, newest first
+         * @param {Object} [query] - { index, value, since, limit }
+         * @returns {Promise<Object[]>}
+         */
+        async getAll(query = {}) {
+            const { index, value, since, limit } = query;
+            let records;
+
+            if (index && this.INDEXES[index] && value !== undefined) {
+                records = await this.transaction('readonly', store => store.index(index).getAll(value));
+            } else if (since) {
+                records = await this.transaction('readonly', store =>
+                    store.index('timestamp').getAll(IDBKeyRange.lowerBound(since)));
+            } else {
+                records = await this.transaction('readonly', store => store.getAll());
+            }
+
+            records.sort((a, b) => b.timestamp - a.timestamp);
+            return limit ? records.slice(0, limit) : records;
+        },
+
+        /**
+         * Newest record matching a predicate, without loading the rest
+         * @param {Function} predicate - Called with each record, newest first
+         * @returns {Promise<Object|null>}
+         */
+        async find(predicate) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE, 'readonly');
+                const request = tx.objectStore(this.STORE).index('timestamp').openCursor(null, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return resolve(null);
+                    if (predicate(cursor.value)) return resolve(cursor.value);
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        },
+
+        /**
+         * @returns {Promise<number>}
+         */
+        async count() {
+            return this.transaction('readonly', store => store.count());
+        },
+
+        // ============ Writes ============
+
+        /**
+         * Apply write operations in order, in one transaction: all of them or none
+         * @param {Object[]} ops - Each one of:
+         *   { type: 'put', record }
+         *   { type: 'patch', id, changes } - changes: fields, or a function returning them from the record
+         *   { type: 'patchIndex', index, value, changes } - changes returns fields, or null to leave a record
+         *   { type: 'delete', id }
+         *   { type: 'deleteBefore', before } - timestamp
+         *   { type: 'clear' }
+         * @returns {Promise<Array>} Per op: the record for put/patch, a count for patchIndex/deleteBefore
+         * @throws {Error} NotFoundError if a patched record does not exist (nothing is written)
+         */
+        async apply(ops) {
+            const db = await this.open();
+            const results = await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE, 'readwrite');
+                const store = tx.objectStore(this.STORE);
+                const results = [];
+                let failure = null;
+
+                // One op at a time, so each sees the writes before it
+                const next = (index) => {
+                    if (index < ops.length) this.applyOp(store, ops[index], (result, error) => {
+                        if (error) {
+                            failure = error;
+                            tx.abort();
+                            return;
+                        }
+                        results.push(result);
+                        next(index + 1);
+                    });
+                };
+
+                tx.oncomplete = () => resolve(results);
+                tx.onabort = () => reject(failure || tx.error);
+                next(0);
+            });
+
+            this.notify();
+            return results;
+        },
+
+        // Issue one op's requests and call done(result, error) when they finish
+        applyOp(store, op, done) {
+            const eachInRange = (source, range, visit) => {
+                let count = 0;
+                const request = source.openCursor(range);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return done(count);
+                    if (visit(cursor)) count++;
+                    cursor.continue();
+                };
+            };
+
+            switch (op.type) {
+                case 'put':
+                    store.put(op.record).onsuccess = () => done(op.record);
+                    break;
+
+                case 'patch': {
+                    const request = store.get(op.id);
+                    request.onsuccess = () => {
+                        if (!request.result) {
+                            const error = new Error(`Consent not found: ${op.id}`);
+                            error.name = 'NotFoundError';
+                            return done(null, error);
+                        }
+                        const fields = typeof op.changes === 'function' ? op.changes(request.result) : op.changes;
+                        const updated = { ...request.result, ...fields, id: op.id };
+                        store.put(updated).onsuccess = () => done(updated);
+                    };
+                    break;
+                }
+
+                case 'patchIndex':
+                    eachInRange(store.index(op.index), IDBKeyRange.only(op.value), cursor => {
+                        const fields = op.changes(cursor.value);
+                        if (!fields) return false;
+                        cursor.update({ ...cursor.value, ...fields });
+                        return true;
+                    });
+                    break;
+
+                case 'delete':
+                    store.delete(op.id).onsuccess = () => done(op.id);
+                    break;
+
+                case 'deleteBefore':
+                    eachInRange(store.index('timestamp'), IDBKeyRange.upperBound(op.before, true), cursor => {
+                        cursor.delete();
+                        return true;
+                    });
+                    break;
+
+                case 'clear':
+                    store.clear().onsuccess = () => done(null);
+                    break;
+
+                default:
+                    done(null, new Error(`Unknown store operation: ${op.type}`));
+            }
+        },
+
+        /**
+         * Add or replace a record
+         * @param {Object} consent
+         */
+        async put(consent) {
+            await this.apply([{ type: 'put', record: consent }]);
+        },
+
+        /**
+         * Merge changes into a record
+         * @param {string} id
+         * @param {Object|Function} changes - Fields to set, or a function returning them from the record
+         * @returns {Promise<Object|null>} Updated record, or null if it does not exist
+         */
+        async update(id, changes) {
+            try {
+                const [updated] = await this.apply([{ type: 'patch', id, changes }]);
+                return updated;
+            } catch (error) {
+                if (error.name === 'NotFoundError') return null;
+                throw error;
+            }
+        },
+
+        /**
+         * Merge changes into every record with an index value
+         * @param {string} index - Key of INDEXES
+         * @param {*} value - Index value
+         * @param {Function} changes - Returns the fields to set for a record, or null to leave it
+         * @returns {Promise<number>} How many were updated
+         */
+        async updateByIndex(index, value, changes) {
+            const [updated] = await this.apply([{ type: 'patchIndex', index, value, changes }]);
+            return updated;
+        },
+
+        /**
+         * @param {string} id
+         */
+        async delete(id) {
+            await this.apply([{ type: 'delete', id }]);
+        },
+
+        /**
+         * Delete records logged before a time
+         * @param {number} timestamp
+         * @returns {Promise<number>} How many were deleted
+         */
+        async deleteBefore(timestamp) {
+            const [deleted] = await this.apply([{ type: 'deleteBefore', before: timestamp }]);
+            return deleted;
+        },
+
+        async clear() {
+            await this.apply([{ type: 'clear' }]);
+        }
+    };
+
+} // End of ConsentStore guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentStore;
+}
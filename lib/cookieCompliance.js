@@ -0,0 +1,114 @@
+/**
+ * Cookie Compliance Check
+ *
+ * Compares the cookies a site actually set with what the user agreed to.
+ * What was allowed is worked out from the most specific record available:
+ * - Saved CMP categories (OneTrust groups, Cookiebot categories, …)
+ * - TCF purpose consents
+ * - Preference-center switches captured at save time
+ * - Otherwise the overall decision
+ *
+ * Cookies are identified by name through TrackerDb; values are never read.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof CookieCompliance === 'undefined') {
+
+    var CookieCompliance = {
+        // Banner category labels (and OneTrust group ids) for each cookie purpose
+        CATEGORY_PATTERNS: {
+            analytics: /analytic|statisti|performance|measure|mesure|medici|\bC0002\b/i,
+            advertising: /marketing|advertis|targeting|\bads?\b|social|werbung|publicit|pubblicit|reclame|\bC0004\b|\bC0005\b/i,
+            preferences: /preference|functional|personali[sz]ation|komfort|fonctionnel|funcional|\bC0003\b/i
+        },
+
+        // TCF v2 purposes: 2-4 and 7 serve advertising, 8-10 measurement
+        TCF_PURPOSES: {
+            advertising: [2, 3, 4, 7],
+            analytics: [8, 9, 10]
+        },
+
+        /**
+         * Which cookie purposes a consent allowed
+         * @param {Object} consent - Stored consent record
+         * @returns {Object} { preferences, analytics, advertising }: true, false or null if unknown
+         */
+        allowedPurposes(consent) {
+            const byDecision = {
+                accepted: true,
+                rejected: false,
+                partial: null
+            }[consent.decision || 'accepted'];
+            const allowed = { preferences: byDecision, analytics: byDecision, advertising: byDecision };
+
+            // A refusal still usually keeps preference cookies such as language
+            if (consent.decision === 'rejected') allowed.preferences = null;
+
+            if (consent.choices && consent.choices.length > 0) {
+                this.applyCategories(allowed, consent.choices.map(c => ({ name: c.label, granted: c.checked })));
+            }
+
+            if (consent.tcf && Array.isArray(consent.tcf.purposeConsents)) {
+                const purposes = consent.tcf.purposeConsents;
+                // Purpose 1 (store information on a device) gates every cookie
+                const storage = purposes.includes(1);
+                for (const [purpose, ids] of Object.entries(this.TCF_PURPOSES)) {
+                    allowed[purpose] = storage && ids.some(id => purposes.includes(id));
+                }
+            }
+
+            if (consent.cmpCategories && consent.cmpCategories.length > 0) {
+                this.applyCategories(allowed, consent.cmpCategories.map(c => ({ name: `${c.id} ${c.name}`, granted: c.granted })));
+            }
+
+            return allowed;
+        },
+
+        // A purpose is allowed if any matching category was switched on
+        applyCategories(allowed, categories) {
+            for (const [purpose, pattern] of Object.entries(this.CATEGORY_PATTERNS)) {
+                const matching = categories.filter(c => pattern.test(c.name));
+                if (matching.length > 0) {
+                    allowed[purpose] = matching.some(c => c.granted);
+                }
+            }
+        },
+
+        /**
+         * Classify observed cookies and flag those the consent did not allow
+         * @param {Object} consent - Stored consent record
+         * @param {Object[]} cookies - chrome.cookies.Cookie objects
+         * @returns {Object} { allowed, cookies: [{ name, domain, vendor, purpose }], mismatches: [{ name, vendor, purpose }] }
+         */
+        check(consent, cookies) {
+            const allowed = this.allowedPurposes(consent);
+            const observed = [];
+            const seen = new Set();
+
+            for (const cookie of cookies) {
+                if (seen.has(cookie.name)) continue;
+                seen.add(cookie.name);
+
+                const entry = TrackerDb.matchCookie(cookie.name);
+                observed.push({
+                    name: cookie.name,
+                    domain: cookie.domain,
+                    vendor: entry ? entry.vendor : null,
+                    purpose: entry ? entry.purpose : 'unknown'
+                });
+            }
+
+            const mismatches = observed
+                .filter(cookie => allowed[cookie.purpose] === false)
+                .map(({ name, vendor, purpose }) => ({ name, vendor, purpose }));
+
+            return { allowed, cookies: observed, mismatches };
+        }
+    };
+
+} // End of CookieCompliance guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CookieCompliance;
+}
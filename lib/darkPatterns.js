@@ -0,0 +1,161 @@
+/**
+ * Consent Dark-Pattern Detection
+ *
+ * Judges how a consent banner steered the user, from measurements the
+ * content script takes while the banner is on screen:
+ * - No way to refuse on the first layer
+ * - Accept made far more prominent than reject (filled vs ghost, size, contrast)
+ * - Optional purposes ticked before the user touched them
+ * - "Legitimate interest" switched on by default
+ * - Confirmshaming: refusal wording that guilts the user
+ *
+ * Pure functions only; the DOM measuring lives in content.js.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof DarkPatterns === 'undefined') {
+
+    var DarkPatterns = {
+        // Weight is added to the privacy risk of every consent obtained this way
+        PATTERNS: {
+            noRejectFirstLayer: { label: 'No reject option', icon: '🚪', weight: 4 },
+            visualAsymmetry: { label: 'Accept highlighted over reject', icon: '🎨', weight: 3 },
+            preTicked: { label: 'Pre-ticked choices', icon: '☑️', weight: 3 },
+            legitimateInterest: { label: 'Legitimate interest on by default', icon: '⚖️', weight: 2 },
+            confirmshaming: { label: 'Confirmshaming', icon: '😞', weight: 2 }
+        },
+
+        // Reject buttons below this contrast ratio read as greyed out (WCAG AA is 4.5)
+        LOW_CONTRAST: 3,
+
+        // Accept is "much bigger" above this area ratio
+        AREA_RATIO: 2,
+
+        LEGITIMATE_INTEREST: /legitimate interest|legitimes interesse|berechtigte[sn]? interesse|intérêt légitime|interés legítimo|interesse legittimo|gerechtvaardigd belang/i,
+
+        // Switches that may legitimately start on
+        NECESSARY: /necessary|essential|required|functional|technical|notwendig|erforderlich|nécessaire|necesari|strictement|strictly/i,
+
+        // Refusals phrased to make the user feel bad about refusing
+        CONFIRMSHAMING: [
+            /\bno,? thanks?,? i\b/i,
+            /\bi (don'?t|do not) (want|like|care|need)\b/i,
+            /\bi('m| am) not interested in\b/i,
+            /\bi('d| would)? ?(rather|prefer to) (pay|miss|not|stay)\b/i,
+            /\bi (prefer|like) (paying|to pay) full price\b/i,
+            /\bi (hate|dislike)\b/i,
+            /\bi('ll| will) (pass on|miss out)\b/i,
+            /\b(no|nein|non),? (i|ich|je) /i,
+            /\bworse experience\b/i,
+            /\b(less|fewer) relevant\b/i
+        ],
+
+        /**
+         * Work out which dark patterns a banner measurement shows
+         * @param {Object} measurement - { firstLayer, buttons, toggles } from content.js
+         *   buttons: [{ decision, label, area, filled, contrast }]
+         *   toggles: [{ label, initiallyChecked, disabled }]
+         * @returns {string[]} Keys of PATTERNS
+         */
+        analyze(measurement) {
+            const found = new Set();
+            const buttons = measurement.buttons || [];
+            // Judge the site by its best-presented option of each kind
+            const accept = this.mostProminent(buttons.filter(b => b.decision === 'accepted'));
+            const reject = this.mostProminent(buttons.filter(b => b.decision === 'rejected'));
+
+            if (measurement.firstLayer && accept && !reject) {
+                found.add('noRejectFirstLayer');
+            }
+            if (accept && reject && this.isAsymmetric(accept, reject)) {
+                found.add('visualAsymmetry');
+            }
+            if (buttons.some(b => b.decision !== 'accepted' && this.isConfirmshaming(b.label))) {
+                found.add('confirmshaming');
+            }
+
+            for (const toggle of measurement.toggles || []) {
+                if (!toggle.initiallyChecked || toggle.disabled) continue;
+                if (this.LEGITIMATE_INTEREST.test(toggle.label)) {
+                    found.add('legitimateInterest');
+                } else if (!this.NECESSARY.test(toggle.label)) {
+                    found.add('preTicked');
+                }
+            }
+
+            return Object.keys(this.PATTERNS).filter(key => found.has(key));
+        },
+
+        /**
+         * Whether accept was styled to win over reject
+         * @param {Object} accept - Measured accept button
+         * @param {Object} reject - Measured reject button
+         * @returns {boolean}
+         */
+        isAsymmetric(accept, reject) {
+            if (accept.filled && !reject.filled) return true;
+            if (reject.area > 0 && accept.area / reject.area >= this.AREA_RATIO) return true;
+            return reject.contrast < this.LOW_CONTRAST && accept.contrast >= this.LOW_CONTRAST;
+        },
+
+        // Filled buttons first, then the largest
+        mostProminent(buttons) {
+            return [...buttons].sort((a, b) => (b.filled - a.filled) || (b.area - a.area))[0] || null;
+        },
+
+        /**
+         * Whether a refusal label guilts the user
+         * @param {string} label - Button or link text
+         * @returns {boolean}
+         */
+        isConfirmshaming(label) {
+            return !!label && label.length < 120 && this.CONFIRMSHAMING.some(pattern => pattern.test(label));
+        },
+
+        /**
+         * Risk weight of a set of patterns
+         * @param {string[]} patterns - Keys of PATTERNS
+         * @returns {number}
+         */
+        score(patterns) {
+            return (patterns || []).reduce((sum, key) => sum + (this.PATTERNS[key]?.weight || 0), 0);
+        },
+
+        /**
+         * Parse a computed CSS colour ("rgb(…)" / "rgba(…)")
+         * @param {string} value - Computed colour
+         * @returns {number[]|null} [r, g, b, a]
+         */
+        parseColor(value) {
+            const match = /rgba?\(([^)]+)\)/.exec(value || '');
+            if (!match) return null;
+            const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+            return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+        },
+
+        /**
+         * WCAG contrast ratio between two opaque colours
+         * @param {number[]} foreground - [r, g, b]
+         * @param {number[]} background - [r, g, b]
+         * @returns {number} 1 to 21
+         */
+        contrastRatio(foreground, background) {
+            const luminance = ([r, g, b]) => {
+                const [lr, lg, lb] = [r, g, b].map(channel => {
+                    const c = channel / 255;
+                    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+                });
+                return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+            };
+            const a = luminance(foreground);
+            const b = luminance(background);
+            return Math.round((Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05) * 100) / 100;
+        }
+    };
+
+} // End of DarkPatterns guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DarkPatterns;
+}
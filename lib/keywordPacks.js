@@ -0,0 +1,356 @@
+/**
+ * Consent Keyword Packs
+ *
+ * Per-language dictionaries used by the content script to:
+ * - Recognise consent, refusal and partial-choice buttons
+ * - Tell withdrawals of an earlier agreement apart from first-time refusals
+ * - Categorise the consent from its surrounding text
+ *
+ * The pack is selected from document.documentElement.lang. Pages with no
+ * or an unknown language fall back to every pack at once. Users can add
+ * custom packs from the options page; they are merged with the built-ins.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof KeywordPacks === 'undefined') {
+
+    var KeywordPacks = {
+        // Category order breaks ties between equally scored categories
+        CATEGORIES: [
+            'cookies', 'newsletter', 'email', 'account', 'data',
+            'terms', 'notifications', 'location', 'permissions', 'marketing'
+        ],
+
+        packs: {
+            en: {
+                name: 'English',
+                consent: [
+                    'accept', 'allow', 'grant', 'agree', 'consent', 'ok', 'yes',
+                    'continue', 'got it', 'i agree', 'i accept', 'understood',
+                    'enable', 'approve', 'confirm', 'subscribe', 'sign up', 'signup',
+                    'opt in', 'opt-in', 'accept all', 'allow all', 'agree all',
+                    'accept cookies', 'allow cookies', 'accept & continue',
+                    'that\'s ok', 'sounds good', 'fine by me', 'no problem',
+                    'register', 'join', 'submit', 'send', 'get started', 'start',
+                    'notify me', 'keep me updated', 'stay updated', 'get updates',
+                    'join now', 'sign me up', 'count me in', 'i\'m in'
+                ],
+                // Checked before consent since "do not accept" contains "accept"
+                refusal: [
+                    'reject', 'reject all', 'decline', 'deny', 'refuse', 'disagree',
+                    'do not accept', 'don\'t accept', 'do not agree', 'i do not agree',
+                    'don\'t allow', 'do not allow', 'no thanks', 'no, thanks', 'not now',
+                    'opt out', 'opt-out', 'unsubscribe', 'withdraw', 'revoke',
+                    'necessary only', 'only necessary', 'essential only', 'only essential',
+                    'continue without accepting', 'continue without agreeing'
+                ],
+                // Refusals that explicitly take back an earlier agreement. Generic
+                // ones such as "unsubscribe" stay plain refusals: the lifecycle
+                // still counts them as withdrawals when a grant is in force
+                withdrawal: [
+                    'withdraw', 'withdraw consent', 'revoke', 'revoke consent', 'revoke access',
+                    'delete my account', 'delete my data'
+                ],
+                partial: [
+                    'save preferences', 'save my preferences', 'save choices', 'save my choices',
+                    'save settings', 'save and exit', 'confirm choices', 'confirm my choices',
+                    'confirm selection', 'allow selection', 'accept selected', 'accept selection',
+                    'allow selected', 'update preferences', 'update settings'
+                ],
+                categories: {
+                    cookies: ['cookie', 'cookies', 'tracking', 'analytics', 'advertising', 'gdpr', 'ccpa'],
+                    newsletter: ['newsletter', 'subscribe', 'subscription', 'updates', 'news', 'mailing list', 'weekly', 'daily', 'digest'],
+                    email: ['email', 'e-mail', 'inbox', 'mail'],
+                    account: ['account', 'register', 'sign up', 'signup', 'create account', 'join', 'member'],
+                    data: ['data', 'personal', 'information', 'privacy', 'share'],
+                    terms: ['terms', 'conditions', 'policy', 'agreement', 'legal', 'tos'],
+                    notifications: ['notification', 'push', 'alert', 'remind', 'notify'],
+                    location: ['location', 'gps', 'geolocation', 'where', 'nearby'],
+                    permissions: ['permission', 'access', 'camera', 'microphone', 'contacts'],
+                    marketing: ['marketing', 'promotional', 'offers', 'deals', 'discount']
+                }
+            },
+
+            de: {
+                name: 'Deutsch',
+                consent: [
+                    'akzeptieren', 'alle akzeptieren', 'zustimmen', 'allen zustimmen', 'zulassen',
+                    'alle zulassen', 'erlauben', 'einverstanden', 'annehmen', 'verstanden',
+                    'registrieren', 'anmelden', 'abonnieren', 'weiter'
+                ],
+                refusal: [
+                    'ablehnen', 'alle ablehnen', 'nicht zustimmen', 'nicht einverstanden',
+                    'nicht zulassen', 'verweigern', 'nein danke', 'nur notwendige',
+                    'nur erforderliche', 'nur essenzielle', 'abmelden', 'abbestellen', 'widerrufen',
+                    'weiter ohne einwilligung'
+                ],
+                withdrawal: [
+                    'widerrufen', 'einwilligung widerrufen', 'konto löschen', 'zugriff entziehen'
+                ],
+                partial: [
+                    'auswahl speichern', 'auswahl erlauben', 'auswahl zulassen', 'auswahl bestätigen',
+                    'einstellungen speichern', 'einstellungen bestätigen', 'präferenzen speichern'
+                ],
+                categories: {
+                    cookies: ['cookie', 'tracking', 'analyse', 'werbung', 'dsgvo'],
+                    newsletter: ['newsletter', 'abonnieren', 'abonnement'],
+                    email: ['e-mail', 'email', 'postfach'],
+                    account: ['konto', 'registrieren', 'anmelden', 'mitglied'],
+                    data: ['daten', 'persönlich', 'datenschutz', 'informationen'],
+                    terms: ['agb', 'bedingungen', 'nutzungsbedingungen', 'richtlinie'],
+                    notifications: ['benachrichtigung', 'mitteilung', 'push'],
+                    location: ['standort', 'ortung'],
+                    permissions: ['berechtigung', 'zugriff', 'kamera', 'mikrofon'],
+                    marketing: ['marketing', 'angebote', 'werbe', 'rabatt']
+                }
+            },
+
+            fr: {
+                name: 'Français',
+                consent: [
+                    'accepter', 'tout accepter', 'j\'accepte', 'accepter et fermer', 'autoriser',
+                    'tout autoriser', 'd\'accord', 'consentir', 'valider', 'continuer',
+                    's\'inscrire', 's\'abonner'
+                ],
+                refusal: [
+                    'refuser', 'tout refuser', 'rejeter', 'interdire', 'non merci',
+                    'continuer sans accepter', 'nécessaires uniquement', 'uniquement nécessaires',
+                    'se désabonner', 'désinscription', 'retirer mon consentement'
+                ],
+                withdrawal: [
+                    'retirer mon consentement', 'retirer le consentement', 'supprimer mon compte', 'révoquer'
+                ],
+                partial: [
+                    'enregistrer mes choix', 'valider mes choix', 'confirmer mes choix',
+                    'enregistrer les paramètres', 'sauvegarder mes choix', 'autoriser la sélection'
+                ],
+                categories: {
+                    cookies: ['cookie', 'traceur', 'suivi', 'publicité', 'mesure d\'audience', 'rgpd'],
+                    newsletter: ['newsletter', 'lettre d\'information', 'abonner', 'abonnement'],
+                    email: ['e-mail', 'email', 'courriel'],
+                    account: ['compte', 'inscription', 'inscrire', 'membre'],
+                    data: ['données', 'personnelles', 'confidentialité', 'partager'],
+                    terms: ['conditions', 'cgu', 'cgv', 'politique', 'mentions légales'],
+                    notifications: ['notification', 'alerte', 'rappel'],
+                    location: ['localisation', 'géolocalisation', 'position'],
+                    permissions: ['autorisation', 'accès', 'caméra', 'microphone'],
+                    marketing: ['marketing', 'promotion', 'offres', 'réduction']
+                }
+            },
+
+            es: {
+                name: 'Español',
+                consent: [
+                    'aceptar', 'aceptar todo', 'aceptar todas', 'acepto', 'permitir', 'permitir todas',
+                    'de acuerdo', 'consiento', 'entendido', 'registrarse', 'suscribirse', 'continuar'
+                ],
+                refusal: [
+                    'rechazar', 'rechazar todo', 'rechazar todas', 'denegar', 'no acepto',
+                    'no, gracias', 'no gracias', 'solo necesarias', 'continuar sin aceptar',
+                    'darse de baja', 'retirar consentimiento'
+                ],
+                withdrawal: [
+                    'retirar consentimiento', 'retirar el consentimiento', 'eliminar mi cuenta', 'revocar'
+                ],
+                partial: [
+                    'guardar preferencias', 'guardar configuración', 'guardar selección',
+                    'aceptar selección', 'confirmar selección', 'permitir selección'
+                ],
+                categories: {
+                    cookies: ['cookie', 'rastreo', 'seguimiento', 'analítica', 'publicidad', 'rgpd'],
+                    newsletter: ['boletín', 'newsletter', 'suscripción', 'suscribir'],
+                    email: ['correo', 'e-mail', 'email'],
+                    account: ['cuenta', 'registro', 'registrarse', 'miembro'],
+                    data: ['datos', 'personales', 'privacidad', 'compartir'],
+                    terms: ['términos', 'condiciones', 'política', 'aviso legal'],
+                    notifications: ['notificación', 'notificaciones', 'alerta', 'aviso'],
+                    location: ['ubicación', 'geolocalización'],
+                    permissions: ['permiso', 'acceso', 'cámara', 'micrófono'],
+                    marketing: ['marketing', 'promociones', 'ofertas', 'descuento']
+                }
+            },
+
+            it: {
+                name: 'Italiano',
+                consent: [
+                    'accetta', 'accetta tutto', 'accetta tutti', 'accetto', 'acconsento', 'consenti',
+                    'consenti tutti', 'ho capito', 'registrati', 'iscriviti', 'continua'
+                ],
+                refusal: [
+                    'rifiuta', 'rifiuta tutto', 'rifiuta tutti', 'nega', 'non accetto', 'no grazie',
+                    'solo necessari', 'continua senza accettare', 'disiscriviti', 'revoca'
+                ],
+                withdrawal: [
+                    'revoca', 'revoca il consenso', 'ritira il consenso', 'elimina il mio account'
+                ],
+                partial: [
+                    'salva preferenze', 'salva le mie scelte', 'salva e chiudi',
+                    'accetta selezionati', 'conferma scelte', 'consenti la selezione'
+                ],
+                categories: {
+                    cookies: ['cookie', 'tracciamento', 'analisi', 'pubblicità', 'gdpr'],
+                    newsletter: ['newsletter', 'iscrizione', 'abbonamento'],
+                    email: ['email', 'e-mail', 'posta'],
+                    account: ['account', 'registrazione', 'registrati', 'membro'],
+                    data: ['dati', 'personali', 'privacy', 'condividere'],
+                    terms: ['termini', 'condizioni', 'informativa', 'politica'],
+                    notifications: ['notifica', 'notifiche', 'avviso'],
+                    location: ['posizione', 'geolocalizzazione'],
+                    permissions: ['permesso', 'accesso', 'fotocamera', 'microfono'],
+                    marketing: ['marketing', 'promozioni', 'offerte', 'sconto']
+                }
+            },
+
+            nl: {
+                name: 'Nederlands',
+                consent: [
+                    'accepteren', 'alles accepteren', 'akkoord', 'ik ga akkoord', 'toestaan',
+                    'alles toestaan', 'aanmelden', 'inschrijven', 'doorgaan'
+                ],
+                refusal: [
+                    'weigeren', 'alles weigeren', 'afwijzen', 'niet akkoord', 'nee bedankt',
+                    'alleen noodzakelijk', 'afmelden', 'uitschrijven', 'intrekken'
+                ],
+                withdrawal: [
+                    'intrekken', 'toestemming intrekken', 'account verwijderen'
+                ],
+                partial: [
+                    'voorkeuren opslaan', 'instellingen opslaan', 'selectie toestaan', 'keuze opslaan'
+                ],
+                categories: {
+                    cookies: ['cookie', 'tracking', 'analytisch', 'advertentie', 'avg'],
+                    newsletter: ['nieuwsbrief', 'abonneren', 'abonnement'],
+                    email: ['e-mail', 'email'],
+                    account: ['account', 'registreren', 'lid'],
+                    data: ['gegevens', 'persoonlijke', 'privacy', 'delen'],
+                    terms: ['voorwaarden', 'beleid', 'algemene voorwaarden'],
+                    notifications: ['melding', 'meldingen', 'notificatie'],
+                    location: ['locatie'],
+                    permissions: ['toestemming', 'toegang', 'camera', 'microfoon'],
+                    marketing: ['marketing', 'aanbiedingen', 'korting', 'promotie']
+                }
+            },
+
+            pt: {
+                name: 'Português',
+                consent: [
+                    'aceitar', 'aceitar todos', 'aceito', 'concordo', 'permitir', 'permitir todos',
+                    'entendi', 'cadastrar', 'inscrever', 'continuar'
+                ],
+                refusal: [
+                    'rejeitar', 'rejeitar todos', 'recusar', 'não aceito', 'não concordo',
+                    'não, obrigado', 'apenas necessários', 'somente necessários'
+                ],
+                withdrawal: [
+                    'retirar consentimento', 'revogar', 'excluir minha conta', 'eliminar a minha conta'
+                ],
+                partial: [
+                    'guardar preferências', 'salvar preferências', 'salvar configurações',
+                    'confirmar escolhas', 'permitir seleção'
+                ],
+                categories: {
+                    cookies: ['cookie', 'rastreamento', 'análise', 'publicidade', 'lgpd', 'rgpd'],
+                    newsletter: ['newsletter', 'boletim', 'assinar', 'assinatura'],
+                    email: ['e-mail', 'email'],
+                    account: ['conta', 'cadastro', 'registo', 'membro'],
+                    data: ['dados', 'pessoais', 'privacidade', 'compartilhar'],
+                    terms: ['termos', 'condições', 'política'],
+                    notifications: ['notificação', 'notificações', 'alerta'],
+                    location: ['localização', 'geolocalização'],
+                    permissions: ['permissão', 'acesso', 'câmera', 'microfone'],
+                    marketing: ['marketing', 'promoções', 'ofertas', 'desconto']
+                }
+            },
+
+            ja: {
+                name: '日本語',
+                consent: [
+                    '同意する', 'すべて同意', '同意', '許可', '承諾', '受け入れる',
+                    'すべて受け入れる', '登録'
+                ],
+                refusal: [
+                    '拒否', 'すべて拒否', '同意しない', '許可しない', '受け入れない',
+                    '必要なもののみ', '辞退', '配信停止'
+                ],
+                withdrawal: [
+                    '同意を撤回', '撤回', 'アカウントを削除'
+                ],
+                partial: [
+                    '設定を保存', '選択を保存', '選択した項目を許可'
+                ],
+                categories: {
+                    cookies: ['クッキー', 'cookie', 'トラッキング', '分析', '広告'],
+                    newsletter: ['ニュースレター', 'メルマガ', '購読'],
+                    email: ['メール', 'eメール'],
+                    account: ['アカウント', '会員登録'],
+                    data: ['個人情報', 'データ', 'プライバシー'],
+                    terms: ['利用規約', '規約', 'ポリシー'],
+                    notifications: ['通知', 'プッシュ'],
+                    location: ['位置情報', '現在地'],
+                    permissions: ['アクセス', 'カメラ', 'マイク', '権限'],
+                    marketing: ['マーケティング', 'キャンペーン', '割引']
+                }
+            }
+        },
+
+        /**
+         * Normalise a BCP 47 language tag to its primary subtag
+         * @param {string} lang - e.g. 'de-DE', 'pt_BR', ''
+         * @returns {string|null} Lower-case primary subtag, or null if empty
+         */
+        resolveLanguage(lang) {
+            const code = (lang || '').trim().toLowerCase().split(/[-_]/)[0];
+            return code || null;
+        },
+
+        /**
+         * Select the keyword set for a page language
+         * @param {string} lang - Page language (document.documentElement.lang)
+         * @param {Object} customPacks - User packs keyed by language code
+         * @returns {Object} { language, fallback, consent, refusal, withdrawal, partial, categories }
+         */
+        select(lang, customPacks = {}) {
+            const code = this.resolveLanguage(lang);
+            const matched = [this.packs[code], customPacks[code]].filter(Boolean);
+
+            // English labels are common on non-English pages, so always include them
+            const selected = matched.length > 0
+                ? [...matched, this.packs.en]
+                : [...Object.values(this.packs), ...Object.values(customPacks)];
+
+            return {
+                language: code || 'unknown',
+                fallback: matched.length === 0,
+                ...this.merge(selected)
+            };
+        },
+
+        /**
+         * Merge packs into one de-duplicated keyword set
+         * @param {Object[]} packs - Packs to merge
+         * @returns {Object} { consent, refusal, withdrawal, partial, categories }
+         */
+        merge(packs) {
+            const unique = (lists) => [...new Set(lists.flat().map(k => k.toLowerCase()))];
+
+            const categories = {};
+            for (const category of this.CATEGORIES) {
+                categories[category] = unique(packs.map(p => (p.categories && p.categories[category]) || []));
+            }
+
+            return {
+                consent: unique(packs.map(p => p.consent || [])),
+                refusal: unique(packs.map(p => p.refusal || [])),
+                withdrawal: unique(packs.map(p => p.withdrawal || [])),
+                partial: unique(packs.map(p => p.partial || [])),
+                categories
+            };
+        }
+    };
+
+} // End of KeywordPacks guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeywordPacks;
+}
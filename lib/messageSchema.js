@@ -0,0 +1,255 @@
+/**
+ * Message Schemas
+ *
+ * Every message type background.js accepts, who may send it and the shape
+ * of its payload. Senders are:
+ * - content: a content script running in a web page (the page may be hostile)
+ * - extension: one of the extension's own pages (popup, dashboard, options)
+ *
+ * Field specs: { type, required, maxLength, enum, pattern, fields, items }.
+ * `type` is one of string, url, number, boolean, object or array; a spec
+ * with no type accepts any value. Fields not listed are passed through.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof MessageSchema === 'undefined') {
+
+    const ID_FIELD = { type: 'string', required: true, maxLength: 100 };
+
+    // A consent event as reported by content.js. Only web pages are logged:
+    // events from file: URLs and other non-http(s) pages are rejected, as the
+    // background fetches the page's policies and reads its site's cookies
+    const CONSENT_FIELDS = {
+        id: ID_FIELD,
+        url: { type: 'url', required: true },
+        domain: { type: 'string', required: true, maxLength: 253 },
+        timestamp: { type: 'number', required: true },
+        buttonText: { type: 'string', maxLength: 1000 },
+        context: { type: 'string', maxLength: 10000 },
+        category: { type: 'string', maxLength: 50 },
+        decision: { type: 'string', enum: ['accepted', 'partial', 'rejected'] },
+        eventType: { type: 'string', enum: ['implicit', 'withdrawal'] },
+        language: { type: 'string', maxLength: 20 },
+        browserPermission: { type: 'boolean' },
+        permissionType: { type: 'string', maxLength: 50 },
+        choices: { type: 'array' },
+        cmpCategories: { type: 'array' },
+        tcf: { type: 'object' },
+        frame: { type: 'object' },
+        // The background fetches these, so they must be web pages
+        policyLinks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    type: { type: 'string', required: true, enum: ['privacy', 'cookies', 'terms'] },
+                    url: { type: 'url', required: true }
+                }
+            }
+        }
+    };
+
+    var MessageSchema = {
+        // Fields only the background sets; dropped from reported events
+        OWNED_FIELDS: [
+            'proofHash', 'batchDay', 'batchStatus', 'txHash',
+            'chainId', 'previousId', 'lifecycle',
+            'withdrawalOf', 'withdrawnAt', 'withdrawnBy', 'manual',
+            'gpc', 'policies', 'policyHash', 'compliance', 'oauth',
+            'occurrences', 'lastSeen', 'repeats',
+            'reviewed', 'important'
+        ],
+
+        MESSAGES: {
+            CONSENT_DETECTED: {
+                from: 'content',
+                fields: {
+                    data: { type: 'object', required: true, fields: CONSENT_FIELDS }
+                }
+            },
+            GET_CONSENTS: {
+                from: 'extension',
+                fields: {
+                    query: {
+                        type: 'object',
+                        fields: {
+                            index: { type: 'string', maxLength: 50 },
+                            value: {},
+                            since: { type: 'number' },
+                            limit: { type: 'number' }
+                        }
+                    }
+                }
+            },
+            CONSENT_COMMAND: {
+                from: 'extension',
+                fields: {
+                    command: {
+                        type: 'object',
+                        required: true,
+                        fields: {
+                            version: { type: 'number', required: true },
+                            op: { type: 'string', required: true, enum: ['ADD', 'PATCH', 'TOGGLE', 'DELETE', 'BULK'] },
+                            commands: { type: 'array' }
+                        }
+                    }
+                }
+            },
+            CLEAR_CONSENTS: { from: 'extension', fields: {} },
+            DELETE_CONSENT: { from: 'extension', fields: { id: ID_FIELD } },
+            VERIFY_CONSENT: {
+                from: 'extension',
+                fields: {
+                    hash: { type: 'string', required: true, pattern: /^0x[0-9a-f]{64}$/i }
+                }
+            },
+            ANCHOR_BATCH: { from: 'extension', fields: {} },
+            GET_BATCH_INFO: { from: 'extension', fields: {} },
+            GET_BLOCKCHAIN_STATS: { from: 'extension', fields: {} },
+            GET_ALL_BATCHES: { from: 'extension', fields: {} },
+            CHECK_POLICIES: { from: 'extension', fields: {} },
+            CHECK_COMPLIANCE: { from: 'extension', fields: { id: ID_FIELD } },
+            GET_PERMISSION_STATES: {
+                from: 'extension',
+                fields: {
+                    permissions: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                url: { type: 'url', required: true },
+                                permissionType: { type: 'string', required: true, maxLength: 50 }
+                            }
+                        }
+                    }
+                }
+            },
+            REVOKE_PERMISSION: { from: 'extension', fields: { id: ID_FIELD } },
+            RECORD_WITHDRAWAL: { from: 'extension', fields: { id: ID_FIELD } },
+            REVIEW_POLICY_CHANGE: {
+                from: 'extension',
+                fields: {
+                    url: { type: 'url', required: true }
+                }
+            }
+        },
+
+        /**
+         * Check a message against its schema
+         * @param {Object} message - As received by runtime.onMessage
+         * @param {string|null} from - 'content', 'extension', or null for an unknown sender
+         * @returns {Object|null} { code, error } with code UNKNOWN_TYPE, FORBIDDEN or INVALID, or null if valid
+         */
+        check(message, from) {
+            const type = message && message.type;
+            const schema = typeof type === 'string' && Object.prototype.hasOwnProperty.call(this.MESSAGES, type)
+                ? this.MESSAGES[type]
+                : null;
+            if (!schema) {
+                return { code: 'UNKNOWN_TYPE', error: `Unknown message type: ${type}` };
+            }
+            if (from !== schema.from) {
+                return { code: 'FORBIDDEN', error: `${type} is only accepted from ${schema.from === 'extension' ? 'extension pages' : 'content scripts'}` };
+            }
+
+            const problem = this.checkFields(message, schema.fields, type);
+            return problem ? { code: 'INVALID', error: problem } : null;
+        },
+
+        /**
+         * Check a consent event (CONSENT_DETECTED data, or the consent of an ADD command)
+         * @param {*} consent
+         * @param {string} [path] - Name used in the problem
+         * @returns {string|null} Problem found, or null
+         */
+        checkConsent(consent, path = 'consent') {
+            return this.checkValue(consent, { type: 'object', required: true, fields: CONSENT_FIELDS }, path);
+        },
+
+        /**
+         * @returns {string|null} First problem found, or null
+         */
+        checkFields(value, fields, path) {
+            for (const [name, spec] of Object.entries(fields)) {
+                const problem = this.checkValue(value[name], spec, `${path}.${name}`);
+                if (problem) return problem;
+            }
+            return null;
+        },
+
+        /**
+         * @returns {string|null} Problem with the value, or null
+         */
+        checkValue(value, spec, path) {
+            if (value === undefined || value === null) {
+                return spec.required ? `${path} is required` : null;
+            }
+            if (!spec.type) return null;
+
+            switch (spec.type) {
+                case 'string':
+                    if (typeof value !== 'string') return `${path} must be a string`;
+                    if (spec.maxLength && value.length > spec.maxLength) return `${path} is longer than ${spec.maxLength} characters`;
+                    if (spec.pattern && !spec.pattern.test(value)) return `${path} is malformed`;
+                    break;
+
+                case 'url':
+                    if (typeof value !== 'string' || !this.isWebUrl(value)) return `${path} must be an http(s) URL`;
+                    break;
+
+                case 'number':
+                    if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+                    break;
+
+                case 'boolean':
+                    if (typeof value !== 'boolean') return `${path} must be true or false`;
+                    break;
+
+                case 'object':
+                    if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+                    if (spec.fields) return this.checkFields(value, spec.fields, path);
+                    break;
+
+                case 'array':
+                    if (!Array.isArray(value)) return `${path} must be an array`;
+                    if (spec.items) {
+                        for (let i = 0; i < value.length; i++) {
+                            const problem = this.checkValue(value[i], spec.items, `${path}[${i}]`);
+                            if (problem) return problem;
+                        }
+                    }
+                    break;
+            }
+
+            if (spec.enum && !spec.enum.includes(value)) return `${path} must be one of ${spec.enum.join(', ')}`;
+            return null;
+        },
+
+        isWebUrl(value) {
+            try {
+                const { protocol } = new URL(value);
+                return protocol === 'http:' || protocol === 'https:';
+            } catch {
+                return false;
+            }
+        },
+
+        /**
+         * Copy of a reported consent without the fields the background owns
+         * @param {Object} consentData - Validated CONSENT_DETECTED data
+         * @returns {Object}
+         */
+        stripOwnedFields(consentData) {
+            const copy = { ...consentData };
+            for (const field of this.OWNED_FIELDS) delete copy[field];
+            return copy;
+        }
+    };
+
+} // End of MessageSchema guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageSchema;
+}
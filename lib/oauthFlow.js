@@ -0,0 +1,224 @@
+/**
+ * OAuth / OpenID Connect Flow Detection
+ *
+ * Recognises "Sign in with…" authorization requests from their URL and
+ * works out whether the user granted or denied them once the identity
+ * provider hands control back to the relying party:
+ * - Authorization request: client_id plus scope, response_type or redirect_uri
+ * - Grant: a code, access_token or id_token on the way back (or reaching
+ *   the redirect URI when the response is form-posted)
+ * - Denial: an error parameter such as error=access_denied
+ * - Anything else, such as cancelling back to the app: no decision
+ *
+ * Authorization codes and tokens are only tested for presence, never kept.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof OAuthFlow === 'undefined') {
+
+    var OAuthFlow = {
+        // Well-known identity providers, matched on the authorization host
+        PROVIDERS: [
+            { id: 'google', name: 'Google', hosts: ['accounts.google.com'] },
+            { id: 'github', name: 'GitHub', hosts: ['github.com'] },
+            { id: 'microsoft', name: 'Microsoft', hosts: ['login.microsoftonline.com', 'login.live.com'] },
+            { id: 'apple', name: 'Apple', hosts: ['appleid.apple.com'] },
+            { id: 'facebook', name: 'Facebook', hosts: ['facebook.com'] },
+            { id: 'x', name: 'X (Twitter)', hosts: ['twitter.com', 'x.com'] },
+            { id: 'linkedin', name: 'LinkedIn', hosts: ['linkedin.com'] },
+            { id: 'gitlab', name: 'GitLab', hosts: ['gitlab.com'] },
+            { id: 'discord', name: 'Discord', hosts: ['discord.com'] },
+            { id: 'slack', name: 'Slack', hosts: ['slack.com'] },
+            { id: 'amazon', name: 'Amazon', hosts: ['amazon.com'] }
+        ],
+
+        // Unknown providers must at least use an authorization-looking path
+        AUTHORIZE_PATH: /oauth|authori[sz]e|\/auth\b|consent|connect/i,
+
+        // Plain-language descriptions of common scopes; sensitive ones are highlighted
+        SCOPES: {
+            'openid': { label: 'Confirm your identity', sensitive: false },
+            'profile': { label: 'Name and profile picture', sensitive: false },
+            'email': { label: 'Email address', sensitive: false },
+            'offline_access': { label: 'Access while you are away', sensitive: true },
+            'https://www.googleapis.com/auth/userinfo.email': { label: 'Email address', sensitive: false },
+            'https://www.googleapis.com/auth/userinfo.profile': { label: 'Name and profile picture', sensitive: false },
+            'https://www.googleapis.com/auth/contacts': { label: 'Manage your contacts', sensitive: true },
+            'https://www.googleapis.com/auth/contacts.readonly': { label: 'Read your contacts', sensitive: true },
+            'https://www.googleapis.com/auth/calendar': { label: 'Manage your calendars', sensitive: true },
+            'https://www.googleapis.com/auth/calendar.readonly': { label: 'Read your calendars', sensitive: true },
+            'https://www.googleapis.com/auth/drive': { label: 'All files in Google Drive', sensitive: true },
+            'https://www.googleapis.com/auth/drive.file': { label: 'Files it creates in Google Drive', sensitive: false },
+            'https://www.googleapis.com/auth/drive.readonly': { label: 'Read all files in Google Drive', sensitive: true },
+            'https://mail.google.com/': { label: 'Full access to Gmail', sensitive: true },
+            'https://www.googleapis.com/auth/gmail.readonly': { label: 'Read your Gmail', sensitive: true },
+            'https://www.googleapis.com/auth/gmail.send': { label: 'Send email as you', sensitive: true },
+            'repo': { label: 'Full access to repositories', sensitive: true },
+            'public_repo': { label: 'Access to public repositories', sensitive: true },
+            'read:user': { label: 'Read profile data', sensitive: false },
+            'user': { label: 'Read and update profile', sensitive: true },
+            'user:email': { label: 'Email addresses', sensitive: false },
+            'read:org': { label: 'Read organisation membership', sensitive: false },
+            'admin:org': { label: 'Manage organisations', sensitive: true },
+            'gist': { label: 'Create gists', sensitive: false },
+            'workflow': { label: 'Update GitHub Actions workflows', sensitive: true },
+            'delete_repo': { label: 'Delete repositories', sensitive: true },
+            'user.read': { label: 'Read profile', sensitive: false },
+            'mail.read': { label: 'Read your mail', sensitive: true },
+            'mail.send': { label: 'Send mail as you', sensitive: true },
+            'files.readwrite': { label: 'Read and write your files', sensitive: true },
+            'contacts.read': { label: 'Read your contacts', sensitive: true },
+            'public_profile': { label: 'Public profile', sensitive: false },
+            'user_friends': { label: 'Friends list', sensitive: true },
+            'name': { label: 'Name', sensitive: false },
+            'identify': { label: 'Username and avatar', sensitive: false },
+            'guilds': { label: 'Servers you are in', sensitive: false },
+            'tweet.read': { label: 'Read posts', sensitive: false },
+            'tweet.write': { label: 'Post as you', sensitive: true },
+            'users.read': { label: 'Read profile', sensitive: false }
+        },
+
+        /**
+         * Find the provider for a hostname
+         * @param {string} hostname - Authorization server host
+         * @returns {Object|null} { id, name } or null if not a known provider
+         */
+        findProvider(hostname) {
+            const host = (hostname || '').toLowerCase();
+            const provider = this.PROVIDERS.find(p =>
+                p.hosts.some(h => host === h || host.endsWith('.' + h))
+            );
+            return provider ? { id: provider.id, name: provider.name } : null;
+        },
+
+        /**
+         * Parse an authorization request URL
+         * @param {string} url - Page URL
+         * @returns {Object|null} { provider, providerDomain, clientId, scopes, redirectUri, responseType, responseMode }
+         */
+        parseAuthorizeRequest(url) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                return null;
+            }
+            if (parsed.protocol !== 'https:') return null;
+
+            const params = parsed.searchParams;
+            const clientId = params.get('client_id');
+            if (!clientId) return null;
+            if (!params.has('scope') && !params.has('response_type') && !params.has('redirect_uri')) {
+                return null;
+            }
+
+            const provider = this.findProvider(parsed.hostname);
+            if (!provider && !this.AUTHORIZE_PATH.test(parsed.pathname)) return null;
+
+            return {
+                provider: provider || { id: parsed.hostname, name: parsed.hostname },
+                providerDomain: parsed.hostname,
+                clientId,
+                scopes: this.parseScopes(params.get('scope')),
+                redirectUri: this.stripQuery(params.get('redirect_uri')),
+                responseType: params.get('response_type'),
+                responseMode: params.get('response_mode')
+            };
+        },
+
+        /**
+         * Split a scope parameter; providers use spaces, commas or plus signs
+         * @param {string|null} scope - Raw scope value
+         * @returns {string[]}
+         */
+        parseScopes(scope) {
+            if (!scope) return [];
+            return [...new Set(scope.split(/[\s,+]+/).filter(Boolean))];
+        },
+
+        /**
+         * Work out how a flow ended from the first URL outside the provider
+         * @param {string} url - URL the tab navigated to
+         * @param {Object} flow - Result of parseAuthorizeRequest()
+         * @returns {Object|null} { decision, error } or null if the flow is still running
+         */
+        parseCompletion(url, flow) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                return null;
+            }
+
+            // Still on the provider (sign-in, 2FA, account chooser, consent screen)
+            if (parsed.hostname === flow.providerDomain) return null;
+            if (flow.provider && this.findProvider(parsed.hostname)?.id === flow.provider.id) return null;
+
+            // Implicit and hybrid flows return their parameters in the fragment
+            const params = new URLSearchParams(parsed.search);
+            new URLSearchParams(parsed.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+
+            if (params.has('error')) {
+                return { decision: 'rejected', error: params.get('error') };
+            }
+            if (params.has('code') || params.has('access_token') || params.has('id_token')) {
+                return { decision: 'accepted', error: null };
+            }
+
+            // form_post responses carry nothing in the URL; reaching the redirect URI is the grant.
+            // Anywhere else (cancel, back to the app) ends the flow without a decision
+            const reachedRedirect = flow.redirectUri && this.stripQuery(url).startsWith(flow.redirectUri);
+            if (reachedRedirect && flow.responseMode === 'form_post') {
+                return { decision: 'accepted', error: null };
+            }
+            return { decision: null, error: null };
+        },
+
+        // Approximate registrable domain: "app.example.co.uk" -> "example.co.uk"
+        baseDomain(hostname) {
+            const labels = hostname.toLowerCase().split('.');
+            const count = labels.length > 2 && labels[labels.length - 1].length === 2 &&
+                labels[labels.length - 2].length <= 3 ? 3 : 2;
+            return labels.slice(-count).join('.');
+        },
+
+        /**
+         * Host of the app the user authorised
+         * @param {Object} flow - Result of parseAuthorizeRequest()
+         * @returns {string|null}
+         */
+        getRelyingParty(flow) {
+            try {
+                return flow.redirectUri ? new URL(flow.redirectUri).hostname : null;
+            } catch {
+                return null;
+            }
+        },
+
+        /**
+         * Describe a scope for display
+         * @param {string} scope - Raw scope
+         * @returns {Object} { label, sensitive }
+         */
+        describeScope(scope) {
+            return this.SCOPES[scope] || this.SCOPES[scope.toLowerCase()] || { label: scope, sensitive: false };
+        },
+
+        // Drop query and fragment so codes, tokens and state are never stored
+        stripQuery(url) {
+            if (!url) return null;
+            try {
+                const parsed = new URL(url);
+                return parsed.origin + parsed.pathname;
+            } catch {
+                return null;
+            }
+        }
+    };
+
+} // End of OAuthFlow guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OAuthFlow;
+}
@@ -0,0 +1,72 @@
+/**
+ * Permission-Gated Web APIs
+ *
+ * Every browser capability inject.js watches, with the consent category it
+ * is logged under and its privacy risk weight. Grants add their weight to
+ * the risk score; denials are logged as refusals and add nothing.
+ *
+ * inject.js reports either one of these type keys or a Permissions API
+ * name (e.g. "accelerometer"), which resolve() maps onto a type. Types with
+ * a `contentSetting` can be read and revoked through chrome.contentSettings.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof PermissionApis === 'undefined') {
+
+    var PermissionApis = {
+        TYPES: {
+            'geolocation': { label: 'Location Access', category: 'location', weight: 5, contentSetting: 'location' },
+            'notifications': { label: 'Notification Permission', category: 'notifications', weight: 1, contentSetting: 'notifications' },
+            'push': { label: 'Push Messages', category: 'notifications', weight: 2 },
+            'camera': { label: 'Camera Access', category: 'permissions', weight: 6, contentSetting: 'camera' },
+            'microphone': { label: 'Microphone Access', category: 'permissions', weight: 6, contentSetting: 'microphone' },
+            'display-capture': { label: 'Screen Sharing', category: 'permissions', weight: 7 },
+            'clipboard-read': { label: 'Clipboard Read', category: 'permissions', weight: 4 },
+            'bluetooth': { label: 'Bluetooth Device', category: 'permissions', weight: 5 },
+            'usb': { label: 'USB Device', category: 'permissions', weight: 5 },
+            'serial': { label: 'Serial Port', category: 'permissions', weight: 5 },
+            'hid': { label: 'HID Device', category: 'permissions', weight: 5 },
+            'midi': { label: 'MIDI Devices', category: 'permissions', weight: 3 },
+            'storage-access': { label: 'Third-Party Cookie Access', category: 'cookies', weight: 4 },
+            'persistent-storage': { label: 'Persistent Storage', category: 'permissions', weight: 1 },
+            'idle-detection': { label: 'Idle Detection', category: 'permissions', weight: 4 },
+            'screen-wake-lock': { label: 'Screen Wake Lock', category: 'permissions', weight: 1 },
+            'sensors': { label: 'Motion & Light Sensors', category: 'permissions', weight: 3 }
+        },
+
+        // Permissions API names that share a type
+        ALIASES: {
+            'accelerometer': 'sensors',
+            'gyroscope': 'sensors',
+            'magnetometer': 'sensors',
+            'ambient-light-sensor': 'sensors',
+            'background-sync': 'push'
+        },
+
+        /**
+         * Resolve a reported API or Permissions API name to a type
+         * @param {string} name - Type key or Permissions API name
+         * @returns {string|null} Key of TYPES, or null if not tracked
+         */
+        resolve(name) {
+            const type = this.ALIASES[name] || name;
+            return this.TYPES[type] ? type : null;
+        },
+
+        /**
+         * Risk weight of a stored browser-permission consent
+         * @param {Object} consent - Stored consent record
+         * @returns {number|null} Weight, or null if the record has no known permission type
+         */
+        weight(consent) {
+            const type = consent.browserPermission ? this.resolve(consent.permissionType) : null;
+            return type ? this.TYPES[type].weight : null;
+        }
+    };
+
+} // End of PermissionApis guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionApis;
+}
@@ -0,0 +1,143 @@
+/**
+ * Personal Data Taxonomy
+ *
+ * Classifies form fields into kinds of personal data so the extension can
+ * record WHAT a site collected without ever storing the values. A field is
+ * classified from, in order of reliability:
+ * - Its autocomplete token (e.g. "tel-national", "bday-year")
+ * - Its input type (email, tel, password)
+ * - Hints in its name, id, placeholder or label
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof PiiTaxonomy === 'undefined') {
+
+    var PiiTaxonomy = {
+        // Display order is also the order used when storing a record's types
+        TYPES: {
+            name: { label: 'Name', icon: '🪪', sensitive: false },
+            email: { label: 'Email', icon: '✉️', sensitive: false },
+            phone: { label: 'Phone number', icon: '📞', sensitive: true },
+            birthdate: { label: 'Date of birth', icon: '🎂', sensitive: true },
+            gender: { label: 'Gender', icon: '⚧️', sensitive: true },
+            address: { label: 'Street address', icon: '🏠', sensitive: true },
+            postcode: { label: 'Postcode', icon: '📮', sensitive: false },
+            country: { label: 'Country', icon: '🌍', sensitive: false },
+            organization: { label: 'Employer / job', icon: '🏢', sensitive: false },
+            payment: { label: 'Payment card', icon: '💳', sensitive: true },
+            governmentId: { label: 'Government ID', icon: '🛂', sensitive: true },
+            username: { label: 'Username', icon: '👤', sensitive: false },
+            password: { label: 'Password', icon: '🔑', sensitive: false }
+        },
+
+        // Login credentials alone are not a new disclosure of personal data
+        CREDENTIALS: ['username', 'password'],
+
+        // HTML autocomplete tokens (WHATWG autofill field names)
+        AUTOCOMPLETE: {
+            'name': 'name', 'honorific-prefix': 'name', 'given-name': 'name', 'additional-name': 'name',
+            'family-name': 'name', 'honorific-suffix': 'name', 'nickname': 'name',
+            'email': 'email',
+            'tel': 'phone', 'tel-country-code': 'phone', 'tel-national': 'phone', 'tel-area-code': 'phone',
+            'tel-local': 'phone', 'tel-extension': 'phone',
+            'bday': 'birthdate', 'bday-day': 'birthdate', 'bday-month': 'birthdate', 'bday-year': 'birthdate',
+            'sex': 'gender',
+            'street-address': 'address', 'address-line1': 'address', 'address-line2': 'address',
+            'address-line3': 'address', 'address-level1': 'address', 'address-level2': 'address',
+            'address-level3': 'address', 'address-level4': 'address',
+            'postal-code': 'postcode',
+            'country': 'country', 'country-name': 'country',
+            'organization': 'organization', 'organization-title': 'organization',
+            'cc-name': 'payment', 'cc-given-name': 'payment', 'cc-additional-name': 'payment',
+            'cc-family-name': 'payment', 'cc-number': 'payment', 'cc-exp': 'payment',
+            'cc-exp-month': 'payment', 'cc-exp-year': 'payment', 'cc-csc': 'payment', 'cc-type': 'payment',
+            'username': 'username',
+            'current-password': 'password', 'new-password': 'password'
+        },
+
+        INPUT_TYPES: {
+            email: 'email',
+            tel: 'phone',
+            password: 'password'
+        },
+
+        // Checked in order against name/id/placeholder/label; specific kinds come first
+        HINTS: [
+            ['password', /\b(password|passwort|mot de passe|contraseña|passcode|pwd)\b/],
+            ['payment', /\b(card ?number|credit ?card|cc ?(num|number|exp|cvc|cvv)|cvc|cvv|expiry|iban)\b/],
+            ['governmentId', /\b(ssn|social security|passport|national ?id|tax ?id|nin|dni|nie|steuer ?id)\b/],
+            ['birthdate', /\b(birth|birthday|bday|dob|geburt\w*|naissance|nacimiento)\b/],
+            ['postcode', /\b(zip|zip ?code|post ?code|postal|plz|code postal|cp)\b/],
+            ['phone', /\b(phone|mobile|cell|tel|telephone|telefon\w*|téléphone|handy|móvil)\b/],
+            ['email', /\b(e ?mail|courriel|correo)\b/],
+            ['address', /\b(address|addr|street|city|town|state|province|county|strasse|straße|stadt|adresse|ville|calle|dirección)\b/],
+            ['country', /\b(country|land|pays|país)\b/],
+            ['gender', /\b(gender|sex|geschlecht|genre|sexo)\b/],
+            ['organization', /\b(company|organi[sz]ation|employer|job ?title|firma|entreprise|empresa)\b/],
+            ['username', /\b(user ?name|login|handle|screen ?name|benutzername)\b/],
+            ['name', /\b(name|first ?name|last ?name|full ?name|surname|given ?name|family ?name|fname|lname|vorname|nachname|nom|prénom|nombre|apellido)\b/]
+        ],
+
+        /**
+         * Classify a single form field
+         * @param {Object} field - { autocomplete, type, name, id, placeholder, label }
+         * @returns {string|null} Key of TYPES, or null if not personal data
+         */
+        classifyField(field) {
+            // Autocomplete may carry section/shipping/billing prefixes: "shipping postal-code"
+            const tokens = (field.autocomplete || '').toLowerCase().split(/\s+/);
+            for (const token of tokens) {
+                if (this.AUTOCOMPLETE[token]) return this.AUTOCOMPLETE[token];
+            }
+
+            const inputType = (field.type || '').toLowerCase();
+            if (this.INPUT_TYPES[inputType]) return this.INPUT_TYPES[inputType];
+
+            const hints = this.normalizeHint([field.name, field.id, field.placeholder, field.label].join(' '));
+            if (!hints.trim()) return null;
+
+            for (const [type, pattern] of this.HINTS) {
+                if (pattern.test(hints)) return type;
+            }
+            return null;
+        },
+
+        /**
+         * Split camelCase and separators so "billingZipCode" reads as "billing zip code"
+         * @param {string} value - Raw attribute text
+         * @returns {string} Lower-cased, space separated hints
+         */
+        normalizeHint(value) {
+            return (value || '')
+                .replace(/([a-z])([A-Z])/g, '$1 $2')
+                .toLowerCase()
+                .replace(/[_\-[\].:]+/g, ' ');
+        },
+
+        /**
+         * Sort types into taxonomy order
+         * @param {string[]} types - Keys of TYPES
+         * @returns {string[]}
+         */
+        sort(types) {
+            const order = Object.keys(this.TYPES);
+            return [...types].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        },
+
+        /**
+         * Whether a form handed over personal data worth logging on its own
+         * @param {string[]} types - Types found in a submitted form
+         * @returns {boolean}
+         */
+        isDisclosure(types) {
+            const personal = types.filter(type => !this.CREDENTIALS.includes(type));
+            return personal.length >= 2 || personal.some(type => this.TYPES[type].sensitive);
+        }
+    };
+
+} // End of PiiTaxonomy guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PiiTaxonomy;
+}
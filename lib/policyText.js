@@ -0,0 +1,173 @@
+/**
+ * Policy Document Normalisation
+ *
+ * Turns a fetched privacy policy or terms page into stable plain text so
+ * the same wording always produces the same hash:
+ * - Prefers the <main>/<article> content when present
+ * - Drops scripts, styles, navigation, headers and footers
+ * - Decodes entities and collapses whitespace, one block per line
+ *
+ * Runs in the service worker, which has no DOMParser, so this is
+ * deliberately regex based. Also provides the line diff used to show
+ * what changed between two stored versions.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof PolicyText === 'undefined') {
+
+    var PolicyText = {
+        // Stored copies are truncated beyond this many characters
+        MAX_LENGTH: 200000,
+
+        // Above this many cells the diff falls back to set comparison
+        MAX_DIFF_CELLS: 16000000,
+
+        ENTITIES: {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+            ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®',
+            lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+        },
+
+        /**
+         * Normalise an HTML document to comparable text
+         * @param {string} html - Raw response body
+         * @returns {Object} { title, text }
+         */
+        normalize(html) {
+            const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+            const title = titleMatch ? this.decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+            // Most policy pages wrap the document itself in <main> or <article>
+            let body = html;
+            const main = /<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i.exec(html);
+            if (main && main[2].length > 500) {
+                body = main[2];
+            }
+
+            body = body
+                .replace(/<!--[\s\S]*?-->/g, ' ')
+                .replace(/<(script|style|noscript|svg|template|iframe|nav|header|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+                .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+                .replace(/<\/(p|div|li|tr|h[1-6]|section|article|blockquote|dd|dt)>/gi, '\n')
+                .replace(/<[^>]+>/g, ' ');
+
+            const text = this.decodeEntities(body)
+                .split('\n')
+                .map(line => line.replace(/\s+/g, ' ').trim())
+                .filter(Boolean)
+                .join('\n');
+
+            return { title, text: text.substring(0, this.MAX_LENGTH) };
+        },
+
+        /**
+         * Decode named and numeric HTML entities
+         * @param {string} text - Text containing entities
+         * @returns {string}
+         */
+        decodeEntities(text) {
+            return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1] === 'x' || entity[1] === 'X'
+                        ? parseInt(entity.slice(2), 16)
+                        : parseInt(entity.slice(1), 10);
+                    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+                }
+                return this.ENTITIES[entity.toLowerCase()] ?? match;
+            });
+        },
+
+        /**
+         * Line diff between two normalised texts
+         * @param {string} oldText - Version the user agreed to
+         * @param {string} newText - Current version
+         * @returns {Object[]} [{ type: 'same' | 'added' | 'removed', text }]
+         */
+        diff(oldText, newText) {
+            const a = oldText.split('\n');
+            const b = newText.split('\n');
+
+            // Policies usually change in a few places; skip the common head and tail
+            let start = 0;
+            while (start < a.length && start < b.length && a[start] === b[start]) start++;
+            let endA = a.length;
+            let endB = b.length;
+            while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+                endA--;
+                endB--;
+            }
+
+            const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+            const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+            const middleA = a.slice(start, endA);
+            const middleB = b.slice(start, endB);
+
+            const middle = (middleA.length + 1) * (middleB.length + 1) > this.MAX_DIFF_CELLS
+                ? this.diffBySet(middleA, middleB)
+                : this.diffByLcs(middleA, middleB);
+
+            return [...head, ...middle, ...tail];
+        },
+
+        // Longest-common-subsequence diff of two line arrays
+        diffByLcs(a, b) {
+            const width = b.length + 1;
+            const table = new Uint32Array((a.length + 1) * width);
+
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    table[i * width + j] = a[i] === b[j]
+                        ? table[(i + 1) * width + j + 1] + 1
+                        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+                }
+            }
+
+            const result = [];
+            let i = 0;
+            let j = 0;
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) {
+                    result.push({ type: 'same', text: a[i] });
+                    i++;
+                    j++;
+                } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                    result.push({ type: 'removed', text: a[i++] });
+                } else {
+                    result.push({ type: 'added', text: b[j++] });
+                }
+            }
+            while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+            while (j < b.length) result.push({ type: 'added', text: b[j++] });
+            return result;
+        },
+
+        // Cheap fallback for very large rewrites: removed lines first, then the new text
+        diffBySet(a, b) {
+            const inA = new Set(a);
+            const inB = new Set(b);
+            return [
+                ...a.filter(line => !inB.has(line)).map(text => ({ type: 'removed', text })),
+                ...b.map(text => ({ type: inA.has(text) ? 'same' : 'added', text }))
+            ];
+        },
+
+        /**
+         * SHA-256 of normalised text, used as the document's storage key
+         * @param {string} text - Normalised text
+         * @returns {Promise<string>} Hex digest
+         */
+        async hash(text) {
+            const data = new TextEncoder().encode(text);
+            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(hashBuffer))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
+        }
+    };
+
+} // End of PolicyText guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolicyText;
+}
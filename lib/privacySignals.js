@@ -0,0 +1,106 @@
+/**
+ * Privacy Signals (Global Privacy Control / Do Not Track)
+ *
+ * Lets the extension assert the user's preferences instead of only
+ * recording them:
+ * - Sec-GPC and DNT request headers, set by a declarativeNetRequest rule
+ * - navigator.globalPrivacyControl / navigator.doNotTrack, set by the
+ *   signals/ page scripts, registered only while a signal is on
+ *
+ * Settings live in chrome.storage.sync under `privacySignals` as
+ * { gpc, dnt, exceptions }, where exceptions are domains (and their
+ * subdomains) that should not receive the signals.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof PrivacySignals === 'undefined') {
+
+    var PrivacySignals = {
+        DEFAULTS: { gpc: false, dnt: false, exceptions: [] },
+
+        // Dynamic declarativeNetRequest rule that carries the headers
+        RULE_ID: 1,
+
+        // Listed explicitly: without resourceTypes a rule skips main_frame requests
+        RESOURCE_TYPES: [
+            'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+            'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport',
+            'webbundle', 'other'
+        ],
+
+        /**
+         * Fill in missing settings
+         * @param {Object} [settings] - Stored privacySignals value
+         * @returns {Object} { gpc, dnt, exceptions }
+         */
+        normalize(settings) {
+            return {
+                gpc: !!(settings && settings.gpc),
+                dnt: !!(settings && settings.dnt),
+                exceptions: (settings && Array.isArray(settings.exceptions)) ? settings.exceptions : []
+            };
+        },
+
+        /**
+         * Whether a site has been excluded from the signals
+         * @param {Object} settings - Normalised settings
+         * @param {string} hostname - Site hostname
+         * @returns {boolean}
+         */
+        isException(settings, hostname) {
+            const host = (hostname || '').toLowerCase();
+            return settings.exceptions.some(domain => host === domain || host.endsWith('.' + domain));
+        },
+
+        /**
+         * Whether GPC is being sent to a site
+         * @param {Object} settings - Normalised settings
+         * @param {string} hostname - Site hostname
+         * @returns {boolean}
+         */
+        isActive(settings, hostname) {
+            return settings.gpc && !this.isException(settings, hostname);
+        },
+
+        /**
+         * Content script match patterns that skip the excepted sites
+         * @param {Object} settings - Normalised settings
+         * @returns {string[]}
+         */
+        excludeMatches(settings) {
+            return settings.exceptions.flatMap(domain => [`*://${domain}/*`, `*://*.${domain}/*`]);
+        },
+
+        /**
+         * Header rule for the current settings
+         * @param {Object} settings - Normalised settings
+         * @returns {Object|null} declarativeNetRequest rule, or null when no signal is on
+         */
+        buildHeaderRule(settings) {
+            const requestHeaders = [];
+            if (settings.gpc) requestHeaders.push({ header: 'Sec-GPC', operation: 'set', value: '1' });
+            if (settings.dnt) requestHeaders.push({ header: 'DNT', operation: 'set', value: '1' });
+            if (requestHeaders.length === 0) return null;
+
+            const condition = { resourceTypes: this.RESOURCE_TYPES };
+            // Skip navigations to an excepted site and everything it loads
+            if (settings.exceptions.length > 0) {
+                condition.excludedRequestDomains = settings.exceptions;
+                condition.excludedInitiatorDomains = settings.exceptions;
+            }
+
+            return {
+                id: this.RULE_ID,
+                priority: 1,
+                action: { type: 'modifyHeaders', requestHeaders },
+                condition
+            };
+        }
+    };
+
+} // End of PrivacySignals guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivacySignals;
+}
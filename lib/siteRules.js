@@ -0,0 +1,137 @@
+/**
+ * Per-Site Detection Rules
+ *
+ * User-defined corrections for sites where the heuristics misfire.
+ * A rule targets one domain (and its subdomains) and matches the clicked
+ * element by CSS selector or by its label text. Its action then:
+ * - consent:  logs the click as a decision even without a keyword
+ * - category: keeps the detected decision but forces the category
+ * - ignore:   never logs the click
+ *
+ * Rules are stored in chrome.storage.sync under `siteRules` and are
+ * checked in order before the keyword heuristics; the first match wins.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof SiteRules === 'undefined') {
+
+    var SiteRules = {
+        ACTIONS: ['consent', 'category', 'ignore'],
+        MATCH_TYPES: ['selector', 'text'],
+        DECISIONS: ['accepted', 'partial', 'rejected'],
+
+        /**
+         * Normalise a domain typed by the user ("https://www.x.com/", "*.x.com")
+         * @param {string} value - Raw domain input
+         * @returns {string} Bare lower-cased hostname
+         */
+        normalizeDomain(value) {
+            return (value || '')
+                .trim()
+                .toLowerCase()
+                .replace(/^[a-z]+:\/\//, '')
+                .replace(/^\*\./, '')
+                .replace(/^www\./, '')
+                .split('/')[0];
+        },
+
+        /**
+         * Whether a rule's domain covers a hostname, including subdomains
+         * @param {Object} rule - Stored rule
+         * @param {string} hostname - Page hostname
+         * @returns {boolean}
+         */
+        matchesDomain(rule, hostname) {
+            const host = (hostname || '').toLowerCase();
+            return host === rule.domain || host.endsWith('.' + rule.domain);
+        },
+
+        /**
+         * Match a label against a text pattern: "/regex/flags" or a plain substring
+         * @param {string} pattern - Rule pattern
+         * @param {string} text - Button label
+         * @returns {boolean}
+         */
+        matchesText(pattern, text) {
+            const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+            if (regex) {
+                try {
+                    return new RegExp(regex[1], regex[2]).test(text);
+                } catch {
+                    return false;
+                }
+            }
+            return text.toLowerCase().includes(pattern.toLowerCase());
+        },
+
+        /**
+         * Find the first rule matching a clicked element
+         * @param {Object[]} rules - Stored rules
+         * @param {string} hostname - Page hostname
+         * @param {string} text - Label of the clicked element
+         * @param {Function} matchesSelector - (selector) => boolean for the clicked element
+         * @returns {Object|null} Matching rule
+         */
+        find(rules, hostname, text, matchesSelector) {
+            for (const rule of rules || []) {
+                if (rule.enabled === false || !this.matchesDomain(rule, hostname)) continue;
+
+                if (rule.match === 'text' && this.matchesText(rule.pattern, text || '')) {
+                    return rule;
+                }
+                if (rule.match === 'selector') {
+                    try {
+                        if (matchesSelector(rule.pattern)) return rule;
+                    } catch {
+                        // Invalid selectors are rejected when saving, but stay defensive
+                    }
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Validate a rule before saving
+         * @param {Object} rule - Rule built from the options form
+         * @returns {string|null} Error message, or null if valid
+         */
+        validate(rule) {
+            if (!rule.domain || !/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(rule.domain)) {
+                return 'Domain must look like "example.com"';
+            }
+            if (!this.MATCH_TYPES.includes(rule.match)) {
+                return 'Choose whether to match by selector or text';
+            }
+            if (!rule.pattern) {
+                return 'Enter a CSS selector or text pattern';
+            }
+            if (!this.ACTIONS.includes(rule.action)) {
+                return 'Choose what the rule should do';
+            }
+            if (rule.action === 'category' && !rule.category) {
+                return 'Choose the category to force';
+            }
+            if (rule.action === 'consent' && !this.DECISIONS.includes(rule.decision)) {
+                return 'Choose which decision the button expresses';
+            }
+
+            const regex = /^\/(.+)\/([a-z]*)$/.exec(rule.pattern);
+            try {
+                if (rule.match === 'selector') {
+                    document.createDocumentFragment().querySelector(rule.pattern);
+                } else if (regex) {
+                    new RegExp(regex[1], regex[2]);
+                }
+            } catch {
+                return rule.match === 'selector' ? 'Invalid CSS selector' : 'Invalid regular expression';
+            }
+            return null;
+        }
+    };
+
+} // End of SiteRules guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteRules;
+}
@@ -0,0 +1,171 @@
+/**
+ * IAB TCF v2.2 Consent String Decoder
+ *
+ * Decodes the core segment of a TC string as returned by
+ * __tcfapi('addEventListener') into:
+ * - CMP id/version and metadata
+ * - Purpose consents and legitimate interests
+ * - Special feature opt-ins
+ * - Vendor consents and legitimate interests
+ *
+ * Only the core segment is decoded; publisher restrictions and the
+ * disclosed/allowed vendor segments are ignored.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof TCString === 'undefined') {
+
+    var TCString = {
+        // Purpose names from the TCF v2.2 policy
+        PURPOSES: {
+            1: 'Store and/or access information on a device',
+            2: 'Use limited data to select advertising',
+            3: 'Create profiles for personalised advertising',
+            4: 'Use profiles to select personalised advertising',
+            5: 'Create profiles to personalise content',
+            6: 'Use profiles to select personalised content',
+            7: 'Measure advertising performance',
+            8: 'Measure content performance',
+            9: 'Understand audiences through statistics',
+            10: 'Develop and improve services',
+            11: 'Use limited data to select content'
+        },
+
+        SPECIAL_FEATURES: {
+            1: 'Use precise geolocation data',
+            2: 'Actively scan device characteristics for identification'
+        },
+
+        /**
+         * Decode a TC string
+         * @param {string} tcString - Full TC string (segments separated by '.')
+         * @returns {Object|null} Decoded consent payload, or null if malformed
+         */
+        decode(tcString) {
+            if (!tcString || typeof tcString !== 'string') return null;
+
+            try {
+                const bits = this.base64UrlToBits(tcString.split('.')[0]);
+                const reader = this.createReader(bits);
+
+                const version = reader.int(6);
+                if (version !== 2) return null;
+
+                const decoded = {
+                    version,
+                    created: reader.int(36) * 100,
+                    lastUpdated: reader.int(36) * 100,
+                    cmpId: reader.int(12),
+                    cmpVersion: reader.int(12),
+                    consentScreen: reader.int(6),
+                    consentLanguage: reader.letters(2),
+                    vendorListVersion: reader.int(12),
+                    policyVersion: reader.int(6),
+                    isServiceSpecific: reader.bool(),
+                    useNonStandardTexts: reader.bool(),
+                    specialFeatureOptins: reader.idList(12),
+                    purposeConsents: reader.idList(24),
+                    purposeLegitimateInterests: reader.idList(24),
+                    purposeOneTreatment: reader.bool(),
+                    publisherCountryCode: reader.letters(2)
+                };
+
+                decoded.vendorConsents = this.readVendorSection(reader);
+                decoded.vendorLegitimateInterests = this.readVendorSection(reader);
+
+                return decoded;
+            } catch {
+                // Truncated or malformed strings are reported as undecodable
+                return null;
+            }
+        },
+
+        /**
+         * Read a vendor section (bitfield or range encoded)
+         * @param {Object} reader - Bit reader from createReader()
+         * @returns {number[]} Vendor ids with the bit set
+         */
+        readVendorSection(reader) {
+            const maxVendorId = reader.int(16);
+            const isRangeEncoding = reader.bool();
+
+            if (!isRangeEncoding) {
+                return reader.idList(maxVendorId);
+            }
+
+            const vendors = [];
+            const numEntries = reader.int(12);
+            for (let i = 0; i < numEntries; i++) {
+                const isRange = reader.bool();
+                const start = reader.int(16);
+                const end = isRange ? reader.int(16) : start;
+                for (let id = start; id <= end; id++) {
+                    vendors.push(id);
+                }
+            }
+            return vendors;
+        },
+
+        /**
+         * Create a sequential reader over a bit string
+         * @param {string} bits - String of '0'/'1' characters
+         * @returns {Object} Reader with int/bool/letters/idList methods
+         */
+        createReader(bits) {
+            let offset = 0;
+
+            const take = (length) => {
+                if (offset + length > bits.length) {
+                    throw new Error('TC string truncated');
+                }
+                const slice = bits.substr(offset, length);
+                offset += length;
+                return slice;
+            };
+
+            return {
+                int: (length) => parseInt(take(length), 2),
+                bool: () => take(1) === '1',
+                letters: (count) => {
+                    let result = '';
+                    for (let i = 0; i < count; i++) {
+                        result += String.fromCharCode(65 + parseInt(take(6), 2));
+                    }
+                    return result;
+                },
+                idList: (length) => {
+                    const field = take(length);
+                    const ids = [];
+                    for (let i = 0; i < field.length; i++) {
+                        if (field[i] === '1') ids.push(i + 1);
+                    }
+                    return ids;
+                }
+            };
+        },
+
+        /**
+         * Convert a base64url segment to a bit string
+         * @param {string} segment - base64url encoded segment
+         * @returns {string} String of '0'/'1' characters
+         */
+        base64UrlToBits(segment) {
+            const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+            let bits = '';
+            for (const char of segment) {
+                const value = alphabet.indexOf(char);
+                if (value === -1) {
+                    throw new Error('Invalid TC string character');
+                }
+                bits += value.toString(2).padStart(6, '0');
+            }
+            return bits;
+        }
+    };
+
+} // End of TCString guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TCString;
+}
@@ -0,0 +1,126 @@
+/**
+ * Tracker & Cookie-Purpose Database
+ *
+ * Cookies set on the site's own domain by common platforms, CMPs and
+ * advertising/analytics tags, so a cookie name is enough to tell what it
+ * is for. Names ending in "*" match as prefixes (e.g. "_gcl_*" covers
+ * _gcl_au and _gcl_aw). Purposes follow the usual banner categories:
+ * necessary, preferences, analytics and advertising.
+ */
+
+// Guard against redeclaration when injected more than once
+if (typeof TrackerDb === 'undefined') {
+
+    var TrackerDb = {
+        PURPOSES: {
+            necessary: { label: 'Necessary', icon: '🔒' },
+            preferences: { label: 'Preferences', icon: '⚙️' },
+            analytics: { label: 'Analytics', icon: '📈' },
+            advertising: { label: 'Advertising', icon: '🎯' },
+            unknown: { label: 'Unknown', icon: '❔' }
+        },
+
+        COOKIES: [
+            // Advertising
+            { name: '_fbp', vendor: 'Meta Pixel', purpose: 'advertising' },
+            { name: '_fbc', vendor: 'Meta Pixel', purpose: 'advertising' },
+            { name: '_gcl_*', vendor: 'Google Ads', purpose: 'advertising' },
+            { name: '__gads', vendor: 'Google AdSense', purpose: 'advertising' },
+            { name: '__gpi', vendor: 'Google AdSense', purpose: 'advertising' },
+            { name: '_uetsid', vendor: 'Microsoft Advertising', purpose: 'advertising' },
+            { name: '_uetvid', vendor: 'Microsoft Advertising', purpose: 'advertising' },
+            { name: '_ttp', vendor: 'TikTok Pixel', purpose: 'advertising' },
+            { name: '_tt_enable_cookie', vendor: 'TikTok Pixel', purpose: 'advertising' },
+            { name: '_pin_unauth', vendor: 'Pinterest Tag', purpose: 'advertising' },
+            { name: '_pinterest_ct_ua', vendor: 'Pinterest Tag', purpose: 'advertising' },
+            { name: '_scid', vendor: 'Snap Pixel', purpose: 'advertising' },
+            { name: '_rdt_uuid', vendor: 'Reddit Pixel', purpose: 'advertising' },
+            { name: 'li_fat_id', vendor: 'LinkedIn Insight', purpose: 'advertising' },
+            { name: '_twclid', vendor: 'X Pixel', purpose: 'advertising' },
+            { name: '__qca', vendor: 'Quantcast', purpose: 'advertising' },
+            { name: '_cc_id', vendor: 'Lotame', purpose: 'advertising' },
+            { name: 'criteo_*', vendor: 'Criteo', purpose: 'advertising' },
+            { name: 'cto_bundle', vendor: 'Criteo', purpose: 'advertising' },
+            { name: '__hstc', vendor: 'HubSpot', purpose: 'advertising' },
+            { name: 'hubspotutk', vendor: 'HubSpot', purpose: 'advertising' },
+            { name: '_mkto_trk', vendor: 'Marketo', purpose: 'advertising' },
+
+            // Analytics
+            { name: '_ga', vendor: 'Google Analytics', purpose: 'analytics' },
+            { name: '_ga_*', vendor: 'Google Analytics', purpose: 'analytics' },
+            { name: '_gid', vendor: 'Google Analytics', purpose: 'analytics' },
+            { name: '_gat*', vendor: 'Google Analytics', purpose: 'analytics' },
+            { name: '__utm*', vendor: 'Google Analytics (legacy)', purpose: 'analytics' },
+            { name: '_hjSessionUser_*', vendor: 'Hotjar', purpose: 'analytics' },
+            { name: '_hjSession_*', vendor: 'Hotjar', purpose: 'analytics' },
+            { name: '_hjid', vendor: 'Hotjar', purpose: 'analytics' },
+            { name: '_clck', vendor: 'Microsoft Clarity', purpose: 'analytics' },
+            { name: '_clsk', vendor: 'Microsoft Clarity', purpose: 'analytics' },
+            { name: '_pk_id*', vendor: 'Matomo', purpose: 'analytics' },
+            { name: '_pk_ses*', vendor: 'Matomo', purpose: 'analytics' },
+            { name: 'mp_*', vendor: 'Mixpanel', purpose: 'analytics' },
+            { name: 'amp_*', vendor: 'Amplitude', purpose: 'analytics' },
+            { name: 'ajs_anonymous_id', vendor: 'Segment', purpose: 'analytics' },
+            { name: 'ajs_user_id', vendor: 'Segment', purpose: 'analytics' },
+            { name: 's_cc', vendor: 'Adobe Analytics', purpose: 'analytics' },
+            { name: 's_sq', vendor: 'Adobe Analytics', purpose: 'analytics' },
+            { name: 'AMCV_*', vendor: 'Adobe Experience Cloud', purpose: 'analytics' },
+            { name: '_vwo_*', vendor: 'VWO', purpose: 'analytics' },
+            { name: 'optimizely*', vendor: 'Optimizely', purpose: 'analytics' },
+
+            // Preferences
+            { name: 'intercom-*', vendor: 'Intercom', purpose: 'preferences' },
+            { name: '__zlcmid', vendor: 'Zendesk Chat', purpose: 'preferences' },
+            { name: 'lang', vendor: null, purpose: 'preferences' },
+            { name: 'locale', vendor: null, purpose: 'preferences' },
+
+            // Necessary: consent storage, security and sessions
+            { name: 'OptanonConsent', vendor: 'OneTrust', purpose: 'necessary' },
+            { name: 'OptanonAlertBoxClosed', vendor: 'OneTrust', purpose: 'necessary' },
+            { name: 'CookieConsent', vendor: 'Cookiebot', purpose: 'necessary' },
+            { name: 'euconsent-v2', vendor: 'IAB TCF', purpose: 'necessary' },
+            { name: 'didomi_token', vendor: 'Didomi', purpose: 'necessary' },
+            { name: 'uc_*', vendor: 'Usercentrics', purpose: 'necessary' },
+            { name: 'addtl_consent', vendor: 'Google Additional Consent', purpose: 'necessary' },
+            { name: 'cookieyes-consent', vendor: 'CookieYes', purpose: 'necessary' },
+            { name: 'cmplz_*', vendor: 'Complianz', purpose: 'necessary' },
+            { name: '__cf_bm', vendor: 'Cloudflare', purpose: 'necessary' },
+            { name: 'cf_clearance', vendor: 'Cloudflare', purpose: 'necessary' },
+            { name: '__cfruid', vendor: 'Cloudflare', purpose: 'necessary' },
+            { name: 'AWSALB*', vendor: 'AWS', purpose: 'necessary' },
+            { name: 'PHPSESSID', vendor: null, purpose: 'necessary' },
+            { name: 'JSESSIONID', vendor: null, purpose: 'necessary' },
+            { name: 'ASP.NET_SessionId', vendor: null, purpose: 'necessary' },
+            { name: 'csrftoken', vendor: null, purpose: 'necessary' },
+            { name: 'XSRF-TOKEN', vendor: null, purpose: 'necessary' },
+            { name: '__Host-*', vendor: null, purpose: 'necessary' },
+            { name: '__Secure-*', vendor: null, purpose: 'necessary' }
+        ],
+
+        /**
+         * Look up a cookie by name
+         * @param {string} name - Cookie name
+         * @returns {Object|null} { name, vendor, purpose }
+         */
+        matchCookie(name) {
+            return this.COOKIES.find(entry => entry.name.endsWith('*')
+                ? name.startsWith(entry.name.slice(0, -1))
+                : name === entry.name) || null;
+        },
+
+        /**
+         * Whether a cookie is used for advertising
+         * @param {string} name - Cookie name
+         * @returns {boolean}
+         */
+        isAdCookie(name) {
+            return this.matchCookie(name)?.purpose === 'advertising';
+        }
+    };
+
+} // End of TrackerDb guard
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackerDb;
+}
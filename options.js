@@ -1,7 +1,13 @@
 // Options page script for AI Chatbot extension
 
 document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', loadKeywordPacks);
+document.addEventListener('DOMContentLoaded', loadSiteRules);
+document.addEventListener('DOMContentLoaded', loadPrivacySignals);
 document.getElementById('options-form').addEventListener('submit', saveSettings);
+document.getElementById('pack-form').addEventListener('submit', saveKeywordPack);
+document.getElementById('rule-form').addEventListener('submit', saveSiteRule);
+document.getElementById('signals-form').addEventListener('submit', savePrivacySignals);
 
 function loadSettings() {
   // Load with chatgpt* keys (for backward compatibility)
@@ -71,8 +77,330 @@ function saveSettings(e) {
   );
 }
 
-function showStatus(message, type) {
-  const statusDiv = document.getElementById('save-status');
+// ============ Consent Keyword Packs ============
+
+function loadKeywordPacks() {
+  document.getElementById('builtin-packs').textContent = Object.entries(KeywordPacks.packs)
+    .map(([code, pack]) => `${pack.name} (${code})`)
+    .join(', ');
+  document.getElementById('pack-category-names').textContent = KeywordPacks.CATEGORIES.join(', ');
+
+  chrome.storage.sync.get(['customKeywordPacks'], (result) => {
+    renderKeywordPacks(result.customKeywordPacks || {});
+  });
+}
+
+function renderKeywordPacks(packs) {
+  const list = document.getElementById('pack-list');
+  const codes = Object.keys(packs).sort();
+
+  if (codes.length === 0) {
+    list.innerHTML = '<div class="pack-empty">No custom packs yet.</div>';
+    return;
+  }
+
+  list.innerHTML = '';
+  codes.forEach((code) => {
+    const pack = packs[code];
+    const categoryCount = Object.keys(pack.categories || {}).length;
+
+    const item = document.createElement('div');
+    item.className = 'pack-item';
+    item.innerHTML = `
+      <div>
+        <strong></strong>
+        <div class="pack-item-summary">
+          ${(pack.consent || []).length} accept, ${(pack.refusal || []).length} reject,
+          ${(pack.partial || []).length} save-choices keywords, ${categoryCount} categories
+        </div>
+      </div>
+      <div class="pack-item-actions">
+        <button type="button" data-action="edit">Edit</button>
+        <button type="button" data-action="delete">Delete</button>
+      </div>
+    `;
+    item.querySelector('strong').textContent = KeywordPacks.packs[code] ? `${code} (extends ${KeywordPacks.packs[code].name})` : code;
+    item.querySelector('[data-action="edit"]').addEventListener('click', () => editKeywordPack(code, pack));
+    item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteKeywordPack(code));
+    list.appendChild(item);
+  });
+}
+
+function editKeywordPack(code, pack) {
+  document.getElementById('pack-language').value = code;
+  document.getElementById('pack-consent').value = (pack.consent || []).join(', ');
+  document.getElementById('pack-refusal').value = (pack.refusal || []).join(', ');
+  document.getElementById('pack-partial').value = (pack.partial || []).join(', ');
+  document.getElementById('pack-categories').value = Object.entries(pack.categories || {})
+    .map(([category, words]) => `${category}: ${words.join(', ')}`)
+    .join('\n');
+}
+
+function parseKeywordList(value) {
+  return value.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+}
+
+function parseCategoryLines(value) {
+  const categories = {};
+
+  for (const line of value.split('\n')) {
+    if (!line.trim()) continue;
+
+    const separator = line.indexOf(':');
+    const category = line.substring(0, separator).trim().toLowerCase();
+    if (separator === -1 || !KeywordPacks.CATEGORIES.includes(category)) {
+      throw new Error(`Unknown category line: "${line.trim()}"`);
+    }
+    categories[category] = parseKeywordList(line.substring(separator + 1));
+  }
+
+  return categories;
+}
+
+function saveKeywordPack(e) {
+  e.preventDefault();
+
+  const code = KeywordPacks.resolveLanguage(document.getElementById('pack-language').value);
+  if (!code || !/^[a-z]{2,3}$/.test(code)) {
+    showStatus('Language code must be 2-3 letters, e.g. "sv"', 'error', 'pack-status');
+    return;
+  }
+
+  let categories;
+  try {
+    categories = parseCategoryLines(document.getElementById('pack-categories').value);
+  } catch (error) {
+    showStatus(error.message, 'error', 'pack-status');
+    return;
+  }
+
+  const pack = {
+    consent: parseKeywordList(document.getElementById('pack-consent').value),
+    refusal: parseKeywordList(document.getElementById('pack-refusal').value),
+    partial: parseKeywordList(document.getElementById('pack-partial').value),
+    categories
+  };
+
+  if (pack.consent.length + pack.refusal.length + pack.partial.length === 0) {
+    showStatus('Add at least one accept, reject or save-choices keyword', 'error', 'pack-status');
+    return;
+  }
+
+  chrome.storage.sync.get(['customKeywordPacks'], (result) => {
+    const packs = result.customKeywordPacks || {};
+    packs[code] = pack;
+
+    chrome.storage.sync.set({ customKeywordPacks: packs }, () => {
+      // All packs share one sync item, capped at 8 KB
+      if (chrome.runtime.lastError) {
+        showStatus(`Pack "${code}" not saved: ${chrome.runtime.lastError.message}`, 'error', 'pack-status');
+        return;
+      }
+      showStatus(`Pack "${code}" saved`, 'success', 'pack-status');
+      document.getElementById('pack-form').reset();
+      renderKeywordPacks(packs);
+    });
+  });
+}
+
+function deleteKeywordPack(code) {
+  chrome.storage.sync.get(['customKeywordPacks'], (result) => {
+    const packs = result.customKeywordPacks || {};
+    delete packs[code];
+
+    chrome.storage.sync.set({ customKeywordPacks: packs }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus(`Pack "${code}" not deleted: ${chrome.runtime.lastError.message}`, 'error', 'pack-status');
+        return;
+      }
+      showStatus(`Pack "${code}" deleted`, 'success', 'pack-status');
+      renderKeywordPacks(packs);
+    });
+  });
+}
+
+// ============ Site Rules ============
+
+function loadSiteRules() {
+  const categorySelect = document.getElementById('rule-category');
+  KeywordPacks.CATEGORIES.forEach((category) => {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = category;
+    categorySelect.appendChild(option);
+  });
+
+  // The dashboard links here with the event's details to pre-fill a rule
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('ruleDomain')) {
+    editSiteRule({
+      domain: params.get('ruleDomain'),
+      match: params.get('ruleMatch') || 'text',
+      pattern: params.get('rulePattern') || '',
+      action: 'category',
+      decision: params.get('ruleDecision') || 'accepted',
+      category: params.get('ruleCategory') || ''
+    });
+    document.getElementById('site-rules').scrollIntoView();
+  }
+
+  chrome.storage.sync.get(['siteRules'], (result) => {
+    renderSiteRules(result.siteRules || []);
+  });
+}
+
+function describeSiteRule(rule) {
+  switch (rule.action) {
+    case 'consent':
+      return `log as ${rule.decision}${rule.category ? ` (${rule.category})` : ''}`;
+    case 'category':
+      return `force category ${rule.category}`;
+    default:
+      return 'ignore';
+  }
+}
+
+function renderSiteRules(rules) {
+  const list = document.getElementById('rule-list');
+
+  if (rules.length === 0) {
+    list.innerHTML = '<div class="pack-empty">No rules yet.</div>';
+    return;
+  }
+
+  list.innerHTML = '';
+  rules.forEach((rule) => {
+    const item = document.createElement('div');
+    item.className = 'pack-item';
+    item.innerHTML = `
+      <div>
+        <strong></strong>
+        <div class="pack-item-summary"></div>
+      </div>
+      <div class="pack-item-actions">
+        <button type="button" data-action="edit">Edit</button>
+        <button type="button" data-action="delete">Delete</button>
+      </div>
+    `;
+    item.querySelector('strong').textContent = rule.domain;
+    item.querySelector('.pack-item-summary').textContent =
+      `${rule.match === 'selector' ? 'Selector' : 'Text'} "${rule.pattern}" → ${describeSiteRule(rule)}`;
+    item.querySelector('[data-action="edit"]').addEventListener('click', () => editSiteRule(rule));
+    item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteSiteRule(rule.id));
+    list.appendChild(item);
+  });
+}
+
+function editSiteRule(rule) {
+  document.getElementById('rule-id').value = rule.id || '';
+  document.getElementById('rule-domain').value = rule.domain;
+  document.getElementById('rule-match').value = rule.match;
+  document.getElementById('rule-pattern').value = rule.pattern;
+  document.getElementById('rule-action').value = rule.action;
+  document.getElementById('rule-decision').value = rule.decision || 'accepted';
+  document.getElementById('rule-category').value = rule.category || '';
+}
+
+function saveSiteRule(e) {
+  e.preventDefault();
+
+  const rule = {
+    id: document.getElementById('rule-id').value || 'rule_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+    domain: SiteRules.normalizeDomain(document.getElementById('rule-domain').value),
+    match: document.getElementById('rule-match').value,
+    pattern: document.getElementById('rule-pattern').value.trim(),
+    action: document.getElementById('rule-action').value,
+    decision: document.getElementById('rule-decision').value,
+    category: document.getElementById('rule-category').value || null
+  };
+
+  const error = SiteRules.validate(rule);
+  if (error) {
+    showStatus(error, 'error', 'rule-status');
+    return;
+  }
+
+  chrome.storage.sync.get(['siteRules'], (result) => {
+    const rules = result.siteRules || [];
+    const index = rules.findIndex(r => r.id === rule.id);
+    if (index === -1) {
+      rules.push(rule);
+    } else {
+      rules[index] = rule;
+    }
+
+    chrome.storage.sync.set({ siteRules: rules }, () => {
+      // Sync storage caps each item at 8 KB and limits writes per minute
+      if (chrome.runtime.lastError) {
+        showStatus(`Rule not saved: ${chrome.runtime.lastError.message}`, 'error', 'rule-status');
+        return;
+      }
+      showStatus(`Rule for ${rule.domain} saved`, 'success', 'rule-status');
+      document.getElementById('rule-form').reset();
+      document.getElementById('rule-id').value = '';
+      renderSiteRules(rules);
+    });
+  });
+}
+
+function deleteSiteRule(id) {
+  chrome.storage.sync.get(['siteRules'], (result) => {
+    const rules = (result.siteRules || []).filter(r => r.id !== id);
+
+    chrome.storage.sync.set({ siteRules: rules }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus(`Rule not deleted: ${chrome.runtime.lastError.message}`, 'error', 'rule-status');
+        return;
+      }
+      showStatus('Rule deleted', 'success', 'rule-status');
+      renderSiteRules(rules);
+    });
+  });
+}
+
+// ============ Privacy Signals ============
+
+function loadPrivacySignals() {
+  chrome.storage.sync.get(['privacySignals'], (result) => {
+    const signals = PrivacySignals.normalize(result.privacySignals);
+    document.getElementById('signal-gpc').checked = signals.gpc;
+    document.getElementById('signal-dnt').checked = signals.dnt;
+    document.getElementById('signal-exceptions').value = signals.exceptions.join('\n');
+  });
+}
+
+function savePrivacySignals(e) {
+  e.preventDefault();
+
+  const exceptions = document.getElementById('signal-exceptions').value
+    .split(/[\n,]+/)
+    .map(domain => SiteRules.normalizeDomain(domain))
+    .filter(Boolean);
+
+  const invalid = exceptions.find(domain => !/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(domain));
+  if (invalid) {
+    showStatus(`"${invalid}" does not look like a domain`, 'error', 'signals-status');
+    return;
+  }
+
+  const privacySignals = {
+    gpc: document.getElementById('signal-gpc').checked,
+    dnt: document.getElementById('signal-dnt').checked,
+    exceptions: [...new Set(exceptions)]
+  };
+
+  chrome.storage.sync.set({ privacySignals }, () => {
+    if (chrome.runtime.lastError) {
+      showStatus(`Privacy signals not saved: ${chrome.runtime.lastError.message}`, 'error', 'signals-status');
+      return;
+    }
+    document.getElementById('signal-exceptions').value = privacySignals.exceptions.join('\n');
+    showStatus('Privacy signals saved; open tabs pick them up when reloaded', 'success', 'signals-status');
+  });
+}
+
+function showStatus(message, type, statusId = 'save-status') {
+  const statusDiv = document.getElementById(statusId);
   statusDiv.textContent = message;
   statusDiv.className = type;
 
@@ -0,0 +1,112 @@
+// Consent Tracker - Stored Policy Viewer
+// Shows the exact policy text a consent was given against, looked up by hash.
+// With ?compare=<hash> it shows what changed between the two versions instead.
+
+// Unchanged lines kept around each change in the diff view
+const DIFF_CONTEXT_LINES = 2;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    const hash = params.get('hash');
+    const compareHash = params.get('compare');
+
+    chrome.storage.local.get(['policyDocuments'], (result) => {
+        const documents = result.policyDocuments || {};
+        const policy = documents[hash];
+        const current = compareHash ? documents[compareHash] : null;
+
+        if (!policy || (compareHash && !current)) {
+            const missing = document.createElement('div');
+            missing.className = 'policy-missing';
+            missing.textContent = 'This policy copy is no longer stored.';
+            document.getElementById('policy-text').appendChild(missing);
+            return;
+        }
+
+        renderPolicy(policy);
+        if (current) {
+            renderDiff(policy, current);
+        }
+    });
+});
+
+// Title, source and capture details above the stored text
+function renderPolicy(policy) {
+    const typeLabels = { privacy: 'Privacy policy', cookies: 'Cookie policy', terms: 'Terms' };
+
+    document.title = `${policy.title || typeLabels[policy.type] || 'Policy'} - Consent Tracker`;
+    document.getElementById('policy-title').textContent = policy.title || typeLabels[policy.type] || 'Stored Policy';
+
+    const meta = document.getElementById('policy-meta');
+
+    const type = document.createElement('span');
+    type.textContent = typeLabels[policy.type] || policy.type;
+    meta.appendChild(type);
+
+    const captured = document.createElement('span');
+    captured.textContent = `Captured ${new Date(policy.fetchedAt).toLocaleString()}`;
+    meta.appendChild(captured);
+
+    const source = document.createElement('a');
+    source.href = policy.url;
+    source.target = '_blank';
+    source.rel = 'noopener';
+    source.textContent = 'Current version on the site';
+    meta.appendChild(source);
+
+    const digest = document.createElement('span');
+    digest.className = 'policy-hash';
+    digest.textContent = `SHA-256 ${policy.hash}`;
+    meta.appendChild(digest);
+
+    document.getElementById('policy-text').textContent = policy.text;
+}
+
+// Inline diff of the agreed version against the current one
+function renderDiff(agreed, current) {
+    const diff = PolicyText.diff(agreed.text, current.text);
+    const added = diff.filter(line => line.type === 'added').length;
+    const removed = diff.filter(line => line.type === 'removed').length;
+
+    document.getElementById('policy-title').textContent = `Changes since you agreed: ${agreed.title || agreed.url}`;
+
+    const summary = document.createElement('span');
+    summary.textContent = `${added} added, ${removed} removed · current version captured ${new Date(current.fetchedAt).toLocaleString()}`;
+    document.getElementById('policy-meta').appendChild(summary);
+
+    // Only show unchanged lines close to a change
+    const keep = diff.map(() => false);
+    diff.forEach((line, index) => {
+        if (line.type === 'same') return;
+        for (let i = Math.max(0, index - DIFF_CONTEXT_LINES); i <= Math.min(diff.length - 1, index + DIFF_CONTEXT_LINES); i++) {
+            keep[i] = true;
+        }
+    });
+
+    const container = document.getElementById('policy-text');
+    container.textContent = '';
+
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped === 0) return;
+        const gap = document.createElement('div');
+        gap.className = 'diff-gap';
+        gap.textContent = `… ${skipped} unchanged line${skipped === 1 ? '' : 's'} …`;
+        container.appendChild(gap);
+        skipped = 0;
+    };
+
+    diff.forEach((line, index) => {
+        if (!keep[index]) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+
+        const row = document.createElement('div');
+        row.className = `diff-line diff-${line.type}`;
+        row.textContent = line.text;
+        container.appendChild(row);
+    });
+    flushSkipped();
+}
@@ -8,17 +8,27 @@ document.addEventListener('DOMContentLoaded', () => {
     const riskIndicator = document.getElementById('risk-indicator');
     const recentList = document.getElementById('recent-list');
     const recentSection = document.getElementById('recent-section');
+    const policyAlert = document.getElementById('policy-alert');
+    const policyChangeCount = document.getElementById('policy-change-count');
 
     // Category icons
     const categoryIcons = {
         cookies: '🍪', newsletter: '📧', email: '✉️', account: '👤',
         data: '📊', terms: '📜', notifications: '🔔', location: '📍',
-        permissions: '🔐', marketing: '📢', general: '📋'
+        permissions: '🔐', oauth: '🔑', marketing: '📢', general: '📋'
     };
 
-    // Load data
-    chrome.storage.local.get(['consents'], (result) => {
-        const consents = result.consents || [];
+    // Decision labels shown next to the category
+    const decisionLabels = {
+        accepted: 'accepted', partial: 'partial', rejected: 'rejected'
+    };
+
+    // Load data (consent records come from the background's store)
+    Promise.all([
+        chrome.runtime.sendMessage({ type: 'GET_CONSENTS' }),
+        chrome.storage.local.get(['policyChanges'])
+    ]).then(([response, result]) => {
+        const consents = (response && response.consents) || [];
 
         // Total count
         countEl.textContent = consents.length;
@@ -39,6 +49,13 @@ document.addEventListener('DOMContentLoaded', () => {
         if (risk.level === 'medium') riskIndicator.classList.add('medium');
         if (risk.level === 'high') riskIndicator.classList.add('high');
 
+        // Policies that changed after the user agreed to them
+        const unreviewed = Object.values(result.policyChanges || {}).filter(change => !change.reviewed).length;
+        if (unreviewed > 0) {
+            policyChangeCount.textContent = unreviewed;
+            policyAlert.style.display = 'flex';
+        }
+
         // Recent consents
         if (consents.length > 0) {
             const recent = consents.slice(0, 3);
@@ -52,6 +69,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Open dashboard at the changed policies
+    policyAlert.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html#policy-changes') });
+    });
+
     // Open dashboard
     document.getElementById('open-dashboard').addEventListener('click', () => {
         chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
@@ -75,7 +97,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Clear button at bottom
     document.getElementById('btn-clear')?.addEventListener('click', () => {
         if (confirm('Are you sure you want to clear all consent records? This cannot be undone.')) {
-            chrome.storage.local.set({ consents: [] }, () => {
+            chrome.runtime.sendMessage({ type: 'CLEAR_CONSENTS' }, () => {
                 // Refresh the popup stats
                 document.getElementById('count').textContent = '0';
                 document.getElementById('sites').textContent = '0';
@@ -102,16 +124,28 @@ document.addEventListener('DOMContentLoaded', () => {
             notifications: 1,
             location: 5,
             permissions: 3,
+            oauth: 8, // third-party access to an account
             terms: 6,
             marketing: 2,
             general: 1
         };
 
+        // Refusals share nothing; partial choices share some
+        const decisionFactors = {
+            accepted: 1,
+            partial: 0.5,
+            rejected: 0
+        };
+
         let score = 0;
 
         for (const consent of consents) {
             const category = consent.category || 'general';
-            score += weights[category] ?? weights.general;
+            const factor = decisionFactors[consent.decision] ?? decisionFactors.accepted;
+            // Browser permissions carry their own weight; banners that pushed the user add to it
+            const weight = PermissionApis.weight(consent) ?? weights[category] ?? weights.general;
+            const pressure = DarkPatterns.score(consent.darkPatterns);
+            score += (weight + pressure) * factor;
         }
 
         // Thresholds: Low < 30, Medium 30-49, High >= 50
@@ -121,15 +155,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function createRecentItem(consent) {
-        const icon = categoryIcons[consent.category] || '📋';
+        const icon = consent.decision === 'rejected' ? '🚫' : (categoryIcons[consent.category] || '📋');
         const time = formatTime(consent.timestamp);
+        const decision = decisionLabels[consent.decision] || decisionLabels.accepted;
 
         return `
       <div class="recent-item">
         <div class="recent-icon">${consent.domain.charAt(0).toUpperCase()}</div>
         <div class="recent-info">
           <div class="recent-domain">${escapeHtml(consent.domain)}</div>
-          <div class="recent-category">${icon} ${consent.category || 'general'}</div>
+          <div class="recent-category">${icon} ${consent.category || 'general'} · ${decision}</div>
         </div>
         <div class="recent-time">${time}</div>
       </div>
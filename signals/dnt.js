@@ -0,0 +1,17 @@
+// Consent Tracker - Do Not Track
+// Registered by background.js as a MAIN-world content script while DNT is on,
+// so navigator.doNotTrack is set before any page script reads it
+
+(function () {
+    'use strict';
+
+    try {
+        Object.defineProperty(Navigator.prototype, 'doNotTrack', {
+            get: function () { return '1'; },
+            configurable: true,
+            enumerable: true
+        });
+    } catch {
+        console.log('Consent Tracker: could not set navigator.doNotTrack');
+    }
+})();
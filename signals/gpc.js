@@ -0,0 +1,17 @@
+// Consent Tracker - Global Privacy Control
+// Registered by background.js as a MAIN-world content script while GPC is on,
+// so navigator.globalPrivacyControl is set before any page script reads it
+
+(function () {
+    'use strict';
+
+    try {
+        Object.defineProperty(Navigator.prototype, 'globalPrivacyControl', {
+            get: function () { return true; },
+            configurable: true,
+            enumerable: true
+        });
+    } catch {
+        console.log('Consent Tracker: could not set navigator.globalPrivacyControl');
+    }
+})();
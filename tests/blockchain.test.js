@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// BlockchainService loads its state on require; give it an empty extension
+globalThis.crypto ??= require('node:crypto').webcrypto;
+global.chrome = { storage: { local: { get: async () => ({}), set: async () => { } } } };
+global.ConsentStore = { getAll: async () => [] };
+global.MerkleTree = { buildTree: leaves => ({ root: null, leafCount: leaves.length }) };
+
+const BlockchainService = require('../blockchain.js');
+const PolicyText = require('../lib/policyText.js');
+
+const CONSENT = {
+    context: 'We use cookies to improve your experience.',
+    url: 'https://example.com/',
+    timestamp: 1700000000000,
+    buttonText: 'Accept all',
+    category: 'cookies',
+    decision: 'accepted'
+};
+
+async function proofWithPolicy(text) {
+    return BlockchainService.generateConsentHash({ ...CONSENT, policyHash: await PolicyText.hash(text) });
+}
+
+test('proof hashes are bytes32 hex and stable', async () => {
+    const hash = await BlockchainService.generateConsentHash(CONSENT);
+
+    assert.match(hash, /^0x[0-9a-f]{64}$/);
+    assert.equal(await BlockchainService.generateConsentHash({ ...CONSENT }), hash);
+});
+
+test('the proof commits to the policy text the user agreed to', async () => {
+    const agreed = await proofWithPolicy('We never sell your data.');
+
+    assert.equal(await proofWithPolicy('We never sell your data.'), agreed);
+    assert.notEqual(await proofWithPolicy('We may sell your data to partners.'), agreed);
+    assert.notEqual(await BlockchainService.generateConsentHash(CONSENT), agreed);
+});
+
+test('the proof commits to the TCF grants', async () => {
+    const plain = await BlockchainService.generateConsentHash(CONSENT);
+    const withTcf = await BlockchainService.generateConsentHash({ ...CONSENT, tcf: { tcString: 'CPxyz' } });
+
+    assert.notEqual(withTcf, plain);
+});
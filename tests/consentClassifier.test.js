@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const KeywordPacks = require('../lib/keywordPacks.js');
+const ConsentClassifier = require('../lib/consentClassifier.js');
+
+const keywords = KeywordPacks.select('en');
+
+function classify(features) {
+    return ConsentClassifier.classify({ role: 'button', inDialog: false, cmp: false, banner: false, emailForm: false, ...features }, keywords);
+}
+
+test('matches keywords at word starts only', () => {
+    assert.equal(ConsentClassifier.containsTerm('accept cookies', 'ok'), false);
+    assert.equal(ConsentClassifier.containsTerm('ok, got it', 'ok'), true);
+    assert.equal(ConsentClassifier.containsTerm('unsubscribe', 'subscribe'), false);
+});
+
+test('reads refusals before consent', () => {
+    assert.equal(ConsentClassifier.matchDecision('Do not accept', keywords).decision, 'rejected');
+    assert.equal(ConsentClassifier.matchDecision('Save my choices', keywords).decision, 'partial');
+    assert.deepEqual(ConsentClassifier.matchDecision('Accept all', keywords), { decision: 'accepted', specific: true });
+    assert.deepEqual(ConsentClassifier.matchDecision('OK', keywords), { decision: 'accepted', specific: false });
+    assert.equal(ConsentClassifier.matchDecision('Read more', keywords), null);
+});
+
+test('scores every category instead of taking the first hit', () => {
+    const result = classify({
+        buttonText: 'Subscribe',
+        context: 'Get our weekly newsletter. We use your email address only for this.',
+        emailForm: true
+    });
+
+    assert.equal(result.category, 'newsletter');
+    assert.ok(result.categoryScores.email > 0);
+    assert.ok(result.categoryScores.newsletter > result.categoryScores.email);
+});
+
+test('cookie banners outweigh stray context terms', () => {
+    const result = classify({ buttonText: 'Accept all', context: 'We and our partners use cookies. Read the terms.', cmp: true });
+
+    assert.equal(result.decision, 'accepted');
+    assert.equal(result.category, 'cookies');
+    assert.ok(result.actionConfidence >= 0.9);
+});
+
+test('a bare generic button outside any consent UI is not a decision', () => {
+    const result = classify({ buttonText: 'Continue', context: 'Step 2 of 3', role: null });
+
+    assert.equal(result.decision, 'accepted');
+    assert.ok(result.actionConfidence < ConsentClassifier.MIN_ACTION_CONFIDENCE);
+});
+
+test('flags low confidence only on scored records', () => {
+    assert.equal(ConsentClassifier.isLowConfidence({ confidence: 0.2 }), true);
+    assert.equal(ConsentClassifier.isLowConfidence({ confidence: 0.8 }), false);
+    assert.equal(ConsentClassifier.isLowConfidence({ browserPermission: true }), false);
+});
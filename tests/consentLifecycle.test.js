@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ConsentLifecycle = require('../lib/consentLifecycle.js');
+
+const DAY = ConsentLifecycle.DAY_MS;
+
+let nextId = 0;
+function event(day, fields = {}) {
+    return { id: `e${nextId++}`, domain: 'example.com', category: 'cookies', decision: 'accepted', timestamp: day * DAY, ...fields };
+}
+
+function states(events, now = 10 * DAY) {
+    return ConsentLifecycle.replay(events, now).steps.map(step => step.state);
+}
+
+test('grants, modifies and withdraws along a chain', () => {
+    const choices = checked => [{ label: 'Analytics', checked }];
+    const events = [
+        event(1, { choices: choices(true) }),
+        event(2, { choices: choices(true) }),
+        event(3, { choices: choices(false) }),
+        event(4, { decision: 'rejected' }),
+        event(5)
+    ];
+
+    assert.deepEqual(states(events), ['granted', 'granted', 'modified', 'withdrawn', 'granted']);
+    assert.equal(ConsentLifecycle.replay(events, 10 * DAY).current, events[4]);
+});
+
+test('a refusal with nothing in force starts no lifecycle, unless it is a withdrawal', () => {
+    assert.deepEqual(states([event(1, { decision: 'rejected' })]), [null]);
+    assert.deepEqual(states([event(1, { decision: 'rejected', eventType: 'withdrawal' })]), ['withdrawn']);
+});
+
+test('cookie consents expire after about 13 months, permissions never', () => {
+    const cookies = [event(0)];
+    assert.equal(ConsentLifecycle.replay(cookies, 394 * DAY).state, 'granted');
+    assert.equal(ConsentLifecycle.replay(cookies, 396 * DAY).state, 'expired');
+
+    const camera = [event(0, { browserPermission: true, permissionType: 'camera', category: 'permissions' })];
+    assert.equal(ConsentLifecycle.replay(camera, 5000 * DAY).state, 'granted');
+});
+
+test('an agreement after expiry is granted afresh', () => {
+    assert.deepEqual(states([event(0), event(400)], 401 * DAY), ['granted', 'granted']);
+    assert.deepEqual(states([event(0), event(400, { decision: 'rejected' })], 401 * DAY), ['granted', null]);
+});
+
+test('keeps sites, categories and permissions in separate chains', () => {
+    const consents = [
+        event(1),
+        event(2, { category: 'newsletter' }),
+        event(3, { domain: 'other.test', decision: 'rejected' }),
+        event(4, { browserPermission: true, permissionType: 'geolocation' })
+    ];
+
+    const chains = ConsentLifecycle.chains(consents, 10 * DAY);
+    assert.deepEqual(chains.map(chain => chain.key), [
+        'example.com|cookies', 'example.com|newsletter', 'other.test|cookies', 'example.com|permission:geolocation'
+    ]);
+    assert.equal(chains[3].permissionType, 'geolocation');
+    assert.deepEqual(ConsentLifecycle.chainOf(consents, consents[0]), []);
+});
+
+test('lists what is in force, most recent first', () => {
+    const consents = [event(1), event(2, { category: 'newsletter' }), event(3, { category: 'newsletter', decision: 'rejected' }), event(4, { category: 'terms' })];
+
+    assert.deepEqual(ConsentLifecycle.active(consents, 10 * DAY).map(chain => chain.category), ['terms', 'cookies']);
+});
+
+test('fingerprints repeats by chain and terms, not by time', () => {
+    assert.equal(ConsentLifecycle.fingerprint(event(1)), ConsentLifecycle.fingerprint(event(2)));
+    assert.notEqual(ConsentLifecycle.fingerprint(event(1)), ConsentLifecycle.fingerprint(event(1, { decision: 'rejected' })));
+    assert.notEqual(ConsentLifecycle.fingerprint(event(1)), ConsentLifecycle.fingerprint(event(1, { eventType: 'implicit' })));
+});
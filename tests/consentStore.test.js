@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeDatabase, KeyRange } = require('./fakeIndexedDb.js');
+
+global.IDBKeyRange = KeyRange;
+const notifications = [];
+global.chrome = {
+    runtime: {
+        sendMessage: async (message) => {
+            notifications.push(message.type);
+        }
+    }
+};
+
+const ConsentStore = require('../lib/consentStore.js');
+
+const RECORDS = [
+    { id: 'a', domain: 'example.com', timestamp: 1000, proofHash: '0xa', batchStatus: 'pending' },
+    { id: 'b', domain: 'example.com', timestamp: 2000, proofHash: '0xb', batchStatus: 'pending' },
+    { id: 'c', domain: 'other.test', timestamp: 3000, proofHash: '0xc', batchStatus: 'anchored' }
+];
+
+// A fresh store for each test, opened without the legacy migration
+let db;
+test.beforeEach(() => {
+    db = new FakeDatabase(ConsentStore.INDEXES, RECORDS);
+    ConsentStore.dbPromise = Promise.resolve(db);
+    notifications.length = 0;
+});
+
+function stored() {
+    return [...db.records.keys()].sort();
+}
+
+test('puts records and returns them', async () => {
+    const record = { id: 'd', domain: 'new.test', timestamp: 4000 };
+    const results = await ConsentStore.apply([{ type: 'put', record }]);
+
+    assert.deepEqual(results, [record]);
+    assert.deepEqual(db.records.get('d'), record);
+    assert.deepEqual(notifications, ['CONSENTS_CHANGED']);
+});
+
+test('patches with fields or a function of the record, keeping the id', async () => {
+    const [first, second] = await ConsentStore.apply([
+        { type: 'patch', id: 'a', changes: { reviewed: true, id: 'z' } },
+        { type: 'patch', id: 'a', changes: record => ({ occurrences: (record.occurrences || 1) + 1 }) }
+    ]);
+
+    assert.equal(first.id, 'a');
+    assert.equal(first.reviewed, true);
+    assert.deepEqual(second, { ...RECORDS[0], reviewed: true, occurrences: 2 });
+    assert.deepEqual(db.records.get('a'), second);
+    assert.ok(!db.records.has('z'));
+});
+
+test('applies ops in order, each seeing the writes before it', async () => {
+    const results = await ConsentStore.apply([
+        { type: 'put', record: { id: 'd', domain: 'new.test', timestamp: 4000 } },
+        { type: 'patch', id: 'd', changes: record => ({ seen: record.domain }) },
+        { type: 'delete', id: 'd' }
+    ]);
+
+    assert.equal(results[1].seen, 'new.test');
+    assert.equal(results[2], 'd');
+    assert.ok(!db.records.has('d'));
+});
+
+test('writes nothing when a patched record is missing', async () => {
+    await assert.rejects(
+        ConsentStore.apply([
+            { type: 'put', record: { id: 'd', domain: 'new.test', timestamp: 4000 } },
+            { type: 'delete', id: 'a' },
+            { type: 'patch', id: 'missing', changes: { reviewed: true } }
+        ]),
+        { name: 'NotFoundError', message: 'Consent not found: missing' }
+    );
+
+    assert.deepEqual(stored(), ['a', 'b', 'c']);
+    assert.deepEqual(notifications, []);
+});
+
+test('rejects unknown op types without writing', async () => {
+    await assert.rejects(
+        ConsentStore.apply([{ type: 'delete', id: 'a' }, { type: 'truncate' }]),
+        /Unknown store operation: truncate/
+    );
+
+    assert.deepEqual(stored(), ['a', 'b', 'c']);
+});
+
+test('patches every record with an index value, counting the ones changed', async () => {
+    const [count] = await ConsentStore.apply([{
+        type: 'patchIndex',
+        index: 'domain',
+        value: 'example.com',
+        changes: record => record.id === 'a' ? { batchStatus: 'anchored', txHash: '0xtx' } : null
+    }]);
+
+    assert.equal(count, 1);
+    assert.equal(db.records.get('a').txHash, '0xtx');
+    assert.deepEqual(db.records.get('b'), RECORDS[1]);
+});
+
+test('deletes records logged strictly before a timestamp', async () => {
+    const [count] = await ConsentStore.apply([{ type: 'deleteBefore', before: 2000 }]);
+
+    assert.equal(count, 1);
+    assert.deepEqual(stored(), ['b', 'c']);
+});
+
+test('clears the store', async () => {
+    const results = await ConsentStore.apply([{ type: 'clear' }]);
+
+    assert.deepEqual(results, [null]);
+    assert.deepEqual(stored(), []);
+});
+
+test('returns no results for no ops', async () => {
+    assert.deepEqual(await ConsentStore.apply([]), []);
+    assert.deepEqual(stored(), ['a', 'b', 'c']);
+});
+
+test('update returns null for a missing record instead of throwing', async () => {
+    assert.equal(await ConsentStore.update('missing', { reviewed: true }), null);
+    assert.equal((await ConsentStore.update('b', { reviewed: true })).reviewed, true);
+});
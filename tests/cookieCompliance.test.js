@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// CookieCompliance looks cookies up through the TrackerDb global, as in the service worker
+global.TrackerDb = require('../lib/trackerDb.js');
+const CookieCompliance = require('../lib/cookieCompliance.js');
+
+const COOKIES = ['_ga', '_fbp', 'lang', 'session_xyz', '_ga'].map(name => ({ name, domain: '.example.com', value: 'secret' }));
+
+test('follows the overall decision when nothing more specific was saved', () => {
+    assert.deepEqual(CookieCompliance.allowedPurposes({ decision: 'accepted' }),
+        { preferences: true, analytics: true, advertising: true });
+    assert.deepEqual(CookieCompliance.allowedPurposes({ decision: 'rejected' }),
+        { preferences: null, analytics: false, advertising: false });
+    assert.deepEqual(CookieCompliance.allowedPurposes({ decision: 'partial' }),
+        { preferences: null, analytics: null, advertising: null });
+});
+
+test('reads preference-center switches and CMP categories', () => {
+    const consent = {
+        decision: 'partial',
+        choices: [{ label: 'Statistics', checked: true }, { label: 'Marketing', checked: false }],
+        cmpCategories: [{ id: 'C0003', name: 'Functional Cookies', granted: true }]
+    };
+
+    assert.deepEqual(CookieCompliance.allowedPurposes(consent), { preferences: true, analytics: true, advertising: false });
+});
+
+test('reads TCF purposes, which all need purpose 1', () => {
+    const tcf = purposeConsents => CookieCompliance.allowedPurposes({ decision: 'partial', tcf: { purposeConsents } });
+
+    assert.deepEqual(tcf([1, 8]), { preferences: null, analytics: true, advertising: false });
+    assert.deepEqual(tcf([2, 3, 8]), { preferences: null, analytics: false, advertising: false });
+});
+
+test('flags cookies set for purposes the user refused, once each, without their values', () => {
+    const result = CookieCompliance.check({ decision: 'rejected' }, COOKIES);
+
+    assert.deepEqual(result.cookies.map(cookie => [cookie.name, cookie.purpose]), [
+        ['_ga', 'analytics'], ['_fbp', 'advertising'], ['lang', 'preferences'], ['session_xyz', 'unknown']
+    ]);
+    assert.deepEqual(result.mismatches, [
+        { name: '_ga', vendor: 'Google Analytics', purpose: 'analytics' },
+        { name: '_fbp', vendor: 'Meta Pixel', purpose: 'advertising' }
+    ]);
+    assert.ok(!JSON.stringify(result).includes('secret'));
+});
+
+test('finds no mismatch when everything was accepted', () => {
+    assert.deepEqual(CookieCompliance.check({ decision: 'accepted' }, COOKIES).mismatches, []);
+});
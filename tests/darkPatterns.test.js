@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DarkPatterns = require('../lib/darkPatterns.js');
+
+function button(decision, fields = {}) {
+    return { decision, label: decision === 'accepted' ? 'Accept all' : 'Reject all', area: 4000, filled: true, contrast: 7, ...fields };
+}
+
+test('finds nothing on a balanced banner', () => {
+    const measurement = {
+        firstLayer: true,
+        buttons: [button('accepted'), button('rejected')],
+        toggles: [{ label: 'Strictly necessary', initiallyChecked: true, disabled: true }, { label: 'Analytics', initiallyChecked: false }]
+    };
+
+    assert.deepEqual(DarkPatterns.analyze(measurement), []);
+});
+
+test('flags a first layer with no way to refuse', () => {
+    assert.deepEqual(DarkPatterns.analyze({ firstLayer: true, buttons: [button('accepted')] }), ['noRejectFirstLayer']);
+    // Later layers are judged on what they show, not on a missing reject
+    assert.deepEqual(DarkPatterns.analyze({ firstLayer: false, buttons: [button('accepted')] }), []);
+});
+
+test('flags accept styled over reject by fill, size or contrast', () => {
+    const analyze = reject => DarkPatterns.analyze({ buttons: [button('accepted'), reject] });
+
+    assert.deepEqual(analyze(button('rejected', { filled: false })), ['visualAsymmetry']);
+    assert.deepEqual(analyze(button('rejected', { area: 1500 })), ['visualAsymmetry']);
+    assert.deepEqual(analyze(button('rejected', { contrast: 1.8 })), ['visualAsymmetry']);
+    assert.deepEqual(analyze(button('rejected', { area: 3000 })), []);
+});
+
+test('judges each side by its most prominent button', () => {
+    const buttons = [button('accepted'), button('rejected', { filled: false, area: 500 }), button('rejected')];
+
+    assert.deepEqual(DarkPatterns.analyze({ buttons }), []);
+});
+
+test('flags pre-ticked purposes and legitimate interest, but not necessary ones', () => {
+    const toggles = [
+        { label: 'Strictly necessary cookies', initiallyChecked: true },
+        { label: 'Personalised advertising', initiallyChecked: true },
+        { label: 'Measure content performance (legitimate interest)', initiallyChecked: true },
+        { label: 'Locked partner', initiallyChecked: true, disabled: true }
+    ];
+
+    assert.deepEqual(DarkPatterns.analyze({ toggles }), ['preTicked', 'legitimateInterest']);
+});
+
+test('recognises confirmshaming refusals', () => {
+    assert.equal(DarkPatterns.isConfirmshaming("No thanks, I don't want to save money"), true);
+    assert.equal(DarkPatterns.isConfirmshaming('I prefer paying full price'), true);
+    assert.equal(DarkPatterns.isConfirmshaming('Reject all'), false);
+    assert.deepEqual(DarkPatterns.analyze({
+        buttons: [button('accepted'), button('rejected', { label: "No, I'd rather miss out" })]
+    }), ['confirmshaming']);
+});
+
+test('weights patterns into a risk score', () => {
+    assert.equal(DarkPatterns.score(['noRejectFirstLayer', 'preTicked']), 7);
+    assert.equal(DarkPatterns.score(['unknown']), 0);
+    assert.equal(DarkPatterns.score(undefined), 0);
+});
+
+test('parses computed colours and measures contrast', () => {
+    assert.deepEqual(DarkPatterns.parseColor('rgb(255, 0, 10)'), [255, 0, 10, 1]);
+    assert.deepEqual(DarkPatterns.parseColor('rgba(0, 0, 0, 0.5)'), [0, 0, 0, 0.5]);
+    assert.equal(DarkPatterns.parseColor('transparent'), null);
+    assert.equal(DarkPatterns.contrastRatio([0, 0, 0], [255, 255, 255]), 21);
+    assert.equal(DarkPatterns.contrastRatio([119, 119, 119], [119, 119, 119]), 1);
+});
@@ -0,0 +1,135 @@
+/**
+ * In-memory stand-in for the parts of IndexedDB ConsentStore uses
+ *
+ * One object store keyed by `id`, with indexes read straight from record
+ * fields. Requests complete asynchronously; a transaction works on a copy
+ * of the records and commits it once no request is left, or drops it when
+ * aborted, so all-or-nothing behaviour can be tested.
+ */
+
+const KeyRange = {
+    only: (value) => ({ includes: v => v === value }),
+    lowerBound: (lower, open = false) => ({ includes: v => open ? v > lower : v >= lower }),
+    upperBound: (upper, open = false) => ({ includes: v => open ? v < upper : v <= upper })
+};
+
+class FakeTransaction {
+    constructor(db, indexes) {
+        this.db = db;
+        this.indexes = indexes;
+        this.records = new Map([...db.records].map(([id, record]) => [id, structuredClone(record)]));
+        this.pending = 0;
+        this.finished = false;
+        this.error = null;
+        this.oncomplete = null;
+        this.onabort = null;
+        this.onerror = null;
+        this.settle();
+    }
+
+    objectStore() {
+        const tx = this;
+        return {
+            get: id => tx.request(() => structuredClone(tx.records.get(id))),
+            getAll: () => tx.request(() => [...tx.records.values()].map(r => structuredClone(r))),
+            count: () => tx.request(() => tx.records.size),
+            put: record => tx.request(() => {
+                tx.records.set(record.id, structuredClone(record));
+                return record.id;
+            }),
+            delete: id => tx.request(() => {
+                tx.records.delete(id);
+            }),
+            clear: () => tx.request(() => {
+                tx.records.clear();
+            }),
+            index: name => ({
+                getAll: value => tx.request(() => tx.matching(name, KeyRange.only(value)).map(r => structuredClone(r))),
+                openCursor: range => tx.openCursor(name, range)
+            })
+        };
+    }
+
+    matching(index, range) {
+        const field = this.indexes[index];
+        return [...this.records.values()]
+            .filter(record => record[field] !== undefined && (!range || range.includes(record[field])))
+            .sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0));
+    }
+
+    openCursor(index, range) {
+        const matches = this.matching(index, range);
+        let position = 0;
+        const request = {};
+
+        const advance = () => this.queue(() => {
+            const record = matches[position++];
+            request.result = record ? {
+                value: structuredClone(record),
+                update: value => this.request(() => this.records.set(record.id, structuredClone(value))),
+                delete: () => this.request(() => this.records.delete(record.id)),
+                continue: advance
+            } : null;
+            if (request.onsuccess) request.onsuccess();
+        });
+        advance();
+        return request;
+    }
+
+    // A request whose result is work(); onsuccess runs after it
+    request(work) {
+        const request = {};
+        this.queue(() => {
+            request.result = work();
+            if (request.onsuccess) request.onsuccess();
+        });
+        return request;
+    }
+
+    queue(step) {
+        this.pending++;
+        setImmediate(() => {
+            this.pending--;
+            if (this.finished) return;
+            step();
+            this.settle();
+        });
+    }
+
+    // Commit once nothing is left to run
+    settle() {
+        setImmediate(() => {
+            if (this.finished || this.pending > 0) return;
+            this.finished = true;
+            this.db.records = this.records;
+            if (this.oncomplete) this.oncomplete();
+        });
+    }
+
+    abort() {
+        if (this.finished) return;
+        this.finished = true;
+        this.error = new Error('Transaction aborted');
+        this.error.name = 'AbortError';
+        setImmediate(() => {
+            if (this.onabort) this.onabort();
+        });
+    }
+}
+
+class FakeDatabase {
+    /**
+     * @param {Object} indexes - Index name -> record field
+     * @param {Object[]} [records]
+     */
+    constructor(indexes, records = []) {
+        this.indexes = indexes;
+        this.records = new Map(records.map(record => [record.id, structuredClone(record)]));
+    }
+
+    transaction() {
+        return new FakeTransaction(this, this.indexes);
+    }
+}
+
+module.exports = { FakeDatabase, KeyRange };
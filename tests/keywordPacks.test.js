@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const KeywordPacks = require('../lib/keywordPacks.js');
+const ConsentClassifier = require('../lib/consentClassifier.js');
+
+test('selects the page language pack plus English', () => {
+    const keywords = KeywordPacks.select('de-DE');
+
+    assert.equal(keywords.language, 'de');
+    assert.equal(keywords.fallback, false);
+    assert.ok(keywords.consent.includes('akzeptieren'));
+    assert.ok(keywords.consent.includes('accept'));
+    assert.ok(!keywords.consent.includes('accepter'));
+});
+
+test('normalises language tags', () => {
+    assert.equal(KeywordPacks.select('PT_br').language, 'pt');
+    assert.equal(KeywordPacks.select(' fr ').language, 'fr');
+});
+
+test('falls back to every pack for a missing or unknown language', () => {
+    for (const lang of ['', undefined, 'xx']) {
+        const keywords = KeywordPacks.select(lang);
+
+        assert.equal(keywords.fallback, true);
+        for (const pack of Object.values(KeywordPacks.packs)) {
+            assert.ok(keywords.consent.includes(pack.consent[0].toLowerCase()), `${pack.name} missing for ${lang}`);
+        }
+    }
+    assert.equal(KeywordPacks.select('').language, 'unknown');
+    assert.equal(KeywordPacks.select('xx').language, 'xx');
+});
+
+test('adds a custom pack for its language', () => {
+    const custom = { sv: { consent: ['Godkänn alla'], refusal: ['Avvisa'], categories: { cookies: ['kakor'] } } };
+    const keywords = KeywordPacks.select('sv', custom);
+
+    assert.equal(keywords.fallback, false);
+    assert.ok(keywords.consent.includes('godkänn alla'));
+    assert.ok(keywords.consent.includes('accept'));
+    assert.deepEqual(keywords.refusal.slice(0, 1), ['avvisa']);
+    assert.ok(keywords.categories.cookies.includes('kakor'));
+});
+
+test('includes custom packs in the fallback', () => {
+    const keywords = KeywordPacks.select('', { sv: { consent: ['godkänn'] } });
+
+    assert.ok(keywords.consent.includes('godkänn'));
+});
+
+test('merges packs into lower-cased, de-duplicated lists', () => {
+    const merged = KeywordPacks.merge([
+        { consent: ['Accept', 'OK'], categories: { cookies: ['Cookies'] } },
+        { consent: ['accept', 'Yes'], partial: ['Save'], categories: { cookies: ['cookies'], email: ['Mail'] } }
+    ]);
+
+    assert.deepEqual(merged.consent, ['accept', 'ok', 'yes']);
+    assert.deepEqual(merged.refusal, []);
+    assert.deepEqual(merged.withdrawal, []);
+    assert.deepEqual(merged.partial, ['save']);
+    assert.deepEqual(merged.categories.cookies, ['cookies']);
+    assert.deepEqual(merged.categories.email, ['mail']);
+    assert.deepEqual(Object.keys(merged.categories), KeywordPacks.CATEGORIES);
+});
+
+test('keeps everyday account and newsletter buttons out of the withdrawal terms', () => {
+    const keywords = KeywordPacks.select('');
+    const match = label => ConsentClassifier.matchDecision(label, keywords);
+
+    assert.deepEqual(match('Withdraw consent'), { decision: 'rejected', specific: true, withdrawal: true });
+    assert.deepEqual(match('Unsubscribe'), { decision: 'rejected', specific: true });
+    assert.deepEqual(match('Opt out of emails'), { decision: 'rejected', specific: true });
+    assert.equal(match('Disconnect'), null);
+    assert.equal(match('Remove access'), null);
+});
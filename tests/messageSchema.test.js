@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MessageSchema = require('../lib/messageSchema.js');
+
+const CONSENT = {
+    id: 'consent_1',
+    url: 'https://example.com/',
+    domain: 'example.com',
+    timestamp: 1700000000000,
+    buttonText: 'Accept all',
+    decision: 'accepted'
+};
+
+function detected(data) {
+    return { type: 'CONSENT_DETECTED', data };
+}
+
+test('accepts a well-formed consent from a content script', () => {
+    assert.equal(MessageSchema.check(detected(CONSENT), 'content'), null);
+});
+
+test('rejects unknown types, including inherited property names', () => {
+    assert.equal(MessageSchema.check({ type: 'DROP_TABLES' }, 'extension').code, 'UNKNOWN_TYPE');
+    assert.equal(MessageSchema.check({ type: 'toString' }, 'extension').code, 'UNKNOWN_TYPE');
+    assert.equal(MessageSchema.check(null, 'extension').code, 'UNKNOWN_TYPE');
+});
+
+test('keeps web pages away from messages that read or change the log', () => {
+    assert.equal(MessageSchema.check({ type: 'CLEAR_CONSENTS' }, 'content').code, 'FORBIDDEN');
+    assert.equal(MessageSchema.check({ type: 'GET_CONSENTS' }, null).code, 'FORBIDDEN');
+    assert.equal(MessageSchema.check(detected(CONSENT), 'extension').code, 'FORBIDDEN');
+});
+
+test('rejects malformed consent fields with the path of the problem', () => {
+    const cases = [
+        [{ ...CONSENT, id: undefined }, 'CONSENT_DETECTED.data.id is required'],
+        [{ ...CONSENT, url: 'file:///home/me/page.html' }, 'CONSENT_DETECTED.data.url must be an http(s) URL'],
+        [{ ...CONSENT, timestamp: NaN }, 'CONSENT_DETECTED.data.timestamp must be a number'],
+        [{ ...CONSENT, decision: 'maybe' }, 'CONSENT_DETECTED.data.decision must be one of accepted, partial, rejected'],
+        [{ ...CONSENT, buttonText: 'x'.repeat(1001) }, 'CONSENT_DETECTED.data.buttonText is longer than 1000 characters'],
+        [{ ...CONSENT, policyLinks: [{ type: 'privacy', url: 'javascript:alert(1)' }] },
+            'CONSENT_DETECTED.data.policyLinks[0].url must be an http(s) URL']
+    ];
+
+    for (const [data, error] of cases) {
+        assert.deepEqual(MessageSchema.check(detected(data), 'content'), { code: 'INVALID', error });
+    }
+});
+
+test('checks the consent of an ADD command the same way', () => {
+    assert.equal(MessageSchema.checkConsent(CONSENT), null);
+    assert.equal(MessageSchema.checkConsent(undefined, 'ADD.consent'), 'ADD.consent is required');
+    assert.equal(MessageSchema.checkConsent([CONSENT]), 'consent must be an object');
+});
+
+test('limits consent commands to the known ops', () => {
+    const command = op => ({ type: 'CONSENT_COMMAND', command: { version: 1, op } });
+
+    assert.equal(MessageSchema.check(command('TOGGLE'), 'extension'), null);
+    assert.equal(MessageSchema.check(command('BATCH'), 'extension').code, 'INVALID');
+});
+
+test('drops the fields only the background sets', () => {
+    const stripped = MessageSchema.stripOwnedFields({ ...CONSENT, proofHash: '0x1', reviewed: true, lifecycle: 'granted' });
+
+    assert.deepEqual(stripped, CONSENT);
+});
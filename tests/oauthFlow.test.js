@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const OAuthFlow = require('../lib/oauthFlow.js');
+
+const GOOGLE_AUTHORIZE = 'https://accounts.google.com/o/oauth2/v2/auth' +
+    '?client_id=123.apps.googleusercontent.com' +
+    '&scope=openid%20email+https://www.googleapis.com/auth/drive,email' +
+    '&redirect_uri=https%3A%2F%2Fapp.example.com%2Fcallback%3Fnext%3D%2Fhome' +
+    '&response_type=code&state=secret-state';
+
+test('parses a known provider authorization request', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest(GOOGLE_AUTHORIZE);
+
+    assert.deepEqual(flow.provider, { id: 'google', name: 'Google' });
+    assert.equal(flow.providerDomain, 'accounts.google.com');
+    assert.equal(flow.clientId, '123.apps.googleusercontent.com');
+    assert.deepEqual(flow.scopes, ['openid', 'email', 'https://www.googleapis.com/auth/drive']);
+    assert.equal(flow.responseType, 'code');
+    assert.equal(flow.responseMode, null);
+});
+
+test('keeps no query, fragment or state from the redirect URI', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest(GOOGLE_AUTHORIZE);
+
+    assert.equal(flow.redirectUri, 'https://app.example.com/callback');
+    assert.ok(!JSON.stringify(flow).includes('secret-state'));
+});
+
+test('accepts unknown providers on an authorization path only', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest('https://sso.corp.test/oauth2/authorize?client_id=abc&response_type=code');
+
+    assert.deepEqual(flow.provider, { id: 'sso.corp.test', name: 'sso.corp.test' });
+    assert.deepEqual(flow.scopes, []);
+    assert.equal(OAuthFlow.parseAuthorizeRequest('https://shop.test/search?client_id=abc&scope=all'), null);
+});
+
+test('ignores URLs that are not authorization requests', () => {
+    assert.equal(OAuthFlow.parseAuthorizeRequest('not a url'), null);
+    assert.equal(OAuthFlow.parseAuthorizeRequest('http://accounts.google.com/o/oauth2/auth?client_id=a&scope=email'), null);
+    assert.equal(OAuthFlow.parseAuthorizeRequest('https://accounts.google.com/o/oauth2/auth?scope=email'), null);
+    assert.equal(OAuthFlow.parseAuthorizeRequest('https://accounts.google.com/o/oauth2/auth?client_id=a'), null);
+});
+
+test('waits while the tab is still on the provider', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest(GOOGLE_AUTHORIZE);
+
+    assert.equal(OAuthFlow.parseCompletion('https://accounts.google.com/signin/challenge', flow), null);
+    assert.equal(OAuthFlow.parseCompletion('garbage', flow), null);
+
+    // Providers that sign in across several hosts
+    const microsoft = OAuthFlow.parseAuthorizeRequest('https://login.microsoftonline.com/common/oauth2/v2.0/authorize?client_id=a&scope=user.read');
+    assert.equal(OAuthFlow.parseCompletion('https://login.live.com/oauth20_authorize.srf', microsoft), null);
+});
+
+test('reads the decision from the query or the fragment', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest(GOOGLE_AUTHORIZE);
+
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/callback?code=xyz&state=s', flow),
+        { decision: 'accepted', error: null });
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/callback#access_token=t', flow),
+        { decision: 'accepted', error: null });
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/callback?error=access_denied', flow),
+        { decision: 'rejected', error: 'access_denied' });
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/callback#error=consent_required', flow),
+        { decision: 'rejected', error: 'consent_required' });
+});
+
+test('treats reaching the redirect URI without parameters as a form_post grant', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest(GOOGLE_AUTHORIZE + '&response_mode=form_post');
+
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/callback', flow), { decision: 'accepted', error: null });
+    assert.deepEqual(OAuthFlow.parseCompletion('https://www.example.com/home', flow), { decision: null, error: null });
+    assert.deepEqual(OAuthFlow.parseCompletion('https://elsewhere.test/', flow), { decision: null, error: null });
+});
+
+test('records no grant when the user cancels back to the app', () => {
+    const flow = OAuthFlow.parseAuthorizeRequest(GOOGLE_AUTHORIZE);
+
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/login', flow), { decision: null, error: null });
+    assert.deepEqual(OAuthFlow.parseCompletion('https://www.example.com/', flow), { decision: null, error: null });
+    // Without form_post, an empty callback carries no code, so nothing was granted
+    assert.deepEqual(OAuthFlow.parseCompletion('https://app.example.com/callback', flow), { decision: null, error: null });
+});
+
+test('approximates registrable domains', () => {
+    assert.equal(OAuthFlow.baseDomain('app.example.com'), 'example.com');
+    assert.equal(OAuthFlow.baseDomain('a.b.example.co.uk'), 'example.co.uk');
+    assert.equal(OAuthFlow.baseDomain('localhost'), 'localhost');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PiiTaxonomy = require('../lib/piiTaxonomy.js');
+
+test('trusts autocomplete tokens first, including section prefixes', () => {
+    assert.equal(PiiTaxonomy.classifyField({ autocomplete: 'shipping postal-code', name: 'phone' }), 'postcode');
+    assert.equal(PiiTaxonomy.classifyField({ autocomplete: 'section-a bday-year' }), 'birthdate');
+    assert.equal(PiiTaxonomy.classifyField({ autocomplete: 'cc-csc' }), 'payment');
+});
+
+test('falls back to the input type, then to name, id, placeholder and label hints', () => {
+    assert.equal(PiiTaxonomy.classifyField({ type: 'tel', name: 'contact' }), 'phone');
+    assert.equal(PiiTaxonomy.classifyField({ type: 'text', name: 'billingZipCode' }), 'postcode');
+    assert.equal(PiiTaxonomy.classifyField({ id: 'user_dob' }), 'birthdate');
+    assert.equal(PiiTaxonomy.classifyField({ placeholder: 'Card number' }), 'payment');
+    assert.equal(PiiTaxonomy.classifyField({ label: 'Vorname' }), 'name');
+});
+
+test('prefers the specific kind when hints overlap', () => {
+    // "Company name" is about the employer, not the person's name
+    assert.equal(PiiTaxonomy.classifyField({ label: 'Company name' }), 'organization');
+    assert.equal(PiiTaxonomy.classifyField({ name: 'passwordConfirm' }), 'password');
+});
+
+test('ignores fields that carry no personal data', () => {
+    assert.equal(PiiTaxonomy.classifyField({ type: 'text', name: 'q', placeholder: 'Search' }), null);
+    assert.equal(PiiTaxonomy.classifyField({ type: 'checkbox' }), null);
+    assert.equal(PiiTaxonomy.classifyField({ name: 'statement' }), null);
+});
+
+test('sorts types into taxonomy order', () => {
+    assert.deepEqual(PiiTaxonomy.sort(['password', 'email', 'name']), ['name', 'email', 'password']);
+});
+
+test('counts sensitive data or several kinds as a disclosure, but not a login', () => {
+    assert.equal(PiiTaxonomy.isDisclosure(['username', 'password']), false);
+    assert.equal(PiiTaxonomy.isDisclosure(['email', 'password']), false);
+    assert.equal(PiiTaxonomy.isDisclosure(['phone']), true);
+    assert.equal(PiiTaxonomy.isDisclosure(['name', 'email']), true);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.crypto ??= require('node:crypto').webcrypto;
+
+const PolicyText = require('../lib/policyText.js');
+
+const POLICY = 'We collect your email address to send you receipts. '.repeat(12);
+
+function page(body, chrome = '') {
+    return `<html><head><title>Privacy &amp; Cookies</title><style>p { color: red }</style></head>
+        <body><nav>Home | Shop</nav>${chrome}<main><h1>Privacy policy</h1><p>${body}</p>
+        <script>track()</script><p>Contact&nbsp;us at &#64;example</p></main><footer>© 2024</footer></body></html>`;
+}
+
+test('keeps the policy text and drops page chrome', () => {
+    const { title, text } = PolicyText.normalize(page(POLICY));
+
+    assert.equal(title, 'Privacy & Cookies');
+    assert.deepEqual(text.split('\n'), ['Privacy policy', POLICY.trim(), 'Contact us at @example']);
+});
+
+test('hashes the same wording the same despite markup and layout changes', async () => {
+    const before = PolicyText.normalize(page(POLICY)).text;
+    const after = PolicyText.normalize(page(POLICY.replace(/ /g, ' \t '), '<aside>Sale!</aside>')).text;
+
+    assert.equal(await PolicyText.hash(after), await PolicyText.hash(before));
+    assert.match(await PolicyText.hash(before), /^[0-9a-f]{64}$/);
+    assert.notEqual(await PolicyText.hash(before + '!'), await PolicyText.hash(before));
+});
+
+test('decodes named and numeric entities, leaving unknown ones alone', () => {
+    assert.equal(PolicyText.decodeEntities('&lt;b&gt; &#x2014; &#8230; &bogus; &#0;'), '<b> — … &bogus; &#0;');
+});
+
+test('truncates very long documents', () => {
+    const { text } = PolicyText.normalize('x'.repeat(PolicyText.MAX_LENGTH + 10));
+
+    assert.equal(text.length, PolicyText.MAX_LENGTH);
+});
+
+test('diffs changed lines, keeping the common head and tail', () => {
+    const diff = PolicyText.diff('Intro\nWe keep data 30 days.\nContact us', 'Intro\nWe keep data 90 days.\nWe share it with partners.\nContact us');
+
+    assert.deepEqual(diff, [
+        { type: 'same', text: 'Intro' },
+        { type: 'removed', text: 'We keep data 30 days.' },
+        { type: 'added', text: 'We keep data 90 days.' },
+        { type: 'added', text: 'We share it with partners.' },
+        { type: 'same', text: 'Contact us' }
+    ]);
+    assert.ok(PolicyText.diff('Same\ntext', 'Same\ntext').every(line => line.type === 'same'));
+});
+
+test('falls back to a set comparison for very large rewrites', (t) => {
+    const limit = PolicyText.MAX_DIFF_CELLS;
+    PolicyText.MAX_DIFF_CELLS = 4;
+    t.after(() => { PolicyText.MAX_DIFF_CELLS = limit; });
+
+    assert.deepEqual(PolicyText.diff('a\nb\nc', 'c\nd\na'), [
+        { type: 'removed', text: 'b' },
+        { type: 'same', text: 'c' },
+        { type: 'added', text: 'd' },
+        { type: 'same', text: 'a' }
+    ]);
+});
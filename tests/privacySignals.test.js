@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const PrivacySignals = require('../lib/privacySignals.js');
+
+const SETTINGS = PrivacySignals.normalize({ gpc: true, dnt: false, exceptions: ['example.com'] });
+
+test('fills in missing settings', () => {
+    assert.deepEqual(PrivacySignals.normalize(undefined), PrivacySignals.DEFAULTS);
+    assert.deepEqual(PrivacySignals.normalize({ gpc: 1, exceptions: 'example.com' }), { gpc: true, dnt: false, exceptions: [] });
+});
+
+test('excepts a domain and its subdomains only', () => {
+    assert.equal(PrivacySignals.isActive(SETTINGS, 'example.com'), false);
+    assert.equal(PrivacySignals.isActive(SETTINGS, 'Shop.Example.com'), false);
+    assert.equal(PrivacySignals.isActive(SETTINGS, 'notexample.com'), true);
+    assert.equal(PrivacySignals.isActive({ ...SETTINGS, gpc: false }, 'other.test'), false);
+});
+
+test('keeps the page scripts off excepted sites', () => {
+    assert.deepEqual(PrivacySignals.excludeMatches(SETTINGS), ['*://example.com/*', '*://*.example.com/*']);
+    assert.deepEqual(PrivacySignals.excludeMatches(PrivacySignals.DEFAULTS), []);
+});
+
+test('builds one header rule for the signals that are on', () => {
+    const rule = PrivacySignals.buildHeaderRule({ ...SETTINGS, dnt: true });
+
+    assert.equal(rule.id, PrivacySignals.RULE_ID);
+    assert.deepEqual(rule.action.requestHeaders.map(header => [header.header, header.value]), [['Sec-GPC', '1'], ['DNT', '1']]);
+    assert.ok(rule.condition.resourceTypes.includes('main_frame'));
+    assert.deepEqual(rule.condition.excludedRequestDomains, ['example.com']);
+    assert.deepEqual(rule.condition.excludedInitiatorDomains, ['example.com']);
+
+    assert.equal(PrivacySignals.buildHeaderRule(PrivacySignals.DEFAULTS), null);
+    assert.equal(PrivacySignals.buildHeaderRule(PrivacySignals.normalize({ gpc: true })).condition.excludedRequestDomains, undefined);
+});
+
+test('the page scripts set the navigator signals', () => {
+    // A page world whose navigator has neither signal yet
+    const page = vm.createContext({});
+    vm.runInContext('class Navigator {}; var navigator = new Navigator();', page);
+
+    for (const script of ['gpc.js', 'dnt.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'signals', script), 'utf8'), page);
+    }
+
+    assert.equal(vm.runInContext('navigator.globalPrivacyControl', page), true);
+    assert.equal(vm.runInContext('navigator.doNotTrack', page), '1');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SiteRules = require('../lib/siteRules.js');
+
+function rule(fields) {
+    return { domain: 'example.com', match: 'text', pattern: 'accept', action: 'consent', decision: 'accepted', ...fields };
+}
+
+test('normalises typed domains', () => {
+    assert.equal(SiteRules.normalizeDomain(' https://www.Example.com/path '), 'example.com');
+    assert.equal(SiteRules.normalizeDomain('*.example.com'), 'example.com');
+    assert.equal(SiteRules.normalizeDomain(''), '');
+});
+
+test('finds rules for the domain and its subdomains only', () => {
+    const rules = [rule({})];
+
+    assert.equal(SiteRules.find(rules, 'example.com', 'Accept'), rules[0]);
+    assert.equal(SiteRules.find(rules, 'shop.Example.com', 'Accept'), rules[0]);
+    assert.equal(SiteRules.find(rules, 'notexample.com', 'Accept'), null);
+    assert.equal(SiteRules.find(rules, 'example.com.evil.net', 'Accept'), null);
+});
+
+test('matches text as a substring or a /regex/', () => {
+    const rules = [rule({ pattern: '/^ok$/i', action: 'ignore' }), rule({ pattern: 'ACCEPT' })];
+
+    assert.equal(SiteRules.find(rules, 'example.com', 'OK'), rules[0]);
+    assert.equal(SiteRules.find(rules, 'example.com', 'OK, accept'), rules[1]);
+    assert.equal(SiteRules.find(rules, 'example.com', 'Decline'), null);
+    assert.equal(SiteRules.find(rules, 'example.com', undefined), null);
+});
+
+test('matches selectors through the caller and survives invalid ones', () => {
+    const rules = [rule({ match: 'selector', pattern: '[[broken' }), rule({ match: 'selector', pattern: '#agree' })];
+    const matchesSelector = (selector) => {
+        if (selector === '[[broken') throw new SyntaxError('Invalid selector');
+        return selector === '#agree';
+    };
+
+    assert.equal(SiteRules.find(rules, 'example.com', '', matchesSelector), rules[1]);
+});
+
+test('returns the first enabled match', () => {
+    const rules = [rule({ enabled: false, action: 'ignore' }), rule({ action: 'category', category: 'cookies' }), rule({})];
+
+    assert.equal(SiteRules.find(rules, 'example.com', 'Accept'), rules[1]);
+    assert.equal(SiteRules.find(null, 'example.com', 'Accept'), null);
+});
+
+test('accepts complete rules', () => {
+    assert.equal(SiteRules.validate(rule({})), null);
+    assert.equal(SiteRules.validate(rule({ pattern: '/acc(ept)?/i' })), null);
+    assert.equal(SiteRules.validate(rule({ action: 'category', category: 'marketing', decision: undefined })), null);
+    assert.equal(SiteRules.validate(rule({ action: 'ignore', decision: undefined })), null);
+});
+
+test('rejects incomplete or invalid rules', () => {
+    assert.match(SiteRules.validate(rule({ domain: 'localhost' })), /Domain/);
+    assert.match(SiteRules.validate(rule({ domain: 'https://example.com' })), /Domain/);
+    assert.match(SiteRules.validate(rule({ match: 'xpath' })), /selector or text/);
+    assert.match(SiteRules.validate(rule({ pattern: '' })), /Enter/);
+    assert.match(SiteRules.validate(rule({ action: 'block' })), /what the rule should do/);
+    assert.match(SiteRules.validate(rule({ action: 'category' })), /category to force/);
+    assert.match(SiteRules.validate(rule({ decision: 'maybe' })), /which decision/);
+    assert.equal(SiteRules.validate(rule({ pattern: '/(unclosed/' })), 'Invalid regular expression');
+});
+
+test('checks selectors with the DOM', (t) => {
+    // Stand-in for the options page DOM: throws like querySelector on a bad selector
+    global.document = {
+        createDocumentFragment: () => ({
+            querySelector(selector) {
+                if (selector.includes('[[')) throw new SyntaxError(`'${selector}' is not a valid selector`);
+                return null;
+            }
+        })
+    };
+    t.after(() => delete global.document);
+
+    assert.equal(SiteRules.validate(rule({ match: 'selector', pattern: '#agree' })), null);
+    assert.equal(SiteRules.validate(rule({ match: 'selector', pattern: '[[broken' })), 'Invalid CSS selector');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TCString = require('../lib/tcString.js');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Core segment fields in TCF v2.2 order, as [bits, value]
+function coreFields(overrides = {}) {
+    const fields = {
+        version: [6, 2],
+        created: [36, 16000000000],
+        lastUpdated: [36, 16000000100],
+        cmpId: [12, 7],
+        cmpVersion: [12, 3],
+        consentScreen: [6, 1],
+        consentLanguage: [12, letters('EN')],
+        vendorListVersion: [12, 150],
+        policyVersion: [6, 4],
+        isServiceSpecific: [1, 1],
+        useNonStandardTexts: [1, 0],
+        specialFeatureOptins: [12, idField([1], 12)],
+        purposeConsents: [24, idField([1, 3, 24], 24)],
+        purposeLegitimateInterests: [24, idField([2], 24)],
+        purposeOneTreatment: [1, 0],
+        publisherCountryCode: [12, letters('DE')],
+        ...overrides
+    };
+    return Object.values(fields)
+        .map(([length, value]) => typeof value === 'string' ? value : value.toString(2).padStart(length, '0'))
+        .join('');
+}
+
+function letters(code) {
+    return [...code].map(c => (c.charCodeAt(0) - 65).toString(2).padStart(6, '0')).join('');
+}
+
+function idField(ids, length) {
+    return Array.from({ length }, (_, i) => ids.includes(i + 1) ? '1' : '0').join('');
+}
+
+function bitfieldVendors(ids, maxVendorId) {
+    return maxVendorId.toString(2).padStart(16, '0') + '0' + idField(ids, maxVendorId);
+}
+
+function rangeVendors(entries, maxVendorId) {
+    let bits = maxVendorId.toString(2).padStart(16, '0') + '1' + entries.length.toString(2).padStart(12, '0');
+    for (const [start, end] of entries) {
+        bits += end === undefined
+            ? '0' + start.toString(2).padStart(16, '0')
+            : '1' + start.toString(2).padStart(16, '0') + end.toString(2).padStart(16, '0');
+    }
+    return bits;
+}
+
+function encode(bits) {
+    const padded = bits.padEnd(Math.ceil(bits.length / 6) * 6, '0');
+    return padded.match(/.{6}/g).map(chunk => ALPHABET[parseInt(chunk, 2)]).join('');
+}
+
+test('decodes the core segment fields', () => {
+    const decoded = TCString.decode(encode(coreFields() + bitfieldVendors([2, 5], 6) + bitfieldVendors([], 0)));
+
+    assert.equal(decoded.version, 2);
+    assert.equal(decoded.created, 1600000000000);
+    assert.equal(decoded.lastUpdated, 1600000010000);
+    assert.equal(decoded.cmpId, 7);
+    assert.equal(decoded.cmpVersion, 3);
+    assert.equal(decoded.consentScreen, 1);
+    assert.equal(decoded.consentLanguage, 'EN');
+    assert.equal(decoded.vendorListVersion, 150);
+    assert.equal(decoded.policyVersion, 4);
+    assert.equal(decoded.isServiceSpecific, true);
+    assert.equal(decoded.useNonStandardTexts, false);
+    assert.deepEqual(decoded.specialFeatureOptins, [1]);
+    assert.deepEqual(decoded.purposeConsents, [1, 3, 24]);
+    assert.deepEqual(decoded.purposeLegitimateInterests, [2]);
+    assert.equal(decoded.purposeOneTreatment, false);
+    assert.equal(decoded.publisherCountryCode, 'DE');
+});
+
+test('reads bitfield and range encoded vendor sections', () => {
+    const decoded = TCString.decode(encode(coreFields() + bitfieldVendors([2, 5], 6) + rangeVendors([[3], [10, 12]], 12)));
+
+    assert.deepEqual(decoded.vendorConsents, [2, 5]);
+    assert.deepEqual(decoded.vendorLegitimateInterests, [3, 10, 11, 12]);
+});
+
+test('ignores segments after the core one', () => {
+    const core = encode(coreFields() + bitfieldVendors([1], 1) + bitfieldVendors([], 0));
+
+    assert.deepEqual(TCString.decode(`${core}.IFoEUQQgAIQwgIwQABAEAAAAOIAACAIAAAAQAIAgEAACEAAAAAgAQBAAAAAAAGBAAgAA`), TCString.decode(core));
+});
+
+test('rejects malformed strings', () => {
+    assert.equal(TCString.decode(''), null);
+    assert.equal(TCString.decode(null), null);
+    assert.equal(TCString.decode(42), null);
+    assert.equal(TCString.decode('not*base64url'), null);
+    // Version 1 strings use a different layout
+    assert.equal(TCString.decode(encode(coreFields({ version: [6, 1] }) + bitfieldVendors([], 0) + bitfieldVendors([], 0))), null);
+    // Cut off inside the vendor section
+    assert.equal(TCString.decode(encode(coreFields())), null);
+});